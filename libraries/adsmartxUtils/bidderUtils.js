@@ -1,9 +1,44 @@
-import { BANNER, VIDEO } from '../../src/mediaTypes.js';
+import { BANNER, NATIVE, VIDEO } from '../../src/mediaTypes.js';
 import { ortbConverter } from '../ortbConverter/converter.js';
-import { deepAccess, logInfo, logWarn } from '../../src/utils.js';
+import { deepAccess, isStr, logInfo, logWarn, triggerPixel } from '../../src/utils.js';
+import { ajax } from '../../src/ajax.js';
+import { EVENTS, REJECTION_REASON } from '../../src/constants.js';
+import * as events from '../../src/events.js';
+import { auctionManager } from '../../src/auctionManager.js';
+import { Renderer } from '../../src/Renderer.js';
+import { OUTSTREAM } from '../../src/video.js';
 
 const DEFAULT_CURRENCY = 'USD';
 const DEFAULT_TTL = 60;
+const NATIVE_ASSET_TYPES = ['title', 'img', 'video', 'data'];
+
+/**
+ * OpenRTB loss reason codes (AUCTION_LOSS macro values).
+ */
+export const LOSS_REASON = {
+  INTERNAL_ERROR: 1,
+  IMP_EXPIRED: 2,
+  INVALID_BID_RESPONSE: 3,
+  MISSING_MARKUP: 7,
+  MISSING_BID_PRICE: 9,
+  BELOW_AUCTION_FLOOR: 100,
+  LOST_TO_HIGHER_BID: 102,
+  BUYER_SEAT_BLOCKED: 104,
+};
+
+const REJECTION_LOSS_REASONS = {
+  [REJECTION_REASON.INVALID]: LOSS_REASON.INVALID_BID_RESPONSE,
+  [REJECTION_REASON.INVALID_REQUEST_ID]: LOSS_REASON.INVALID_BID_RESPONSE,
+  [REJECTION_REASON.BIDDER_DISALLOWED]: LOSS_REASON.BUYER_SEAT_BLOCKED,
+  [REJECTION_REASON.FLOOR_NOT_MET]: LOSS_REASON.BELOW_AUCTION_FLOOR,
+  [REJECTION_REASON.DSA_REQUIRED]: LOSS_REASON.INVALID_BID_RESPONSE,
+  [REJECTION_REASON.DSA_MISMATCH]: LOSS_REASON.INVALID_BID_RESPONSE,
+  [REJECTION_REASON.PRICE_TOO_HIGH]: LOSS_REASON.INVALID_BID_RESPONSE,
+};
+
+// loss URLs of bids that are still in play, by auctionId; they are reported (or dropped) once their slot is won,
+// or dropped when the auction expires
+const pendingLossUrls = new Map();
 
 /**
  * Get publisher user ID with priority:
@@ -29,18 +64,21 @@ export function getPublisherUserId(bidParams, bidderRequest) {
 
 /**
  * Creates ORTB converter with shared imp/request logic.
- * @param {Object} config - { defaultCurrency, defaultTtl }
+ * @param {Object} options - { defaultCurrency, defaultTtl }
  * @returns {Object} ortbConverter instance
  */
-export function createConverter(config = {}) {
-  const currency = config.defaultCurrency ?? DEFAULT_CURRENCY;
-  const ttl = config.defaultTtl ?? DEFAULT_TTL;
+export function createConverter(options = {}) {
+  const currency = options.defaultCurrency ?? DEFAULT_CURRENCY;
+  const ttl = options.defaultTtl ?? DEFAULT_TTL;
 
   return ortbConverter({
     context: {
       netRevenue: true,
       ttl,
       currency,
+      nativeRequest: {
+        eventtrackers: [{ event: 1, methods: [1, 2] }],
+      },
     },
     imp(buildImp, bidRequest, context) {
       logInfo('Building impression object for bidRequest:', bidRequest);
@@ -107,7 +145,98 @@ export function createConverter(config = {}) {
 }
 
 /**
- * Validates the bid request (video mimes/sizes, etc.).
+ * Validates a single ORTB native asset: it needs an id and exactly one asset object.
+ * @param {Object} asset - ORTB native request asset.
+ * @returns {boolean} True if the asset is well formed.
+ */
+function isValidNativeAsset(asset) {
+  if (asset?.id == null) return false;
+  const types = NATIVE_ASSET_TYPES.filter(type => asset[type] != null);
+  if (types.length !== 1) return false;
+  if (types[0] === 'title') return asset.title.len > 0;
+  if (types[0] === 'data') return asset.data.type != null;
+  return true;
+}
+
+/**
+ * Parses the adm of a native bid; accepts a JSON string or object, with or without the `native` wrapper.
+ * @param {string|Object} adm - The bid adm.
+ * @returns {Object|null} ORTB native response, or null if adm is not a valid native response.
+ */
+function parseNativeAdm(adm) {
+  let ortb = adm;
+  if (typeof adm === 'string') {
+    try {
+      ortb = JSON.parse(adm);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (ortb?.native) ortb = ortb.native;
+  return Array.isArray(ortb?.assets) ? ortb : null;
+}
+
+/**
+ * Uses the VAST cached by the AdSmartX server (`bid.ext.prebid.cache.vastXml`), if any, as the bid's cache key and VAST URL.
+ * @param {Object} bidResponse - The video bid response.
+ * @param {Object} bid - The ORTB bid it was made from.
+ */
+function setServerVideoCache(bidResponse, bid) {
+  const { cacheId, url } = bid.ext?.prebid?.cache?.vastXml ?? {};
+  if (cacheId && url) {
+    bidResponse.videoCacheKey = cacheId;
+    bidResponse.vastUrl = url;
+  }
+}
+
+function isUrl(value) {
+  return isStr(value) && /^https?:\/\//i.test(value.trim());
+}
+
+function outstreamRender(bid, doc) {
+  bid.renderer.push(() => {
+    const win = doc?.defaultView || window;
+    const content = bid.vastXml || '<VAST version="3.0"><Ad><Wrapper><AdSystem>adsmartx</AdSystem>' +
+      `<VASTAdTagURI><![CDATA[${bid.vastUrl}]]></VASTAdTagURI></Wrapper></Ad></VAST>`;
+    win.ANOutstreamVideo.renderAd({
+      sizes: [bid.width, bid.height],
+      width: bid.width,
+      height: bid.height,
+      targetId: bid.adUnitCode,
+      adResponse: { content, width: bid.width, height: bid.height },
+      rendererOptions: bid.renderer.getConfig(),
+    });
+  });
+}
+
+/**
+ * Creates the outstream renderer of a video bid.
+ * @param {Object} bidResponse - The video bid response.
+ * @param {Object} bidRequest - The bid request it answers.
+ * @param {string} url - Outstream player URL.
+ * @returns {Object} Renderer instance
+ */
+function createOutstreamRenderer(bidResponse, bidRequest, url) {
+  const [playerWidth, playerHeight] = deepAccess(bidRequest, 'mediaTypes.video.playerSize.0') || [];
+  bidResponse.width = bidResponse.width || playerWidth;
+  bidResponse.height = bidResponse.height || playerHeight;
+  const renderer = Renderer.install({
+    id: bidRequest.bidId,
+    url,
+    loaded: false,
+    adUnitCode: bidRequest.adUnitCode,
+    config: deepAccess(bidRequest, 'mediaTypes.video.rendererOptions') || {},
+  });
+  try {
+    renderer.setRender(outstreamRender);
+  } catch (err) {
+    logWarn('Prebid Error calling setRender on renderer', err);
+  }
+  return renderer;
+}
+
+/**
+ * Validates the bid request (video mimes/sizes, native assets, etc.).
  * @param {Object} bid - The bid request object.
  * @returns {boolean} True if the bid request is valid.
  */
@@ -131,6 +260,18 @@ export function isBidRequestValid(bid) {
       return false;
     }
   }
+
+  if (mediaTypes?.[NATIVE]) {
+    const assets = bid.nativeOrtbRequest?.assets;
+    if (!Array.isArray(assets) || assets.length === 0) {
+      logWarn('Invalid native bid request: Missing or empty assets.');
+      return false;
+    }
+    if (!assets.every(isValidNativeAsset)) {
+      logWarn('Invalid native bid request: Malformed asset.');
+      return false;
+    }
+  }
   return true;
 }
 
@@ -152,12 +293,15 @@ export function createBuildRequests(config) {
       url: endpointUrl,
       data: request,
       options: { endpointCompression: true },
+      bidRequests: validBidRequests,
     };
   };
 }
 
 /**
  * Interprets the server response and extracts bid information.
+ * Every bid of every seatbid is returned; `seatbid.seat` is surfaced as `bidderCode` and `meta.networkName`,
+ * and `bid.exp` (when positive) is used as the bid TTL.
  * @param {Object} serverResponse - The response from the server.
  * @param {Object} request - The original request sent to the server.
  * @param {Object} config - { defaultCurrency, defaultTtl }
@@ -177,52 +321,283 @@ export function interpretResponse(serverResponse, request, config = {}) {
   const responses = [];
   bidResp.seatbid.forEach(seatbid => {
     if (!Array.isArray(seatbid.bid) || seatbid.bid.length === 0) return;
-    const bid = seatbid.bid[0];
-    if (!bid.impid || bid.price == null) {
-      logWarn('Skipping bid with missing impid or price, bidId:', bid.id);
-      return;
-    }
-    logInfo('Processing bid response:', bid);
-    const bidResponse = {
-      requestId: bid.impid,
-      cpm: bid.price,
-      currency: bidResp.cur || defaultCurrency,
-      width: bid.w,
-      height: bid.h,
-      ad: bid.adm,
-      creativeId: bid.crid,
-      netRevenue: true,
-      ttl: defaultTtl,
-      meta: { advertiserDomains: bid.adomain || [] },
-    };
+    seatbid.bid.forEach(bid => {
+      if (!bid.impid || bid.price == null) {
+        logWarn('Skipping bid with missing impid or price, bidId:', bid.id);
+        fireLossUrl(bid.lurl, { currency: bidResp.cur || defaultCurrency }, LOSS_REASON.MISSING_BID_PRICE);
+        return;
+      }
+      logInfo('Processing bid response:', bid);
+      const bidResponse = {
+        requestId: bid.impid,
+        cpm: bid.price,
+        currency: bidResp.cur || defaultCurrency,
+        width: bid.w,
+        height: bid.h,
+        ad: bid.adm,
+        creativeId: bid.crid,
+        netRevenue: true,
+        ttl: bid.exp > 0 ? bid.exp : defaultTtl,
+        seatBidId: bid.id,
+        meta: { advertiserDomains: bid.adomain || [] },
+      };
+      if (bid.ext?.dsa) bidResponse.meta.dsa = bid.ext.dsa;
+      ['nurl', 'burl', 'lurl'].forEach(key => {
+        if (isStr(bid[key]) && bid[key] !== '') bidResponse[key] = bid[key];
+      });
 
-    switch (bid.mtype) {
-      case 1:
-        bidResponse.mediaType = BANNER;
-        break;
-      case 2:
-        bidResponse.mediaType = VIDEO;
-        bidResponse.vastXml = bid.adm;
-        break;
-      default:
-        if (bid.mtype != null) {
-          logWarn('Unknown media type: ', bid.mtype, ' for bidId: ', bid.id);
-        } else {
-          logWarn('Bid response does not contain media type for bidId: ', bid.id);
+      if (seatbid.seat) {
+        bidResponse.bidderCode = seatbid.seat;
+        bidResponse.meta.networkName = seatbid.seat;
+      }
+
+      switch (bid.mtype) {
+        case 1:
+          bidResponse.mediaType = BANNER;
+          break;
+        case 2:
+          bidResponse.mediaType = VIDEO;
+          if (isUrl(bid.adm)) {
+            bidResponse.vastUrl = bid.adm;
+          } else if (bid.adm) {
+            bidResponse.vastXml = bid.adm;
+          } else if (bidResponse.nurl) {
+            // no markup: the win notice returns the VAST, so it is used as the VAST URL instead of being fired separately
+            bidResponse.vastUrl = replaceAuctionMacros(bidResponse.nurl, bidResponse);
+            delete bidResponse.nurl;
+          } else {
+            logWarn('Skipping video bid without adm or nurl, bidId:', bid.id);
+            fireLossUrl(bidResponse.lurl, bidResponse, LOSS_REASON.MISSING_MARKUP);
+            return;
+          }
+          delete bidResponse.ad;
+          setServerVideoCache(bidResponse, bid);
+          break;
+        case 4: {
+          const ortb = parseNativeAdm(bid.adm);
+          if (!ortb) {
+            logWarn('Skipping native bid with invalid adm, bidId:', bid.id);
+            fireLossUrl(bidResponse.lurl, bidResponse, LOSS_REASON.INVALID_BID_RESPONSE);
+            return;
+          }
+          bidResponse.mediaType = NATIVE;
+          bidResponse.native = { ortb };
+          delete bidResponse.ad;
+          break;
         }
-        bidResponse.mediaType = BANNER;
-        break;
-    }
+        default:
+          if (bid.mtype != null) {
+            logWarn('Unknown media type: ', bid.mtype, ' for bidId: ', bid.id);
+          } else {
+            logWarn('Bid response does not contain media type for bidId: ', bid.id);
+          }
+          bidResponse.mediaType = BANNER;
+          break;
+      }
+
+      if (bid.dealid) bidResponse.dealId = bid.dealid;
+      bidResponse.meta.mediaType = bidResponse.mediaType;
 
-    if (bid.dealid) bidResponse.dealId = bid.dealid;
-    logInfo('Interpreted response:', bidResponse, ' for bidId: ', bid.id);
-    responses.push(bidResponse);
+      const bidRequest = request?.bidRequests?.find(br => br.bidId === bid.impid);
+      const outstreamRendererUrl = bidRequest?.params?.outstreamRendererUrl;
+      if (FEATURES.VIDEO && bidResponse.mediaType === VIDEO && outstreamRendererUrl &&
+        deepAccess(bidRequest, 'mediaTypes.video.context') === OUTSTREAM) {
+        bidResponse.renderer = createOutstreamRenderer(bidResponse, bidRequest, outstreamRendererUrl);
+      }
+      logInfo('Interpreted response:', bidResponse, ' for bidId: ', bid.id);
+      trackLossUrl(bidResponse);
+      responses.push(bidResponse);
+    });
   });
 
   logInfo('Interpreted bid responses:', responses);
   return responses;
 }
 
+/**
+ * Substitutes the OpenRTB auction macros in a notification URL.
+ * @param {string} url - nurl, burl or lurl as returned by the server.
+ * @param {Object} bid - Prebid bid the URL belongs to.
+ * @param {number} [lossReason] - ORTB loss reason code, for loss notifications.
+ * @returns {string} URL with macros replaced.
+ */
+export function replaceAuctionMacros(url, bid, lossReason) {
+  const macros = {
+    AUCTION_PRICE: bid.originalCpm ?? bid.cpm,
+    AUCTION_CURRENCY: bid.originalCurrency ?? bid.currency,
+    AUCTION_IMP_ID: bid.requestId,
+    AUCTION_SEAT_ID: bid.meta?.networkName,
+    AUCTION_LOSS: lossReason,
+  };
+  return Object.entries(macros).reduce((result, [macro, value]) => {
+    return result.split('${' + macro + '}').join(value == null ? '' : encodeURIComponent(value));
+  }, url);
+}
+
+function fireLossUrl(lurl, bid, lossReason) {
+  if (!lurl) return;
+  logInfo('Firing loss notification with reason', lossReason, 'for bid:', bid);
+  triggerPixel(replaceAuctionMacros(lurl, bid, lossReason));
+}
+
+function isSameBid(a, b) {
+  return a.requestId === b.requestId && a.seatBidId === b.seatBidId;
+}
+
+function trackLossUrl(bidResponse) {
+  if (!bidResponse.lurl) return;
+  const auctionId = auctionManager.index.getBidRequest({ requestId: bidResponse.requestId })?.auctionId;
+  const auction = auctionManager.index.getAuction({ auctionId });
+  if (auction == null) return;
+  if (auction.getAuctionEnd() != null) {
+    // the response came in too late to take part in the auction
+    fireLossUrl(bidResponse.lurl, bidResponse, LOSS_REASON.IMP_EXPIRED);
+    return;
+  }
+  const pending = pendingLossUrls.get(auctionId) || [];
+  pending.push({ lurl: bidResponse.lurl, bid: bidResponse });
+  pendingLossUrls.set(auctionId, pending);
+}
+
+/**
+ * Fires the win notification (nurl) of a winning bid.
+ * @param {Object} bid - The winning bid.
+ */
+export function onBidWon(bid) {
+  logInfo('Bid won:', bid);
+  if (bid.nurl) triggerPixel(replaceAuctionMacros(bid.nurl, bid));
+}
+
+/**
+ * Fires the billing notification (burl) of a billable bid.
+ * @param {Object} bid - The billable bid.
+ */
+export function onBidBillable(bid) {
+  logInfo('Bid billable:', bid);
+  if (bid.burl) triggerPixel(replaceAuctionMacros(bid.burl, bid));
+}
+
+/**
+ * BID_REJECTED listener: fires the loss notification (lurl) of an adsmartx bid rejected by Prebid,
+ * with the ORTB loss reason matching the rejection reason.
+ * @param {Object} bid - The rejected bid, with `rejectionReason` set.
+ */
+function onBidRejected(bid) {
+  const pending = pendingLossUrls.get(bid.auctionId) || [];
+  const index = pending.findIndex(entry => isSameBid(entry.bid, bid));
+  if (index === -1) return;
+  logInfo('Bid rejected:', bid);
+  const [{ lurl }] = pending.splice(index, 1);
+  fireLossUrl(lurl, bid, REJECTION_LOSS_REASONS[bid.rejectionReason] ?? LOSS_REASON.INTERNAL_ERROR);
+}
+
+/**
+ * AUCTION_END listener: fires the loss notification (lurl) of the adsmartx bids that did not make it into the auction.
+ * Received bids are kept until their slot is won, since any of them may still be picked for targeting
+ * (e.g. with `enableSendAllBids`, deals or cached bids), not just the highest one.
+ * @param {Object} auction - AUCTION_END event payload.
+ * @param {string} auction.auctionId - ID of the auction that ended.
+ * @param {Array} auction.bidsReceived - Bids received in the auction.
+ */
+function onAuctionEnd({ auctionId, bidsReceived = [] }) {
+  const pending = pendingLossUrls.get(auctionId);
+  if (!pending) return;
+  const inPlay = [];
+  pending.forEach(({ lurl, bid }) => {
+    const received = bidsReceived.find(received => isSameBid(received, bid));
+    if (received == null) {
+      fireLossUrl(lurl, bid, LOSS_REASON.INTERNAL_ERROR);
+    } else {
+      inPlay.push({ lurl, bid: received });
+    }
+  });
+  if (inPlay.length) {
+    pendingLossUrls.set(auctionId, inPlay);
+  } else {
+    pendingLossUrls.delete(auctionId);
+  }
+}
+
+/**
+ * BID_WON listener: fires the loss notification (lurl) of every other adsmartx bid of the winner's auction
+ * for the same slot. Bids whose slot is never won by a bid of their auction - such as the top bid when nothing
+ * is rendered - never get a loss notification.
+ * @param {Object} winner - The winning bid, from any bidder.
+ */
+function onAnyBidWon(winner) {
+  const pending = pendingLossUrls.get(winner.auctionId);
+  if (!pending) return;
+  const inPlay = pending.filter(({ lurl, bid }) => {
+    if (bid.adUnitCode !== winner.adUnitCode) return true;
+    if (!isSameBid(bid, winner)) fireLossUrl(lurl, bid, LOSS_REASON.LOST_TO_HIGHER_BID);
+    return false;
+  });
+  if (inPlay.length) {
+    pendingLossUrls.set(winner.auctionId, inPlay);
+  } else {
+    pendingLossUrls.delete(winner.auctionId);
+  }
+}
+
+let lossNotificationsRegistered = false;
+
+/**
+ * Starts reporting losses: rejected bids are reported as soon as they are rejected, bids that were not received
+ * when their auction ends, and outbid ones when another bid wins their slot.
+ */
+export function registerLossNotifications() {
+  if (lossNotificationsRegistered) return;
+  lossNotificationsRegistered = true;
+  events.on(EVENTS.BID_REJECTED, onBidRejected);
+  events.on(EVENTS.AUCTION_END, onAuctionEnd);
+  events.on(EVENTS.BID_WON, onAnyBidWon);
+  auctionManager.onExpiry(auction => pendingLossUrls.delete(auction.getAuctionId()));
+}
+
+function sendEvent(eventUrl, data) {
+  logInfo('Sending event:', data);
+  ajax(eventUrl, null, JSON.stringify(data), {
+    method: 'POST',
+    contentType: 'text/plain',
+    withCredentials: false,
+    keepalive: true,
+  });
+}
+
+/**
+ * Creates onTimeout function that reports timed out bid requests to the event endpoint.
+ * @param {string} eventUrl - Event endpoint URL.
+ * @returns {function(Array): void}
+ */
+export function createOnTimeout(eventUrl) {
+  return function onTimeout(timeoutData) {
+    if (!Array.isArray(timeoutData) || timeoutData.length === 0) return;
+    sendEvent(eventUrl, {
+      type: 'timeout',
+      auctionId: timeoutData[0].auctionId,
+      timeout: timeoutData[0].timeout,
+      bids: timeoutData.map(bid => ({ bidId: bid.bidId, adUnitCode: bid.adUnitCode })),
+    });
+  };
+}
+
+/**
+ * Creates onBidderError function that reports failed server calls to the event endpoint.
+ * @param {string} eventUrl - Event endpoint URL.
+ * @returns {function(Object): void}
+ */
+export function createOnBidderError(eventUrl) {
+  return function onBidderError({ error, bidderRequest }) {
+    sendEvent(eventUrl, {
+      type: 'error',
+      auctionId: bidderRequest?.auctionId,
+      status: error?.status,
+      timedOut: !!error?.timedOut,
+      bids: (bidderRequest?.bids || []).map(bid => ({ bidId: bid.bidId, adUnitCode: bid.adUnitCode })),
+    });
+  };
+}
+
 /**
  * Creates getUserSyncs function that builds sync URL with privacy params.
  * @param {string} syncUrl - Base sync URL (e.g. 'https://sync.adsmartx.com/sync')
@@ -0,0 +1,149 @@
+import { config } from '../src/config.js';
+import * as events from '../src/events.js';
+import { EVENTS } from '../src/constants.js';
+import adapterManager, { type BidderRequest } from '../src/adapterManager.js';
+import { getCoreStorageManager } from '../src/storageManager.js';
+import { logInfo, timestamp } from '../src/utils.js';
+import type { BidderCode } from '../src/types/common.d.ts';
+
+/**
+ * @summary This module records how long each bidder takes to respond and sets a deadline on its requests, after which
+ * the auction stops waiting for it: the configured percentile (p95 by default) of its recorded response times.
+ */
+const MODULE_NAME = 'adaptiveTimeout';
+
+export const STORAGE_KEY = 'prebid:adaptiveTimeout';
+
+export const storage = getCoreStorageManager(MODULE_NAME);
+
+export type AdaptiveTimeoutConfig = {
+  /**
+   * Set to false to stop recording response times and setting deadlines. Default: true
+   */
+  enabled?: boolean;
+  /**
+   * Bidders to set deadlines for. Default: all bidders
+   */
+  bidders?: BidderCode[];
+  /**
+   * Percentile (0-100) of recorded response times used as the deadline. Default: 95
+   */
+  percentile?: number;
+  /**
+   * Minimum number of recorded response times required before a deadline is set for a bidder. Default: 10
+   */
+  minSamples?: number;
+  /**
+   * Maximum number of response times kept for each bidder. Default: 50
+   */
+  maxSamples?: number;
+  /**
+   * Shortest deadline (in milliseconds) set for any bidder. Default: 100
+   */
+  minDeadline?: number;
+}
+
+declare module '../src/config' {
+  interface Config {
+    [MODULE_NAME]?: AdaptiveTimeoutConfig;
+  }
+}
+
+let moduleConfig: AdaptiveTimeoutConfig = null;
+
+let samples: { [bidder: BidderCode]: number[] } = {};
+
+function getOptions(cfg: AdaptiveTimeoutConfig = moduleConfig) {
+  return {
+    bidders: cfg.bidders,
+    percentile: cfg.percentile ?? 95,
+    minSamples: cfg.minSamples ?? 10,
+    maxSamples: cfg.maxSamples || 50,
+    minDeadline: cfg.minDeadline ?? 100
+  };
+}
+
+function loadSamples() {
+  if (!storage.localStorageIsEnabled()) return {};
+  try {
+    const stored = JSON.parse(storage.getDataFromLocalStorage(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveSamples() {
+  if (storage.localStorageIsEnabled()) {
+    storage.setDataInLocalStorage(STORAGE_KEY, JSON.stringify(samples));
+  }
+}
+
+function isEnabledFor(bidder: BidderCode) {
+  const { bidders } = getOptions();
+  return !bidders?.length || bidders.includes(bidder);
+}
+
+/**
+ * @summary Returns the given percentile of response times (nearest rank)
+ */
+export function percentile(responseTimes: number[], pct: number) {
+  if (!responseTimes.length) return;
+  const sorted = [...responseTimes].sort((a, b) => a - b);
+  const rank = Math.ceil(sorted.length * Math.min(Math.max(pct, 0), 100) / 100);
+  return sorted[Math.max(rank - 1, 0)];
+}
+
+/**
+ * @summary Records how long a bidder took to respond to a bidder request
+ */
+export function recordResponseTime(bidderRequest: BidderRequest<BidderCode>, now = timestamp()) {
+  const { bidderCode, start } = bidderRequest as any;
+  if (bidderCode == null || typeof start !== 'number') return;
+  const { maxSamples } = getOptions();
+  samples[bidderCode] = [...(samples[bidderCode] || []), Math.max(now - start, 0)].slice(-maxSamples);
+  saveSamples();
+}
+
+/**
+ * @summary Returns the deadline of a bidder, or undefined if not enough response times have been recorded for it
+ */
+export function getDeadline(bidder: BidderCode, timeout: number) {
+  const { percentile: pct, minSamples, minDeadline } = getOptions();
+  const responseTimes = samples[bidder] || [];
+  if (!isEnabledFor(bidder) || responseTimes.length < Math.max(minSamples, 1)) return;
+  return Math.min(Math.max(Math.ceil(percentile(responseTimes, pct)), minDeadline), timeout);
+}
+
+export function makeBidRequestsHook(next, bidderRequests: BidderRequest<BidderCode>[]) {
+  bidderRequests.forEach(bidderRequest => {
+    const deadline = getDeadline(bidderRequest.bidderCode, bidderRequest.timeout);
+    if (deadline != null) {
+      logInfo(`${MODULE_NAME}: deadline for ${bidderRequest.bidderCode} is ${deadline}ms`);
+      bidderRequest.deadline = deadline;
+    }
+  });
+  next(bidderRequests);
+}
+
+function onBidderDone(bidderRequest) {
+  recordResponseTime(bidderRequest);
+}
+
+export function reset() {
+  events.off(EVENTS.BIDDER_DONE, onBidderDone);
+  adapterManager.makeBidRequests.getHooks({ hook: makeBidRequestsHook }).remove();
+  moduleConfig = null;
+  samples = {};
+}
+
+export function handleSetConfig(cfg: AdaptiveTimeoutConfig) {
+  reset();
+  if (!cfg || cfg.enabled === false) return;
+  moduleConfig = cfg;
+  samples = loadSamples();
+  events.on(EVENTS.BIDDER_DONE, onBidderDone);
+  adapterManager.makeBidRequests.after(makeBidRequestsHook);
+}
+
+config.getConfig(MODULE_NAME, cfg => handleSetConfig(cfg[MODULE_NAME]));
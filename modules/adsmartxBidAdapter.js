@@ -1,16 +1,22 @@
 import { registerBidder } from '../src/adapters/bidderFactory.js';
-import { BANNER, VIDEO } from '../src/mediaTypes.js';
+import { BANNER, NATIVE, VIDEO } from '../src/mediaTypes.js';
 import {
   createConverter,
   isBidRequestValid as validateBidRequest,
   createBuildRequests,
   interpretResponse as interpretResponseUtil,
   createGetUserSyncs,
+  createOnTimeout,
+  createOnBidderError,
+  onBidWon,
+  onBidBillable,
+  registerLossNotifications,
 } from '../libraries/adsmartxUtils/bidderUtils.js';
 
 const BIDDER_CODE = 'adsmartx';
 const ENDPOINT_URL = 'https://ads.adsmartx.com/ads/rtb/prebid/js';
 const SYNC_URL = 'https://sync.adsmartx.com/sync';
+const EVENT_URL = 'https://ads.adsmartx.com/ads/rtb/prebid/event';
 const DEFAULT_CURRENCY = 'USD';
 const DEFAULT_TTL = 60;
 
@@ -21,6 +27,8 @@ const buildRequests = createBuildRequests(
   { converter, endpointUrl: ENDPOINT_URL }
 );
 const getUserSyncs = createGetUserSyncs(SYNC_URL);
+const onTimeout = createOnTimeout(EVENT_URL);
+const onBidderError = createOnBidderError(EVENT_URL);
 
 const interpretResponse = (serverResponse, request) => {
   return interpretResponseUtil(serverResponse, request, {
@@ -33,11 +41,16 @@ export const spec = {
   code: BIDDER_CODE,
   // TODO: set gvlid once confirmed with AI Digital / AdSmartX team
   gvlid: undefined,
-  supportedMediaTypes: [BANNER, VIDEO],
+  supportedMediaTypes: [BANNER, VIDEO, NATIVE],
   isBidRequestValid,
   buildRequests,
   interpretResponse,
   getUserSyncs,
+  onBidWon,
+  onBidBillable,
+  onTimeout,
+  onBidderError,
 };
 
 registerBidder(spec);
+registerLossNotifications();
@@ -0,0 +1,207 @@
+import { config } from '../src/config.js';
+import * as events from '../src/events.js';
+import { EVENTS } from '../src/constants.js';
+import { startAuction, type StartAuctionOptions } from '../src/prebid.js';
+import { auctionManager } from '../src/auctionManager.js';
+import { getGlobal } from '../src/prebidGlobal.js';
+import { deepAccess, deepSetValue, logWarn } from '../src/utils.js';
+import type { Bid } from '../src/bidfactory.ts';
+import type { AdUnitCode, BidderCode, Currency, Identifier } from '../src/types/common.d.ts';
+
+/**
+ * @summary This module computes, after each auction, the minimum bid each bidder needed to win: the highest competing
+ * cpm or the floor, whichever is greater. Bidders receive it on their bids and in the ORTB request of the next auction.
+ */
+const MODULE_NAME = 'bidShadingSignals';
+
+export type BidShadingSignalsConfig = {
+  /**
+   * Set to false to stop computing signals. Default: true
+   */
+  enabled?: boolean;
+  /**
+   * Bidders to compute signals for. Default: all bidders
+   */
+  bidders?: BidderCode[];
+  /**
+   * Maximum number of signals kept for each bidder until its next auction. Default: 10
+   */
+  maxQueueLength?: number;
+}
+
+declare module '../src/config' {
+  interface Config {
+    [MODULE_NAME]?: BidShadingSignalsConfig;
+  }
+}
+
+export type BidShadingSignal = {
+  bidId: Identifier;
+  adUnitCode: AdUnitCode;
+  /**
+   * Minimum cpm needed to win the ad unit: the greater of highestCompetingCpm and floor, or null if neither is known.
+   */
+  minBidToWin: number | null;
+  currency: Currency;
+  /**
+   * Highest cpm bid on the ad unit by other bidders.
+   */
+  highestCompetingCpm: number | null;
+  /**
+   * Floor the bidder needed to beat.
+   */
+  floor: number | null;
+  timestamp: number;
+}
+
+declare module '../src/bidfactory' {
+  interface BaseBid {
+    /**
+     * Minimum cpm this bid needed to win, set once the auction ends (see the bidShadingSignals module).
+     */
+    minBidToWin?: number | null;
+    /**
+     * Currency of `minBidToWin`.
+     */
+    minBidToWinCurrency?: Currency;
+  }
+}
+
+declare module '../src/events' {
+  interface Events {
+    /**
+     * Fired for each bid that lost to another bid for the same ad unit, when the winning bid is rendered.
+     */
+    [EVENTS.BID_LOST]: [Bid];
+  }
+}
+
+let moduleConfig: BidShadingSignalsConfig = null;
+
+let signals: { [bidder: BidderCode]: BidShadingSignal[] } = {};
+
+function isEnabledFor(bidder: BidderCode) {
+  return !moduleConfig.bidders?.length || moduleConfig.bidders.includes(bidder);
+}
+
+function toCurrency(cpm, fromCurrency: Currency, currency: Currency) {
+  if (fromCurrency == null || fromCurrency.toUpperCase() === currency.toUpperCase()) {
+    return cpm;
+  }
+  try {
+    return getGlobal().convertCurrency(cpm, fromCurrency, currency);
+  } catch (e) {
+    logWarn(`${MODULE_NAME}: unable to convert ${fromCurrency} to ${currency}`);
+  }
+}
+
+/**
+ * @summary Returns the floor a bid request needed to beat: the floor recorded on its bid, if any,
+ * or else the floor the price floors module provides for the request.
+ */
+function getFloor(bidRequest, bid, currency: Currency) {
+  if (bid?.floorData?.floorValue != null) {
+    return toCurrency(bid.floorData.floorValue, bid.floorData.floorCurrency, currency);
+  }
+  if (typeof bidRequest.getFloor === 'function') {
+    try {
+      const floor = bidRequest.getFloor({ currency, mediaType: '*', size: '*' });
+      return toCurrency(floor?.floor, floor?.currency, currency);
+    } catch (e) {
+      logWarn(`${MODULE_NAME}: unable to get floor for bid request`, bidRequest, e);
+    }
+  }
+}
+
+/**
+ * @summary Computes the minimum bid to win of every bid request in an auction
+ */
+export function getMinBidsToWin({ bidsReceived = [], bidsRejected = [], bidderRequests = [], timestamp = Date.now() }): { [bidder: BidderCode]: BidShadingSignal[] } {
+  const currency = config.getConfig('currency.adServerCurrency') || 'USD';
+  const result = {};
+  bidderRequests.forEach(({ bidderCode, bids = [] }) => {
+    bids.forEach(bidRequest => {
+      const bid = bidsReceived.find(bid => bid.requestId === bidRequest.bidId) || bidsRejected.find(bid => bid.requestId === bidRequest.bidId);
+      const competing = bidsReceived
+        .filter(bid => bid.adUnitCode === bidRequest.adUnitCode && bid.bidderCode !== bidderCode)
+        .map(bid => toCurrency(parseFloat(bid.cpm), bid.currency || 'USD', currency))
+        .filter(cpm => cpm > 0);
+      const highestCompetingCpm = competing.length ? Math.max(...competing) : null;
+      const floor = getFloor(bidRequest, bid, currency) || null;
+      const known = [highestCompetingCpm, floor].filter(cpm => cpm != null);
+      (result[bidderCode] = result[bidderCode] || []).push({
+        bidId: bidRequest.bidId,
+        adUnitCode: bidRequest.adUnitCode,
+        minBidToWin: known.length ? Math.max(...known) : null,
+        currency,
+        highestCompetingCpm,
+        floor,
+        timestamp
+      });
+    });
+  });
+  return result;
+}
+
+export function onAuctionEnd(auction) {
+  const auctionSignals = getMinBidsToWin(auction);
+  Object.entries(auctionSignals)
+    .filter(([bidder]) => isEnabledFor(bidder))
+    .forEach(([bidder, bidderSignals]) => {
+      bidderSignals.forEach(signal => {
+        const bid = (auction.bidsReceived || []).find(bid => bid.requestId === signal.bidId);
+        if (bid) {
+          bid.minBidToWin = signal.minBidToWin;
+          bid.minBidToWinCurrency = signal.currency;
+        }
+      });
+      signals[bidder] = [...(signals[bidder] || []), ...bidderSignals].slice(-(moduleConfig.maxQueueLength || 10));
+    });
+}
+
+export function onBidWon(winningBid) {
+  const bidsReceived = auctionManager.index.getAuction(winningBid)?.getBidsReceived() || [];
+  bidsReceived
+    .filter(bid => bid.adUnitCode === winningBid.adUnitCode && bid !== winningBid && isEnabledFor(bid.bidderCode))
+    .forEach(bid => events.emit(EVENTS.BID_LOST, bid));
+}
+
+/**
+ * @summary Passes the signals recorded for each bidder to it in the next auction, as `ext.prebid.minbidtowin`
+ * and on the matching entries of `ext.prebid.previousauctioninfo` (if the previousAuctionInfo module is enabled).
+ */
+export function startAuctionHook(next, req: StartAuctionOptions = {} as any) {
+  Object.entries(signals).forEach(([bidder, bidderSignals]) => {
+    const path = `bidder.${bidder}.ext.prebid`;
+    deepSetValue(req.ortb2Fragments, `${path}.minbidtowin`, bidderSignals);
+    (deepAccess(req.ortb2Fragments, `${path}.previousauctioninfo`) || []).forEach(payload => {
+      const signal = bidderSignals.find(signal => signal.bidId === payload.bidId);
+      if (signal) {
+        payload.minBidToWin = signal.minBidToWin;
+        payload.minBidToWinCurrency = signal.currency;
+      }
+    });
+  });
+  signals = {};
+  next.call(this, req);
+}
+
+export function reset() {
+  events.off(EVENTS.AUCTION_END, onAuctionEnd);
+  events.off(EVENTS.BID_WON, onBidWon);
+  startAuction.getHooks({ hook: startAuctionHook }).remove();
+  moduleConfig = null;
+  signals = {};
+}
+
+export function handleSetConfig(cfg: BidShadingSignalsConfig) {
+  reset();
+  if (!cfg || cfg.enabled === false) return;
+  moduleConfig = cfg;
+  events.on(EVENTS.AUCTION_END, onAuctionEnd);
+  events.on(EVENTS.BID_WON, onBidWon);
+  // run after previousAuctionInfo (at the default priority) has added its payloads
+  startAuction.before(startAuctionHook, 9);
+}
+
+config.getConfig(MODULE_NAME, cfg => handleSetConfig(cfg[MODULE_NAME]));
@@ -1,23 +1,28 @@
 import { deepSetValue, logError, logInfo, logMessage, logWarn } from '../src/utils.js';
 import { getGlobal } from '../src/prebidGlobal.js';
-import { EVENTS, REJECTION_REASON } from '../src/constants.js';
+import { EVENTS, REJECTION_REASON, TARGETING_KEYS } from '../src/constants.js';
 import { ajax } from '../src/ajax.js';
 import { config } from '../src/config.js';
 import { getHook } from '../src/hook.js';
 import { defer } from '../src/utils/promise.js';
 import { registerOrtbProcessor, REQUEST } from '../src/pbjsORTB.js';
 import { timedAuctionHook, timedBidResponseHook } from '../src/utils/perfMetrics.js';
-import { on as onEvent, off as offEvent } from '../src/events.js';
+import { emit as emitEvent, on as onEvent, off as offEvent } from '../src/events.js';
 import { enrichFPD } from '../src/fpd/enrichment.js';
 import { timeoutQueue } from '../libraries/timeoutQueue/timeoutQueue.js';
 import type { Currency, BidderCode } from "../src/types/common.d.ts";
+import { auctionManager } from '../src/auctionManager.js';
+import { getGranularity, getPriceBuckets, getPriceForGranularity } from '../src/cpmBucketManager.js';
+import { registerTargetingKey } from '../src/targeting.js';
 import { addApiMethod } from "../src/prebid.ts";
 
 const DEFAULT_CURRENCY_RATE_URL = 'https://cdn.jsdelivr.net/gh/prebid/currency-file@1/latest.json?date=$$TODAY$$';
 const CURRENCY_RATE_PRECISION = 4;
+const CPM_PRECISION = 4;
+const ROUNDING_EPSILON = 1e-9;
 const MODULE_NAME = 'currency';
 
-let ratesURL;
+let ratesURLs = [];
 let bidResponseQueue = [];
 let conversionCache = {};
 let currencyRatesLoaded = false;
@@ -28,6 +33,16 @@ export var currencySupportEnabled = false;
 export var currencyRates = {} as any;
 let bidderCurrencyDefault = {};
 let defaultRates;
+let conversionFees: ConversionFee[] = [];
+let roundingMode: RoundingMode = 'round';
+let targetingCurrencies: CurrencyConfig['targetingCurrencies'] = {};
+let unregisterTargetingKeys: (() => void)[] = [];
+let refreshTimer = null;
+let maxStaleness = 0;
+/**
+ * Time from which the age of the current rates is measured; null if they do not go stale (when set through config)
+ */
+let ratesTimestamp = null;
 
 export let responseReady = defer<void>();
 
@@ -45,6 +60,23 @@ export interface CurrencyConfig {
    *  if not specified.
    */
   conversionRateFile?: string;
+  /**
+   * Optional list of URLs to files containing currency conversion data, tried in order until one loads.
+   * Takes precedence over conversionRateFile.
+   */
+  conversionRateFiles?: string[];
+  /**
+   * Interval (in milliseconds) at which the currency file is loaded again. Until the new rates load, the
+   * previous ones are used. Default is 0 (no refresh).
+   */
+  refreshInterval?: number;
+  /**
+   * Maximum age (in milliseconds) of rates loaded from a currency file, measured from their `dataAsOf` date if
+   * present, or else from when they were loaded. Older rates are not used for any conversion: bids that need them
+   * are rejected, and `convertCurrency` (used e.g. by the price floors module) throws.
+   * Rates set through `rates` or `defaultRates` do not go stale. Default is 0 (no limit).
+   */
+  maxStaleness?: number;
   /**
    * Time (in milliseconds) that auctions should be delayed to wait for conversion rates to load. Default is 0.
    */
@@ -80,19 +112,108 @@ export interface CurrencyConfig {
    *  }
    */
   bidderCurrencyDefault?: { [bidder: BidderCode]: Currency };
+  /**
+   * Fees (or FX spreads) deducted from bids when they are converted. The first rule matching the bid's bidder and
+   * currency pair applies.
+   *
+   *  example:
+   *  [
+   *    { bidders: ['bidderA'], from: 'EUR', fee: 0.02 },
+   *    { fee: 0.01 }
+   *  ]
+   */
+  conversionFees?: ConversionFee[];
+  /**
+   * How converted CPMs are rounded to 4 decimals. Default is 'round'.
+   */
+  roundingMode?: RoundingMode;
+  /**
+   * Additional currencies to set price bucket targeting for. For each currency, the winning bid's CPM is converted
+   * and bucketed (with that currency's granularity multiplier) into a `hb_pb_<currency>` key, e.g. `hb_pb_eur`.
+   * These keys are handled like `hb_pb`: sent with the bidder code as suffix when sending all bids, and
+   * controlled by `PRICE_BUCKET` in `targetingControls.allowTargetingKeys` and `allowSendAllBidsTargetingKeys`.
+   *
+   *  example:
+   *  {
+   *    EUR: { granularityMultiplier: 1 },
+   *    JPY: { granularityMultiplier: 110 }
+   *  }
+   */
+  targetingCurrencies?: {
+    [currency: Currency]: {
+      /**
+       * A decimal value representing how much to scale the price granularity calculations for this currency. Default is 1.
+       */
+      granularityMultiplier?: number;
+    }
+  };
+}
+
+export type ConversionFee = {
+  /**
+   * Bidders this fee applies to; if omitted, it applies to all bidders.
+   */
+  bidders?: BidderCode[];
+  /**
+   * Bid currency this fee applies to; if omitted, it applies to all currencies.
+   */
+  from?: Currency;
+  /**
+   * Ad server currency this fee applies to; if omitted, it applies to all currencies.
+   */
+  to?: Currency;
+  /**
+   * Fraction of the converted CPM that is deducted, between 0 (included) and 1 (excluded).
+   */
+  fee: number;
 }
 
+/**
+ * - 'round': round half up
+ * - 'floor': round down
+ * - 'ceil': round up
+ * - 'bankers': round half to even
+ */
+export type RoundingMode = 'round' | 'floor' | 'ceil' | 'bankers';
+
 declare module '../src/config' {
   interface Config {
     currency?: CurrencyConfig;
   }
 }
 
+export type CurrencyRatesUpdatedData = {
+  /**
+   * URL of the currency file the rates were loaded from, or 'rates' / 'defaultRates' if set through config.
+   */
+  source: string;
+  /**
+   * Publish date of the rates (the currency file's `dataAsOf`), if known.
+   */
+  dataAsOf?: string;
+}
+
+declare module '../src/events' {
+  interface Events {
+    /**
+     * Fired when the conversion rates in use are updated.
+     */
+    [EVENTS.CURRENCY_RATES_UPDATED]: [CurrencyRatesUpdatedData];
+  }
+}
+
+function setRates(rates, source: string, timestamp: number = null) {
+  currencyRates = rates;
+  conversionCache = {};
+  ratesTimestamp = timestamp;
+  emitEvent(EVENTS.CURRENCY_RATES_UPDATED, { source, dataAsOf: rates.dataAsOf });
+}
+
 export function setConfig(config: CurrencyConfig) {
-  ratesURL = DEFAULT_CURRENCY_RATE_URL;
+  ratesURLs = [DEFAULT_CURRENCY_RATE_URL];
 
   if (config.rates !== null && typeof config.rates === 'object') {
-    currencyRates.conversions = config.rates;
+    setRates({ conversions: config.rates }, 'rates');
     currencyRatesLoaded = true;
     needToCallForCurrencyFile = false; // don't call if rates are already specified
   }
@@ -101,39 +222,34 @@ export function setConfig(config: CurrencyConfig) {
     defaultRates = config.defaultRates;
 
     // set up the default rates to be used if the rate file doesn't get loaded in time
-    currencyRates.conversions = defaultRates;
+    setRates({ conversions: defaultRates }, 'defaultRates');
     currencyRatesLoaded = true;
   }
 
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+
   if (typeof config.adServerCurrency === 'string') {
     auctionDelay = config.auctionDelay;
+    maxStaleness = config.maxStaleness || 0;
+    setTargetingCurrencies(config.targetingCurrencies || {});
     logInfo('enabling currency support', config);
 
     adServerCurrency = config.adServerCurrency;
-    if (config.conversionRateFile) {
+    if (Array.isArray(config.conversionRateFiles) && config.conversionRateFiles.length > 0) {
+      logInfo('currency using override conversionRateFiles:', config.conversionRateFiles);
+      ratesURLs = config.conversionRateFiles;
+    } else if (config.conversionRateFile) {
       logInfo('currency using override conversionRateFile:', config.conversionRateFile);
-      ratesURL = config.conversionRateFile;
-    }
-
-    // see if the url contains a date macro
-    // this is a workaround to the fact that jsdelivr doesn't currently support setting a 24-hour HTTP cache header
-    // So this is an approach to let the browser cache a copy of the file each day
-    // We should remove the macro once the CDN support a day-level HTTP cache setting
-    const macroLocation = ratesURL.indexOf('$$TODAY$$');
-    if (macroLocation !== -1) {
-      // get the date to resolve the macro
-      const d = new Date();
-      let month = `${d.getMonth() + 1}`;
-      let day = `${d.getDate()}`;
-      if (month.length < 2) month = `0${month}`;
-      if (day.length < 2) day = `0${day}`;
-      const todaysDate = `${d.getFullYear()}${month}${day}`;
-
-      // replace $$TODAY$$ with todaysDate
-      ratesURL = `${ratesURL.substring(0, macroLocation)}${todaysDate}${ratesURL.substring(macroLocation + 9, ratesURL.length)}`;
+      ratesURLs = [config.conversionRateFile];
     }
 
     initCurrency();
+
+    // rates set through config are not refreshed
+    if (config.refreshInterval > 0 && config.rates == null) {
+      refreshTimer = setInterval(() => fetchRates(0, true), config.refreshInterval);
+    }
   } else {
     // currency support is disabled, setting defaults
     auctionDelay = 0;
@@ -143,9 +259,47 @@ export function setConfig(config: CurrencyConfig) {
   if (typeof config.bidderCurrencyDefault === 'object') {
     bidderCurrencyDefault = config.bidderCurrencyDefault;
   }
+  conversionFees = (Array.isArray(config.conversionFees) ? config.conversionFees : []).filter(rule => {
+    if (typeof rule?.fee !== 'number' || !(rule.fee >= 0 && rule.fee < 1)) {
+      logWarn('Currency conversion fee ignored, fee must be a number between 0 and 1', rule);
+      return false;
+    }
+    return true;
+  });
+  roundingMode = 'round';
+  if (config.roundingMode != null) {
+    if (ROUNDING_MODES.hasOwnProperty(config.roundingMode)) {
+      roundingMode = config.roundingMode;
+    } else {
+      logWarn(`Currency rounding mode '${config.roundingMode}' is not supported, using 'round'`);
+    }
+  }
 }
 config.getConfig('currency', config => setConfig(config.currency));
 
+/**
+ * Replace the date macro in a currency file URL with today's date.
+ * This is a workaround to the fact that jsdelivr doesn't currently support setting a 24-hour HTTP cache header
+ * So this is an approach to let the browser cache a copy of the file each day
+ * We should remove the macro once the CDN support a day-level HTTP cache setting
+ */
+function resolveDateMacro(url: string) {
+  const macroLocation = url.indexOf('$$TODAY$$');
+  if (macroLocation === -1) {
+    return url;
+  }
+  // get the date to resolve the macro
+  const d = new Date();
+  let month = `${d.getMonth() + 1}`;
+  let day = `${d.getDate()}`;
+  if (month.length < 2) month = `0${month}`;
+  if (day.length < 2) day = `0${day}`;
+  const todaysDate = `${d.getFullYear()}${month}${day}`;
+
+  // replace $$TODAY$$ with todaysDate
+  return `${url.substring(0, macroLocation)}${todaysDate}${url.substring(macroLocation + 9, url.length)}`;
+}
+
 function errorSettingsRates(msg) {
   if (defaultRates) {
     logWarn(msg);
@@ -159,34 +313,60 @@ function loadRates() {
   if (needToCallForCurrencyFile) {
     needToCallForCurrencyFile = false;
     currencyRatesLoaded = false;
-    ajax(ratesURL,
-      {
-        success: function (response) {
-          try {
-            currencyRates = JSON.parse(response);
-            logInfo('currencyRates set to ' + JSON.stringify(currencyRates));
-            conversionCache = {};
-            currencyRatesLoaded = true;
-            processBidResponseQueue();
-            delayedAuctions.resume();
-          } catch (e) {
-            errorSettingsRates('Failed to parse currencyRates response: ' + response);
-          }
-        },
-        error: function (err) {
-          errorSettingsRates(err);
-          currencyRatesLoaded = true;
-          processBidResponseQueue();
-          delayedAuctions.resume();
-          needToCallForCurrencyFile = true;
-        }
-      }
-    );
+    fetchRates(0, false);
   } else {
     processBidResponseQueue();
   }
 }
 
+/**
+ * Load rates from the currency file at `sourceIndex`, falling back to the following ones if it fails.
+ * When refreshing, the current rates are kept if all of them fail.
+ */
+function fetchRates(sourceIndex: number, refresh: boolean) {
+  const url = resolveDateMacro(ratesURLs[sourceIndex]);
+  function handleFailure(msg) {
+    if (sourceIndex + 1 < ratesURLs.length) {
+      logWarn(`Currency failed loading rates from ${url}, trying the next source`, msg);
+      fetchRates(sourceIndex + 1, refresh);
+    } else if (refresh) {
+      logWarn('Currency failed refreshing rates, keeping the current ones', msg);
+    } else {
+      errorSettingsRates(msg);
+      currencyRatesLoaded = true;
+      processBidResponseQueue();
+      delayedAuctions.resume();
+      needToCallForCurrencyFile = true;
+    }
+  }
+  ajax(url,
+    {
+      success: function (response) {
+        let rates;
+        try {
+          rates = JSON.parse(response);
+        } catch (e) {
+          // handled below
+        }
+        if (rates == null || typeof rates.conversions !== 'object') {
+          handleFailure('Failed to parse currencyRates response: ' + response);
+          return;
+        }
+        setRates(rates, url, (rates.dataAsOf && Date.parse(rates.dataAsOf)) || Date.now());
+        logInfo('currencyRates set to ' + JSON.stringify(currencyRates));
+        currencyRatesLoaded = true;
+        processBidResponseQueue();
+        delayedAuctions.resume();
+      },
+      error: handleFailure
+    }
+  );
+}
+
+function ratesAreStale() {
+  return maxStaleness > 0 && ratesTimestamp != null && Date.now() - ratesTimestamp > maxStaleness;
+}
+
 declare module '../src/prebidGlobal' {
   interface PrebidJS {
     convertCurrency: typeof convertCurrency
@@ -210,6 +390,7 @@ function initCurrency() {
     getHook('responsesReady').before(responsesReadyHook);
     enrichFPD.before(enrichFPDHook);
     getHook('requestBids').before(requestBidsHook, 50);
+    getHook('setupBidTargeting').before(setupBidTargetingHook);
     onEvent(EVENTS.AUCTION_TIMEOUT, rejectOnAuctionTimeout);
     onEvent(EVENTS.AUCTION_INIT, loadRates);
     loadRates();
@@ -222,9 +403,12 @@ export function resetCurrency() {
     getHook('responsesReady').getHooks({ hook: responsesReadyHook }).remove();
     enrichFPD.getHooks({ hook: enrichFPDHook }).remove();
     getHook('requestBids').getHooks({ hook: requestBidsHook }).remove();
+    getHook('setupBidTargeting').getHooks({ hook: setupBidTargetingHook }).remove();
     offEvent(EVENTS.AUCTION_TIMEOUT, rejectOnAuctionTimeout);
     offEvent(EVENTS.AUCTION_INIT, loadRates);
     delete getGlobal().convertCurrency;
+    clearInterval(refreshTimer);
+    refreshTimer = null;
 
     adServerCurrency = 'USD';
     conversionCache = {};
@@ -232,11 +416,22 @@ export function resetCurrency() {
     currencyRatesLoaded = false;
     needToCallForCurrencyFile = true;
     currencyRates = {};
+    ratesTimestamp = null;
+    maxStaleness = 0;
     bidderCurrencyDefault = {};
+    conversionFees = [];
+    roundingMode = 'round';
+    setTargetingCurrencies({});
     responseReady = defer();
   }
 }
 
+function setTargetingCurrencies(currencies: CurrencyConfig['targetingCurrencies']) {
+  unregisterTargetingKeys.forEach(unregister => unregister());
+  targetingCurrencies = currencies;
+  unregisterTargetingKeys = Object.keys(currencies).map(currency => registerTargetingKey(getCurrencyTargetingKey(currency), 'PRICE_BUCKET'));
+}
+
 function responsesReadyHook(next, ready) {
   next(ready.then(() => responseReady.promise));
 }
@@ -248,6 +443,23 @@ declare module '../src/bidfactory' {
      * @return the converted CPM as a string with 3 digit precision.
      */
     getCpmInNewCurrency(toCurrency: Currency): string
+    /**
+     * Details of the conversion of this bid's CPM into the ad server currency, if it was converted.
+     */
+    currencyConversion?: {
+      /**
+       * Conversion rate from `originalCurrency` to the ad server currency.
+       */
+      rate: number;
+      /**
+       * Fraction of the converted CPM deducted as a fee.
+       */
+      fee: number;
+      /**
+       * Amount deducted as a fee, in the ad server currency.
+       */
+      feeAmount: number;
+    }
   }
 }
 
@@ -303,11 +515,27 @@ function processBidResponseQueue() {
     const [fn, ctx, adUnitCode, bid, reject] = bidResponseQueue.shift();
     if (bid !== undefined && 'currency' in bid && 'cpm' in bid) {
       const fromCurrency = bid.currency;
+      if (fromCurrency !== adServerCurrency && ratesAreStale()) {
+        logWarn(`Currency rates are older than ${maxStaleness}ms, rejecting bid in ${fromCurrency}`);
+        reject(REJECTION_REASON.STALE_CURRENCY_RATES);
+        continue;
+      }
       try {
         const conversion = getCurrencyConversion(fromCurrency);
-        if (conversion !== 1) {
-          bid.cpm = (parseFloat(bid.cpm) * conversion).toFixed(4);
+        // fees only apply to bids that are converted
+        const fee = fromCurrency === adServerCurrency ? 0 : getConversionFee(bid.bidderCode || bid.bidder, fromCurrency, adServerCurrency);
+        if (conversion !== 1 || fee > 0) {
+          const originalCpm = parseFloat(bid.cpm);
+          const converted = originalCpm * conversion;
+          bid.originalCpm = bid.originalCpm ?? originalCpm;
+          bid.originalCurrency = bid.originalCurrency ?? fromCurrency;
+          bid.cpm = roundCpm(converted * (1 - fee));
           bid.currency = adServerCurrency;
+          bid.currencyConversion = {
+            rate: conversion,
+            fee,
+            feeAmount: roundFloat(converted * fee, CPM_PRECISION)
+          };
         }
       } catch (e) {
         logWarn('getCurrencyConversion threw error: ', e);
@@ -324,6 +552,9 @@ function getCurrencyConversion(fromCurrency, toCurrency = adServerCurrency) {
   var conversionRate = null;
   var rates;
   const cacheKey = `${fromCurrency}->${toCurrency}`;
+  if (fromCurrency !== toCurrency && ratesAreStale()) {
+    throw new Error(`Currency rates are older than ${maxStaleness}ms`);
+  }
   if (cacheKey in conversionCache) {
     conversionRate = conversionCache[cacheKey];
     logMessage('Using conversionCache value ' + conversionRate + ' for ' + cacheKey);
@@ -381,6 +612,38 @@ function getCurrencyConversion(fromCurrency, toCurrency = adServerCurrency) {
   return conversionRate;
 }
 
+function getConversionFee(bidder: BidderCode, fromCurrency: Currency, toCurrency: Currency) {
+  const rule = conversionFees.find(rule =>
+    (rule.bidders == null || rule.bidders.includes(bidder)) &&
+    (rule.from == null || rule.from === fromCurrency) &&
+    (rule.to == null || rule.to === toCurrency)
+  );
+  return rule?.fee ?? 0;
+}
+
+// scaled values are nudged by an epsilon so that floating point error (e.g. 0.29 * 100 = 28.999999999999996)
+// does not push them past an integer
+const ROUNDING_MODES: { [mode in RoundingMode]: (scaled: number) => number } = {
+  round: Math.round,
+  floor: (scaled) => Math.floor(scaled + ROUNDING_EPSILON),
+  ceil: (scaled) => Math.ceil(scaled - ROUNDING_EPSILON),
+  bankers: (scaled) => {
+    const whole = Math.floor(scaled);
+    if (Math.abs(scaled - whole - 0.5) < ROUNDING_EPSILON) {
+      return whole % 2 === 0 ? whole : whole + 1;
+    }
+    return Math.round(scaled);
+  }
+};
+
+function roundCpm(cpm: number): string {
+  if (roundingMode === 'round') {
+    return cpm.toFixed(CPM_PRECISION);
+  }
+  const d = Math.pow(10, CPM_PRECISION);
+  return (ROUNDING_MODES[roundingMode](cpm * d) / d).toFixed(CPM_PRECISION);
+}
+
 function roundFloat(num, dec) {
   var d: any = 1;
   for (let i = 0; i < dec; i++) {
@@ -389,6 +652,33 @@ function roundFloat(num, dec) {
   return Math.round(num * d) / d;
 }
 
+/**
+ * Price bucket targeting key for an additional currency, e.g. `hb_pb_eur`.
+ */
+export function getCurrencyTargetingKey(currency: Currency) {
+  return `${TARGETING_KEYS.PRICE_BUCKET}_${currency.toLowerCase()}`;
+}
+
+function setupBidTargetingHook(next, bid) {
+  next(bid);
+  if (bid.adserverTargeting?.[TARGETING_KEYS.PRICE_BUCKET] == null) {
+    // no price targeting was set (e.g. the bidder's targeting is customized)
+    return;
+  }
+  Object.entries(targetingCurrencies).forEach(([currency, { granularityMultiplier = 1 } = {}]) => {
+    let cpm;
+    try {
+      cpm = parseFloat(bid.cpm) * getCurrencyConversion(bid.currency, currency);
+    } catch (e) {
+      logWarn(`Cannot set ${currency} price targeting for bid ${bid.adId}: `, e);
+      return;
+    }
+    const mediaTypes = auctionManager.index.getMediaTypes(bid);
+    const buckets = getPriceBuckets(bid, mediaTypes, cpm, granularityMultiplier);
+    bid.adserverTargeting[getCurrencyTargetingKey(currency)] = getPriceForGranularity(buckets, getGranularity(bid.mediaType, mediaTypes));
+  });
+}
+
 export function setOrtbCurrency(ortbRequest, bidderRequest, context) {
   if (currencySupportEnabled) {
     ortbRequest.cur = ortbRequest.cur || [context.currency || adServerCurrency];
@@ -0,0 +1,339 @@
+import { config } from '../src/config.js';
+import * as events from '../src/events.js';
+import { EVENTS, REJECTION_REASON } from '../src/constants.js';
+import { getCoreStorageManager } from '../src/storageManager.js';
+import { getRefererInfo } from '../src/refererDetection.js';
+import { logInfo, logWarn, parseUrl } from '../src/utils.js';
+import type { Currency } from '../src/types/common.d.ts';
+
+/**
+ * @summary This module learns price floors from the outcome of previous auctions and feeds them to the price floors module.
+ * It requires the price floors module.
+ */
+const MODULE_NAME = 'learnedFloors';
+
+export const STORAGE_KEY = 'prebid:learnedFloors';
+
+export const storage = getCoreStorageManager(MODULE_NAME);
+
+const DELIMITER = '|';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @summary Floor schema fields that can be learned, with the function resolving their value from a bid
+ */
+export const fieldResolvers = {
+  adUnitCode: (bid) => bid.adUnitCode,
+  size: (bid) => bid.width && bid.height ? `${bid.width}x${bid.height}` : undefined,
+  mediaType: (bid) => bid.mediaType || 'banner',
+  domain: () => parseUrl(getRefererInfo().topmostLocation, { noDecodeWholeURL: true }).hostname
+} as const;
+
+type LearnedField = keyof typeof fieldResolvers;
+
+export type LearnedFloorsConfig = {
+  /**
+   * Set to false to stop learning and providing floors. Default: true
+   */
+  enabled?: boolean;
+  /**
+   * Floor schema fields to learn floors for. Default: ['adUnitCode', 'size', 'mediaType', 'domain']
+   */
+  fields?: LearnedField[];
+  /**
+   * Percentile (0-100) of winning cpms used as the floor. Default: 25
+   */
+  winPercentile?: number;
+  /**
+   * Percentile (0-100) of losing cpms used as the floor. If set, the floor is the greater of the two percentiles.
+   */
+  lossPercentile?: number;
+  /**
+   * Time (in milliseconds) after which the weight of a recorded cpm is halved. Default: 7 days
+   */
+  halfLife?: number;
+  /**
+   * Time (in milliseconds) after which recorded cpms are discarded. Default: 30 days
+   */
+  maxAge?: number;
+  /**
+   * Minimum number of recorded cpms required before a floor is derived for a key. Default: 10
+   */
+  minSamples?: number;
+  /**
+   * Maximum number of cpms kept for each key. Default: 100
+   */
+  maxSamples?: number;
+  /**
+   * Currency of recorded cpms and learned floors. Bids in other currencies are ignored.
+   * Default: the ad server currency, or USD.
+   */
+  currency?: Currency;
+  /**
+   * Weight of a control model group without floors, to measure the effect of learned floors.
+   * The learned floors model group has a weight of 100. Default: 0 (no control group)
+   */
+  controlWeight?: number;
+  /**
+   * Minimum time (in milliseconds) between updates of the stored cpms and of the floors data; cpms recorded
+   * in between are batched into the next update. Default: 30 seconds
+   */
+  updateInterval?: number;
+}
+
+declare module '../src/config' {
+  interface Config {
+    learnedFloors?: LearnedFloorsConfig;
+  }
+}
+
+/**
+ * [cpm, won (1 or 0), timestamp]. A bid "won" if it was rendered, or if it was the highest bid for a slot
+ * that was left unfilled because every bid was below the floor.
+ */
+type Sample = [number, number, number];
+
+let moduleConfig: LearnedFloorsConfig = null;
+
+let samples: { [key: string]: Sample[] } = {};
+
+let lastValues = null;
+
+let recorded = new WeakMap<object, Sample>();
+
+let lastUpdate = -Infinity;
+
+let updateTimer = null;
+
+function getOptions(cfg: LearnedFloorsConfig = moduleConfig) {
+  return {
+    fields: cfg.fields || Object.keys(fieldResolvers) as LearnedField[],
+    winPercentile: cfg.winPercentile ?? 25,
+    lossPercentile: cfg.lossPercentile,
+    halfLife: cfg.halfLife || 7 * DAY,
+    maxAge: cfg.maxAge || 30 * DAY,
+    minSamples: cfg.minSamples ?? 10,
+    maxSamples: cfg.maxSamples || 100,
+    currency: cfg.currency || config.getConfig('currency.adServerCurrency') || 'USD',
+    controlWeight: cfg.controlWeight || 0,
+    updateInterval: cfg.updateInterval ?? 30000
+  };
+}
+
+function loadSamples() {
+  if (!storage.localStorageIsEnabled()) return {};
+  try {
+    const stored = JSON.parse(storage.getDataFromLocalStorage(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveSamples() {
+  if (storage.localStorageIsEnabled()) {
+    storage.setDataInLocalStorage(STORAGE_KEY, JSON.stringify(samples));
+  }
+}
+
+/**
+ * @summary Computes the floor schema key of a bid, or undefined if any of the fields cannot be resolved
+ */
+export function getKey(bid, fields: LearnedField[]) {
+  const values = fields.map(field => fieldResolvers[field]?.(bid));
+  if (values.some(value => typeof value !== 'string' || value === '' || value.includes(DELIMITER))) {
+    return;
+  }
+  return values.join(DELIMITER);
+}
+
+/**
+ * @summary Returns the given percentile of cpms, weighting each by its age with exponential decay
+ */
+export function weightedPercentile(cpmSamples: Sample[], percentile: number, halfLife: number, now = Date.now()) {
+  if (!cpmSamples.length) return;
+  const weighted = cpmSamples
+    .map(([cpm, , ts]) => [cpm, Math.pow(0.5, Math.max(now - ts, 0) / halfLife)])
+    .sort(([a], [b]) => a - b);
+  const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+  const target = total * Math.min(Math.max(percentile, 0), 100) / 100;
+  let cumulative = 0;
+  for (const [cpm, weight] of weighted) {
+    cumulative += weight;
+    if (cumulative >= target) {
+      return cpm;
+    }
+  }
+  return weighted[weighted.length - 1][0];
+}
+
+/**
+ * @summary Records the cpm of every bid received in an auction, and of every bid rejected for not meeting the floor, as a loss.
+ * When all bids for a slot were below the floor, the highest of them is recorded as a win, since it would have won without
+ * the floor; this lets the floor come back down when it is too high. Wins of received bids are recorded by `recordWin`.
+ */
+export function recordAuction({ bidsReceived = [], bidsRejected = [] }, now = Date.now()) {
+  const { fields, currency, maxAge, maxSamples } = getOptions();
+  const filled = new Set(bidsReceived.map(bid => bid.adUnitCode));
+  const belowFloor = {};
+  bidsRejected
+    .filter(bid => bid.rejectionReason === REJECTION_REASON.FLOOR_NOT_MET && !filled.has(bid.adUnitCode))
+    .forEach(bid => {
+      if (!(belowFloor[bid.adUnitCode]?.cpm >= bid.cpm)) {
+        belowFloor[bid.adUnitCode] = bid;
+      }
+    });
+  bidsReceived
+    .concat(bidsRejected.filter(bid => bid.rejectionReason === REJECTION_REASON.FLOOR_NOT_MET))
+    .filter(bid => bid.cpm > 0 && bid.currency === currency)
+    .forEach(bid => {
+      const key = getKey(bid, fields);
+      if (key == null) return;
+      const sample: Sample = [bid.cpm, belowFloor[bid.adUnitCode] === bid ? 1 : 0, now];
+      recorded.set(bid, sample);
+      samples[key] = [...(samples[key] || []), sample]
+        .filter(([, , ts]) => now - ts < maxAge)
+        .slice(-maxSamples);
+    });
+}
+
+/**
+ * @summary Marks the cpm recorded for a bid as a win
+ */
+export function recordWin(bid) {
+  const sample = recorded.get(bid);
+  if (sample) {
+    sample[1] = 1;
+  }
+}
+
+/**
+ * @summary Derives floors data (in the format expected by the price floors module) from the recorded cpms
+ */
+export function getLearnedFloorsData(now = Date.now()) {
+  const { fields, winPercentile, lossPercentile, halfLife, maxAge, minSamples, currency, controlWeight } = getOptions();
+  const values = {};
+  Object.entries(samples).forEach(([key, keySamples]) => {
+    if (key.split(DELIMITER).length !== fields.length) return;
+    keySamples = keySamples.filter(([, , ts]) => now - ts < maxAge);
+    if (keySamples.length < Math.max(minSamples, 1)) return;
+    const floors = [
+      weightedPercentile(keySamples.filter(([, won]) => won), winPercentile, halfLife, now),
+      lossPercentile != null ? weightedPercentile(keySamples.filter(([, won]) => !won), lossPercentile, halfLife, now) : undefined
+    ].filter(floor => floor != null);
+    if (floors.length) {
+      values[key] = Math.max(...floors);
+    }
+  });
+  if (!Object.keys(values).length) return;
+  const modelGroups: any[] = [{
+    modelWeight: 100,
+    modelVersion: MODULE_NAME,
+    currency,
+    schema: { fields, delimiter: DELIMITER },
+    values
+  }];
+  if (controlWeight > 0) {
+    modelGroups.push({
+      modelWeight: controlWeight,
+      modelVersion: `${MODULE_NAME}-control`,
+      currency,
+      schema: { fields, delimiter: DELIMITER },
+      values: {},
+      default: 0
+    });
+  }
+  return {
+    floorsSchemaVersion: 2,
+    floorProvider: MODULE_NAME,
+    modelTimestamp: now,
+    modelGroups
+  };
+}
+
+/**
+ * @summary Passes learned floors to the price floors module, unless the publisher has configured their own floors data
+ */
+export function applyLearnedFloors() {
+  const floors = config.getConfig('floors') || {};
+  if (floors.endpoint?.url || (floors.data && (floors.data as any).floorProvider !== MODULE_NAME)) {
+    logInfo(`${MODULE_NAME}: floors data is provided by the publisher, learned floors will not be used`);
+    return;
+  }
+  const data = getLearnedFloorsData();
+  if (!data) return;
+  const values = JSON.stringify(data.modelGroups.map(group => group.values));
+  if (values === lastValues) return;
+  lastValues = values;
+  config.setConfig({ floors: { ...floors, data: data as any } });
+}
+
+function update() {
+  clearTimeout(updateTimer);
+  updateTimer = null;
+  lastUpdate = Date.now();
+  saveSamples();
+  applyLearnedFloors();
+}
+
+/**
+ * @summary Saves the recorded cpms and updates the floors data, at most once every `updateInterval`
+ */
+function scheduleUpdate() {
+  if (updateTimer != null) return;
+  const wait = lastUpdate + getOptions().updateInterval - Date.now();
+  if (wait > 0) {
+    updateTimer = setTimeout(update, wait);
+  } else {
+    update();
+  }
+}
+
+function flush() {
+  if (updateTimer != null) {
+    update();
+  }
+}
+
+function onAuctionEnd(auction) {
+  recordAuction(auction);
+  scheduleUpdate();
+}
+
+function onBidWon(bid) {
+  recordWin(bid);
+  scheduleUpdate();
+}
+
+export function reset() {
+  events.off(EVENTS.AUCTION_END, onAuctionEnd);
+  events.off(EVENTS.BID_WON, onBidWon);
+  window.removeEventListener('pagehide', flush);
+  clearTimeout(updateTimer);
+  updateTimer = null;
+  lastUpdate = -Infinity;
+  moduleConfig = null;
+  samples = {};
+  recorded = new WeakMap();
+  lastValues = null;
+}
+
+export function handleSetConfig(cfg: LearnedFloorsConfig) {
+  reset();
+  if (!cfg || cfg.enabled === false) return;
+  const invalidField = (cfg.fields || []).find(field => !fieldResolvers.hasOwnProperty(field));
+  if (invalidField) {
+    logWarn(`${MODULE_NAME}: unsupported field "${invalidField}", learned floors are disabled`);
+    return;
+  }
+  moduleConfig = cfg;
+  samples = loadSamples();
+  events.on(EVENTS.AUCTION_END, onAuctionEnd);
+  events.on(EVENTS.BID_WON, onBidWon);
+  // do not lose the cpms recorded since the last update when the user leaves
+  window.addEventListener('pagehide', flush);
+  applyLearnedFloors();
+}
+
+config.getConfig(MODULE_NAME, cfg => handleSetConfig(cfg[MODULE_NAME]));
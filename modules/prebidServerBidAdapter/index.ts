@@ -512,6 +512,11 @@ export function PrebidServer() {
           doClientSideSyncs(requestedBidders, gdprConsent, uspConsent, gppConsent);
         },
         onError(msg, error) {
+          if (error.canceled) {
+            logInfo('Prebid server call was canceled');
+            done(false);
+            return;
+          }
           const { p1Consent = '', noP1Consent = '' } = s2sBidRequest?.s2sConfig?.endpoint || {};
           if (p1Consent === noP1Consent) {
             logError(`Prebid server call failed: '${msg}'. Endpoint: "${p1Consent}"}`, error);
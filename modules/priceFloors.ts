@@ -22,18 +22,24 @@ import * as events from '../src/events.js';
 import { EVENTS, REJECTION_REASON } from '../src/constants.js';
 import { getHook } from '../src/hook.js';
 import { getRefererInfo } from '../src/refererDetection.js';
+import { getCoreStorageManager } from '../src/storageManager.js';
 import { bidderSettings } from '../src/bidderSettings.js';
 import { auctionManager } from '../src/auctionManager.js';
 import { IMP, PBS, registerOrtbProcessor, REQUEST } from '../src/pbjsORTB.js';
 import { timedAuctionHook, timedBidResponseHook } from '../src/utils/perfMetrics.js';
 import { adjustCpm } from '../src/utils/cpm.js';
+import { getHighestCpmBidsFromBidPool } from '../src/targeting.js';
 import { getGptSlotInfoForAdUnitCode } from '../libraries/gptUtils/gptUtils.js';
+import { getBrowser, getDeviceType, getOS } from '../libraries/userAgentUtils/index.js';
+import { browserTypes, deviceTypes, osTypes } from '../libraries/userAgentUtils/userAgentTypes.enums.js';
 import { convertCurrency } from '../libraries/currencyUtils/currency.js';
 import { timeoutQueue } from '../libraries/timeoutQueue/timeoutQueue.js';
 import { ALL_MEDIATYPES, BANNER, type MediaType } from '../src/mediaTypes.js';
-import type { Currency, Size, BidderCode } from "../src/types/common.d.ts";
+import { addApiMethod } from "../src/prebid.ts";
+import type { Currency, Size, BidderCode, ORTBFragments } from "../src/types/common.d.ts";
 import type { BidRequest } from '../src/adapterManager.ts';
 import type { Bid } from "../src/bidfactory.ts";
+import type { AdUnitDefinition } from "../src/adUnits.ts";
 
 export const FLOOR_SKIPPED_REASON = {
   NOT_FOUND: 'not_found',
@@ -50,13 +56,23 @@ const MODULE_NAME = 'Price Floors';
  */
 const ajax = ajaxBuilder(10000);
 
+export const STORAGE_KEY = 'prebid:priceFloors';
+
+export const storage = getCoreStorageManager('priceFloors');
+
 // eslint-disable-next-line symbol-description
 const SYN_FIELD = Symbol();
 
+/**
+ * @summary Built-in fields resolved from FPD and the auction context. Unlike other fields, these can be
+ * overridden by the publisher through `additionalSchemaFields`.
+ */
+const CONTEXT_FIELDS = ['deviceType', 'browser', 'os', 'country', 'hourOfDay', 'dayOfWeek', 'bidder', 'hasDeal', 'pagePath'] as const;
+
 /**
  * @summary Allowed fields for rules to have
  */
-export const allowedFields = [SYN_FIELD, 'gptSlot', 'adUnitCode', 'size', 'domain', 'mediaType'] as const;
+export const allowedFields = [SYN_FIELD, 'gptSlot', 'adUnitCode', 'size', 'domain', 'mediaType', ...CONTEXT_FIELDS] as const;
 type DefaultField = { [K in (typeof allowedFields)[number]]: K extends string ? K : never }[(typeof allowedFields)[number]];
 
 /**
@@ -82,6 +98,26 @@ function isUserIdTierField(field: string): boolean {
  */
 let fetching = false;
 
+/**
+ * @summary Set when the ongoing fetch is a background refresh, which auctions do not wait for
+ */
+let refreshing = false;
+
+/**
+ * @summary Timer for refreshing floors data on an interval
+ */
+let refreshTimer = null;
+
+/**
+ * @summary Number of auctions since floors data was last fetched
+ */
+let auctionsSinceFetch = 0;
+
+/**
+ * @summary Model versions of the floors data currently in use
+ */
+let activeModelVersions = [];
+
 /**
  * @summary so we only register for our hooks once
  */
@@ -92,6 +128,11 @@ let addedFloorsHook = false;
  */
 let _floorsConfig: any = {};
 
+/**
+ * @summary Publisher defined matching functions for built-in context fields
+ */
+let contextFieldOverrides = {};
+
 /**
  * @summary If a auction is to be delayed by an ongoing fetch we hold it here until it can be resumed
  */
@@ -158,6 +199,47 @@ function getAdUnitCode(request, response, { index = auctionManager.index } = {})
   return request?.adUnitCode || index.getAdUnit(response).code;
 }
 
+/**
+ * @summary maps ORTB device types (and the user agent derived fallback) to the values of the deviceType field
+ */
+const ORTB_DEVICE_TYPES = { 1: 'phone', 2: 'desktop', 3: 'ctv', 4: 'phone', 5: 'tablet', 6: 'ctv', 7: 'ctv' };
+const UA_DEVICE_TYPES = { [deviceTypes.DESKTOP]: 'desktop', [deviceTypes.MOBILE]: 'phone', [deviceTypes.TABLET]: 'tablet' };
+
+const BROWSERS = {
+  [browserTypes.CHROME]: 'chrome',
+  [browserTypes.FIREFOX]: 'firefox',
+  [browserTypes.SAFARI]: 'safari',
+  [browserTypes.EDGE]: 'edge',
+  [browserTypes.INTERNET_EXPLORER]: 'ie',
+  [browserTypes.OTHER]: 'other'
+};
+
+const OPERATING_SYSTEMS = {
+  [osTypes.WINDOWS]: 'windows',
+  [osTypes.MAC]: 'mac',
+  [osTypes.LINUX]: 'linux',
+  [osTypes.UNIX]: 'unix',
+  [osTypes.IOS]: 'ios',
+  [osTypes.ANDROID]: 'android',
+  [osTypes.OTHER]: 'other'
+};
+
+function getDeviceTypeField(bidRequest) {
+  return ORTB_DEVICE_TYPES[bidRequest?.ortb2?.device?.devicetype] || UA_DEVICE_TYPES[getDeviceType()];
+}
+
+function getPagePath(bidRequest) {
+  const page = bidRequest?.ortb2?.site?.page || getRefererInfo().page;
+  return page ? parseUrl(page, { noDecodeWholeURL: true }).pathname : undefined;
+}
+
+function getHasDeal(bidRequest, bidResponse) {
+  // deals are only known for bid responses, floors requested through getFloor match the catch-all
+  if (bidResponse?.cpm != null) {
+    return bidResponse.dealId ? 'true' : 'false';
+  }
+}
+
 /**
  * @summary floor field types with their matching functions to resolve the actual matched value
  */
@@ -167,7 +249,16 @@ export const fieldMatchingFunctions = {
   'mediaType': (bidRequest, bidResponse) => bidResponse.mediaType || 'banner',
   'gptSlot': (bidRequest, bidResponse) => getGptSlotFromAdUnit((bidRequest || bidResponse).adUnitId) || getGptSlotInfoForAdUnitCode(getAdUnitCode(bidRequest, bidResponse)).gptSlot,
   'domain': getHostname,
-  'adUnitCode': (bidRequest, bidResponse) => getAdUnitCode(bidRequest, bidResponse)
+  'adUnitCode': (bidRequest, bidResponse) => getAdUnitCode(bidRequest, bidResponse),
+  'deviceType': (bidRequest) => getDeviceTypeField(bidRequest),
+  'browser': () => BROWSERS[getBrowser()],
+  'os': () => OPERATING_SYSTEMS[getOS()],
+  'country': (bidRequest) => bidRequest?.ortb2?.device?.geo?.country,
+  'hourOfDay': () => String(new Date().getHours()),
+  'dayOfWeek': () => String(new Date().getDay()),
+  'bidder': (bidRequest, bidResponse) => bidRequest?.bidder || bidResponse?.bidderCode,
+  'hasDeal': getHasDeal,
+  'pagePath': (bidRequest) => getPagePath(bidRequest)
 } as const;
 
 /**
@@ -193,7 +284,7 @@ function enumeratePossibleFieldValues(floorFields, bidObject, responseObject) {
       exactMatch = String(userIdTierValues[field] ?? '*');
     } else {
       // Standard fields use the field matching functions
-      exactMatch = fieldMatchingFunctions[field](bidObject, responseObject) || '*';
+      exactMatch = (contextFieldOverrides[field] || fieldMatchingFunctions[field])(bidObject, responseObject) || '*';
     }
 
     // storing exact matches as lowerCase since we want to compare case insensitively
@@ -202,6 +293,114 @@ function enumeratePossibleFieldValues(floorFields, bidObject, responseObject) {
   }, []);
 }
 
+/**
+ * @summary Specificity of each kind of rule key segment, from most to least specific
+ */
+const SEGMENT_RANK = {
+  exact: 0,
+  set: 1,
+  range: 2,
+  pattern: 3,
+  any: 4
+} as const;
+
+const SIZE_RANGE = /^(>=|<=|>|<)(\d+)x(\d+)$/;
+
+const sizeComparisons = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b
+};
+
+/**
+ * @summary Rules containing pattern segments, parsed and sorted by specificity, for each set of floor values
+ */
+const patternRulesCache = new WeakMap();
+
+function escapeRegExp(string) {
+  return string.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&');
+}
+
+/**
+ * @summary Parses a rule key segment into its specificity rank and, for pattern segments, a function testing a field value against it.
+ * Pattern segments are size ranges (`>=300x250`), value sets (`{banner,video}`), regular expressions (`re:^/1234/news/`) and
+ * wildcard patterns (`/1234/news/*`).
+ */
+function parseRuleSegment(segment: string, field) {
+  if (segment === '*') {
+    return { rank: SEGMENT_RANK.any };
+  }
+  const range = field === 'size' && segment.match(SIZE_RANGE);
+  if (range) {
+    const [, operator, width, height] = range;
+    return {
+      rank: SEGMENT_RANK.range,
+      test: (value) => {
+        const size = value.match(/^(\d+)x(\d+)$/);
+        return size != null && sizeComparisons[operator](Number(size[1]), Number(width)) && sizeComparisons[operator](Number(size[2]), Number(height));
+      }
+    };
+  }
+  if (/^\{.*\}$/.test(segment)) {
+    const values = new Set(segment.slice(1, -1).split(',').map(value => value.trim()));
+    return { rank: SEGMENT_RANK.set, test: (value) => values.has(value) };
+  }
+  if (segment.startsWith('re:')) {
+    const regex = new RegExp(segment.slice(3), 'i');
+    return { rank: SEGMENT_RANK.pattern, test: (value) => regex.test(value) };
+  }
+  if (segment.includes('*')) {
+    const regex = new RegExp(`^${segment.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+    return { rank: SEGMENT_RANK.pattern, test: (value) => regex.test(value) };
+  }
+  return { rank: SEGMENT_RANK.exact, value: segment };
+}
+
+/**
+ * @summary Orders rules by specificity: first by the number of catch-all segments, then by the rank of each segment from left to right
+ */
+function compareSpecificity(left: number[], right: number[]) {
+  const catchAlls = (ranks) => ranks.filter(rank => rank === SEGMENT_RANK.any).length;
+  return catchAlls(left) - catchAlls(right) || left.reduce((diff, rank, i) => diff || rank - right[i], 0);
+}
+
+function getPatternRules(floorData) {
+  if (!patternRulesCache.has(floorData.values)) {
+    const fields = floorData.schema.fields;
+    const delimiter = floorData.schema.delimiter || '|';
+    const rules = Object.keys(floorData.values).map((key, index) => {
+      try {
+        const segments = key.split(delimiter).map((segment, i) => parseRuleSegment(segment, fields[i]));
+        return segments.some(segment => segment.test) ? { key, segments, ranks: segments.map(segment => segment.rank), index } : null;
+      } catch (e) {
+        logWarn(`${MODULE_NAME}: floor rule "${key}" contains an invalid regular expression and will be ignored`);
+        return null;
+      }
+    }).filter(rule => rule != null);
+    // ties are broken by the order in which rules are declared
+    rules.sort((left, right) => compareSpecificity(left.ranks, right.ranks) || left.index - right.index);
+    patternRulesCache.set(floorData.values, rules);
+  }
+  return patternRulesCache.get(floorData.values);
+}
+
+/**
+ * @summary Finds the most specific rule matching the field values, considering both exact and pattern rules
+ */
+function findMatchingRule(floorData, fieldValues, allPossibleMatches, delimiter) {
+  const exactRule = allPossibleMatches.find(hashValue => floorData.values.hasOwnProperty(hashValue));
+  const values = fieldValues.map(field => field[0]);
+  const patternRule = getPatternRules(floorData).find(rule => rule.segments.every((segment, i) => {
+    if (segment.test) return values[i] !== '*' && segment.test(values[i]);
+    return segment.rank === SEGMENT_RANK.any || segment.value === values[i];
+  }));
+  if (patternRule && (exactRule == null || compareSpecificity(patternRule.ranks, exactRule.split(delimiter).map(segment => segment === '*' ? SEGMENT_RANK.any : SEGMENT_RANK.exact)) < 0)) {
+    return patternRule.key;
+  }
+  return exactRule;
+}
+
 /**
  * @summary get's the first matching floor based on context provided.
  * Generates all possible rule matches and picks the first matching one.
@@ -219,8 +418,9 @@ export function getFirstMatchingFloor(floorData, bidObject, responseObject = {})
   if (previousMatch) {
     return { ...previousMatch };
   }
-  const allPossibleMatches = generatePossibleEnumerations(fieldValues, deepAccess(floorData, 'schema.delimiter') || '|');
-  const matchingRule = ((allPossibleMatches) || []).find(hashValue => floorData.values.hasOwnProperty(hashValue));
+  const delimiter = deepAccess(floorData, 'schema.delimiter') || '|';
+  const allPossibleMatches = generatePossibleEnumerations(fieldValues, delimiter);
+  const matchingRule = findMatchingRule(floorData, fieldValues, allPossibleMatches || [], delimiter);
 
   const matchingData: any = {
     floorMin: floorData.floorMin || 0,
@@ -331,7 +531,10 @@ export function getFloor(requestParams: GetFloorParams = { currency: 'USD', medi
   if (!floorData || floorData.skipped) return {};
 
   requestParams = updateRequestParamsFromContext(bidRequest, requestParams);
-  const floorInfo = getFirstMatchingFloor(floorData.data, { ...bidRequest }, { mediaType: requestParams.mediaType, size: requestParams.size });
+  const floorInfo = applyFloorTier(
+    getFirstMatchingFloor(floorData.data, { ...bidRequest }, { mediaType: requestParams.mediaType, size: requestParams.size }),
+    getFloorTier(floorData.enforcement, bidRequest.bidder)
+  );
   let currency = requestParams.currency || floorData.data.currency;
 
   // if bidder asked for a currency which is not what floors are set in convert
@@ -396,8 +599,8 @@ function normalizeRulesForAuction(floorData, adUnitCode) {
   const prependAdUnitCode = adUnitCode && fields.indexOf('adUnitCode') === -1 && fields.unshift('adUnitCode');
   return Object.keys(floorData.values).reduce((rulesHash, oldKey) => {
     const newKey = prependAdUnitCode ? `${adUnitCode}${delimiter}${oldKey}` : oldKey
-    // we store the rule keys as lower case for case insensitive compare
-    rulesHash[newKey.toLowerCase()] = floorData.values[oldKey];
+    // we store the rule keys as lower case for case insensitive compare (regular expressions are matched case insensitively instead)
+    rulesHash[newKey.split(delimiter).map(segment => segment.startsWith('re:') ? segment : segment.toLowerCase()).join(delimiter)] = floorData.values[oldKey];
     return rulesHash;
   }, {});
 }
@@ -670,8 +873,14 @@ export const requestBidsHook = timedAuctionHook('priceFloors', function requestB
     timer: null
   };
 
-  // If auction delay > 0 AND we are fetching -> Then wait until it finishes
-  if (_floorsConfig.auctionDelay > 0 && fetching) {
+  // refresh floors data in the background once enough auctions have run
+  auctionsSinceFetch++;
+  if (_floorsConfig.endpoint?.refreshAuctions > 0 && auctionsSinceFetch >= _floorsConfig.endpoint.refreshAuctions) {
+    generateAndHandleFetch(_floorsConfig.endpoint, true);
+  }
+
+  // If auction delay > 0 AND we are fetching (other than a background refresh) -> Then wait until it finishes
+  if (_floorsConfig.auctionDelay > 0 && fetching && !refreshing) {
     _delayedAuctions.submit(_floorsConfig.auctionDelay, () => continueAuction(hookConfig), () => {
       logWarn(`${MODULE_NAME}: Fetch attempt did not return in time for auction`);
       _floorsConfig.fetchStatus = 'timeout';
@@ -688,6 +897,7 @@ export const requestBidsHook = timedAuctionHook('priceFloors', function requestB
  */
 export function handleFetchResponse(fetchResponse) {
   fetching = false;
+  refreshing = false;
   _floorsConfig.fetchStatus = 'success';
   let floorResponse;
   try {
@@ -695,22 +905,73 @@ export function handleFetchResponse(fetchResponse) {
   } catch (ex) {
     floorResponse = fetchResponse;
   }
-  // Update the global floors object according to the fetched data
-  const fetchData = parseFloorData(floorResponse, 'fetch');
+  // Update the global floors object according to the fetched data (parsing modifies it, so keep the original for storage)
+  if (setFetchedFloorsData(deepClone(floorResponse))) {
+    writeCachedFloorsData(_floorsConfig.endpoint, floorResponse);
+  }
+
+  // if any auctions are waiting for fetch to finish, we need to continue them!
+  _delayedAuctions.resume();
+}
+
+/**
+ * @summary Sets fetched (or previously fetched and stored) floors data as the data to use for auctions
+ */
+function setFetchedFloorsData(floorsData) {
+  const fetchData = parseFloorData(floorsData, 'fetch');
   if (fetchData) {
     // set .data to it
     _floorsConfig.data = fetchData;
     // set skipRate override if necessary
     _floorsConfig.skipRate = isNumber(fetchData.skipRate) ? fetchData.skipRate : _floorsConfig.skipRate;
     _floorsConfig.floorProvider = fetchData.floorProvider || _floorsConfig.floorProvider;
+    updateModelVersions();
+  }
+  return fetchData;
+}
+
+function readCachedFloorsData(endpoint) {
+  if (!(endpoint?.cacheTtl > 0) || !storage.localStorageIsEnabled()) return null;
+  try {
+    const cached = JSON.parse(storage.getDataFromLocalStorage(STORAGE_KEY));
+    if (cached?.url === endpoint.url && cached.expires > Date.now()) {
+      return cached.data;
+    }
+  } catch (e) {
   }
+  return null;
+}
 
-  // if any auctions are waiting for fetch to finish, we need to continue them!
-  _delayedAuctions.resume();
+function writeCachedFloorsData(endpoint, data) {
+  if (!(endpoint?.cacheTtl > 0) || !storage.localStorageIsEnabled()) return;
+  storage.setDataInLocalStorage(STORAGE_KEY, JSON.stringify({ url: endpoint.url, data, expires: Date.now() + endpoint.cacheTtl }));
+}
+
+function getModelVersions(floorsData) {
+  if (!floorsData) return [];
+  return floorsData.floorsSchemaVersion === 2 ? floorsData.modelGroups.map(group => group.modelVersion) : [floorsData.modelVersion];
+}
+
+/**
+ * @summary Emits FLOORS_MODEL_CHANGED if the model versions of the floors data in use have changed
+ */
+function updateModelVersions() {
+  const modelVersions = getModelVersions(_floorsConfig.data);
+  if (!deepEqual(modelVersions, activeModelVersions)) {
+    const previousModelVersions = activeModelVersions;
+    activeModelVersions = modelVersions;
+    events.emit(EVENTS.FLOORS_MODEL_CHANGED, {
+      modelVersions,
+      previousModelVersions,
+      floorProvider: _floorsConfig.floorProvider,
+      location: _floorsConfig.data?.location
+    });
+  }
 }
 
 function handleFetchError(status) {
   fetching = false;
+  refreshing = false;
   _floorsConfig.fetchStatus = 'error';
   logError(`${MODULE_NAME}: Fetch errored with: `, status);
 
@@ -721,8 +982,9 @@ function handleFetchError(status) {
 /**
  * This function handles sending and receiving the AJAX call for a floors fetch
  * @param {object} floorEndpoint the floors endpoint coming from setConfig
+ * @param {boolean} refresh true if this is a background refresh, which auctions should not wait for
  */
-export function generateAndHandleFetch(floorEndpoint) {
+export function generateAndHandleFetch(floorEndpoint, refresh = false) {
   // if a fetch url is defined and one is not already occurring, fire it!
   if (floorEndpoint.url && !fetching) {
     // default to GET and we only support GET for now
@@ -730,8 +992,10 @@ export function generateAndHandleFetch(floorEndpoint) {
     if (requestMethod !== 'GET') {
       logError(`${MODULE_NAME}: 'GET' is the only request method supported at this time!`);
     } else {
-      ajax(floorEndpoint.url, { success: handleFetchResponse, error: handleFetchError }, null, { method: 'GET' });
+      auctionsSinceFetch = 0;
       fetching = true;
+      refreshing = refresh;
+      ajax(floorEndpoint.url, { success: handleFetchResponse, error: handleFetchError }, null, { method: 'GET' });
     }
   } else if (fetching) {
     logWarn(`${MODULE_NAME}: A fetch is already occurring. Skipping.`);
@@ -743,6 +1007,9 @@ export function generateAndHandleFetch(floorEndpoint) {
  */
 function addFieldOverrides(overrides) {
   Object.keys(overrides).forEach((override: any) => {
+    if (CONTEXT_FIELDS.includes(override) && typeof overrides[override] === 'function') {
+      contextFieldOverrides[override] = overrides[override];
+    }
     // we only add it if it is not already in the allowed fields and if the passed in value is a function
     if (allowedFields.indexOf(override) === -1 && typeof overrides[override] === 'function') {
       (allowedFields as any).push(override);
@@ -823,6 +1090,38 @@ declare module '../src/adUnits' {
   }
 }
 
+export type FloorTier = {
+  /**
+   * Name of the tier, recorded on the bid's floorData as `floorTier`.
+   */
+  name: string;
+  /**
+   * Bidders this tier applies to. Defaults to all bidders.
+   */
+  bidders?: BidderCode[];
+  /**
+   * If true, this tier only applies to deal bids; if false, only to bids without a deal. Defaults to both.
+   * Floors of tiers applying to deals are enforced regardless of `floorDeals`.
+   */
+  deals?: boolean;
+  /**
+   * Deal IDs this tier applies to.
+   */
+  dealIds?: string[];
+  /**
+   * Floor of this tier, replacing the matched rule (floorMin still applies).
+   */
+  floor?: number;
+  /**
+   * Multiplier applied to the matched floor (floorMin still applies). Ignored if `floor` is set.
+   */
+  floorMultiplier?: number;
+  /**
+   * Soft floor multiplier for this tier, overriding `enforcement.softFloorMultiplier`.
+   */
+  softFloorMultiplier?: number;
+}
+
 export type FloorsConfig = Pick<Schema1FloorData, 'skipRate' | 'floorProvider'> & {
   enabled?: boolean;
   /**
@@ -867,6 +1166,15 @@ export type FloorsConfig = Pick<Schema1FloorData, 'skipRate' | 'floorProvider'>
      * expecting net or vice versa.
      */
     bidAdjustment?: boolean;
+    /**
+     * Soft floor, as a multiple (greater than 1) of the matched floor. Bids below the soft floor (but not below the matched floor)
+     * are not rejected, but they can only win if no other bid for the same ad unit clears the soft floor.
+     */
+    softFloorMultiplier?: number;
+    /**
+     * Floor tiers for specific bidders or deals. The first matching tier applies to a bid.
+     */
+    tiers?: FloorTier[];
   }
   /**
    * Map from custom field name to a function generating that field's value for either a bid or a bid request.
@@ -883,6 +1191,19 @@ export type FloorsConfig = Pick<Schema1FloorData, 'skipRate' | 'floorProvider'>
      * URL of endpoint to retrieve dynamic floor data.
      */
     url: string;
+    /**
+     * How long (in milliseconds) fetched floor data is kept in local storage and used on subsequent page views
+     * instead of fetching it again. Default: 0 (not stored)
+     */
+    cacheTtl?: number;
+    /**
+     * Interval (in milliseconds) at which floor data is fetched again in the background. Default: 0 (no refresh)
+     */
+    refreshInterval?: number;
+    /**
+     * Number of auctions after which floor data is fetched again in the background. Default: 0 (no refresh)
+     */
+    refreshAuctions?: number;
   };
   data?: Schema1FloorData | Schema2FloorData;
 }
@@ -893,10 +1214,33 @@ declare module '../src/config' {
   }
 }
 
+export type FloorsModelChangedData = {
+  /**
+   * Model versions of the floor data now in use (one per model group for schema 2 data).
+   */
+  modelVersions: string[];
+  previousModelVersions: string[];
+  floorProvider: string;
+  /**
+   * Where the floor data comes from ('setConfig' or 'fetch').
+   */
+  location: string;
+}
+
+declare module '../src/events' {
+  interface Events {
+    /**
+     * Fired when the model versions of the floor data in use change.
+     */
+    [EVENTS.FLOORS_MODEL_CHANGED]: [FloorsModelChangedData];
+  }
+}
+
 /**
  * @summary This is the function which controls what happens during a pbjs.setConfig({...floors: {}}) is called
  */
 export function handleSetFloorsConfig(config) {
+  contextFieldOverrides = {};
   _floorsConfig = pick(config, [
     'floorMin',
     'enabled', enabled => enabled !== false, // defaults to true
@@ -911,16 +1255,30 @@ export function handleSetFloorsConfig(config) {
       'enforcePBS', enforcePBS => enforcePBS === true, // defaults to false
       'floorDeals', floorDeals => floorDeals === true, // defaults to false
       'bidAdjustment', bidAdjustment => bidAdjustment !== false, // defaults to true,
-      'noFloorSignalBidders', noFloorSignalBidders => noFloorSignalBidders || []
+      'noFloorSignalBidders', noFloorSignalBidders => noFloorSignalBidders || [],
+      'softFloorMultiplier', softFloorMultiplier => isValidSoftFloorMultiplier(softFloorMultiplier) ? softFloorMultiplier : undefined,
+      'tiers', validateFloorTiers
     ]),
     'additionalSchemaFields', additionalSchemaFields => typeof additionalSchemaFields === 'object' && Object.keys(additionalSchemaFields).length > 0 ? addFieldOverrides(additionalSchemaFields) : undefined,
     'data', data => (data && parseFloorData(data, 'setConfig')) || undefined
   ]);
 
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+
   // if enabled then do some stuff
   if (_floorsConfig.enabled) {
-    // handle the floors fetch
-    generateAndHandleFetch(_floorsConfig.endpoint);
+    updateModelVersions();
+    // use stored floor data from a previous fetch if still fresh, otherwise handle the floors fetch
+    const cachedData = readCachedFloorsData(_floorsConfig.endpoint);
+    if (cachedData && setFetchedFloorsData(cachedData)) {
+      _floorsConfig.fetchStatus = 'cached';
+    } else {
+      generateAndHandleFetch(_floorsConfig.endpoint);
+    }
+    if (_floorsConfig.endpoint.url && _floorsConfig.endpoint.refreshInterval > 0) {
+      refreshTimer = setInterval(() => generateAndHandleFetch(_floorsConfig.endpoint, true), _floorsConfig.endpoint.refreshInterval);
+    }
 
     if (!addedFloorsHook) {
       // register hooks / listening events
@@ -934,6 +1292,8 @@ export function handleSetFloorsConfig(config) {
       // if user has debug on then we want to allow the debugging module to run before this, assuming they are testing priceFloors
       // debugging is currently set at 5 priority
       getHook('addBidResponse').before(addBidResponseHook, debugTurnedOn() ? 4 : 50);
+      // soft floored bids need to be filtered out before multibid (at priority 15) picks the top bids
+      getHighestCpmBidsFromBidPool.before(softFloorBidPoolHook, 20);
       addedFloorsHook = true;
     }
   } else {
@@ -941,9 +1301,11 @@ export function handleSetFloorsConfig(config) {
 
     _floorsConfig = {};
     _floorDataForAuction = {};
+    activeModelVersions = [];
 
     getHook('addBidResponse').getHooks({ hook: addBidResponseHook }).remove();
     getHook('requestBids').getHooks({ hook: requestBidsHook }).remove();
+    getHighestCpmBidsFromBidPool.getHooks({ hook: softFloorBidPoolHook }).remove();
 
     addedFloorsHook = false;
   }
@@ -957,6 +1319,18 @@ export type BidFloorData = {
   cpmAfterAdjustments: number;
   enforcements: FloorsConfig['enforcement'];
   matchedFields: { [fieldName: string ]: string }
+  /**
+   * Name of the floor tier applied to the bid, if any.
+   */
+  floorTier?: string;
+  /**
+   * Soft floor applied to the bid, if any.
+   */
+  softFloor?: number;
+  /**
+   * True if the bid is below its soft floor; such bids can only win when no other bid clears the soft floor.
+   */
+  belowSoftFloor?: boolean;
 }
 
 declare module '../src/bidfactory' {
@@ -979,23 +1353,100 @@ function addFloorDataToBid(floorData, floorInfo, bid: Partial<Bid>, adjustedCpm)
     enforcements: { ...floorData.enforcement },
     matchedFields: {}
   };
+  if (floorInfo.floorTier != null) {
+    bid.floorData.floorTier = floorInfo.floorTier;
+  }
   floorData.data.schema.fields.forEach((field, index) => {
     const matchedValue = floorInfo.matchingData.split(floorData.data.schema.delimiter)[index];
     bid.floorData.matchedFields[field] = matchedValue;
   });
 }
 
+function getBidderCode(bid) {
+  return bid?.adapterCode || bid?.bidderCode || bid?.bidder;
+}
+
 /**
- * @summary takes the enforcement flags and the bid itself and determines if it should be floored
+ * @summary takes the enforcement flags and the bid itself and determines if floors are enforced for it
  */
-function shouldFloorBid(floorData, floorInfo, bid) {
+function shouldEnforceFloor(floorData, bid, tier?: FloorTier) {
   const enforceJS = deepAccess(floorData, 'enforcement.enforceJS') !== false;
   const enforceBidders = deepAccess(floorData, 'enforcement.enforceBidders') || ['*'];
-  const bidderCode = bid?.adapterCode || bid?.bidderCode || bid?.bidder;
+  const bidderCode = getBidderCode(bid);
   const shouldEnforceBidder = enforceBidders.includes('*') || (bidderCode != null && enforceBidders.includes(bidderCode));
-  const shouldFloorDeal = deepAccess(floorData, 'enforcement.floorDeals') === true || !bid.dealId;
+  const shouldFloorDeal = deepAccess(floorData, 'enforcement.floorDeals') === true || !bid.dealId || tierAppliesToDeals(tier);
+  return enforceJS && shouldEnforceBidder && shouldFloorDeal;
+}
+
+/**
+ * @summary takes the enforcement flags and the bid itself and determines if it should be floored
+ */
+function shouldFloorBid(floorData, floorInfo, bid, tier?: FloorTier) {
   const bidBelowFloor = bid.floorData.cpmAfterAdjustments < floorInfo.matchingFloor;
-  return enforceJS && shouldEnforceBidder && (bidBelowFloor && shouldFloorDeal);
+  return bidBelowFloor && shouldEnforceFloor(floorData, bid, tier);
+}
+
+function isValidSoftFloorMultiplier(multiplier) {
+  return isNumber(multiplier) && multiplier > 1;
+}
+
+function validateFloorTiers(tiers) {
+  if (tiers == null) return;
+  if (!Array.isArray(tiers)) {
+    logError(`${MODULE_NAME}: enforcement.tiers must be an array`);
+    return;
+  }
+  return tiers.filter(tier => {
+    if (typeof tier?.name !== 'string') {
+      logError(`${MODULE_NAME}: floor tiers must have a name, ignoring tier`, tier);
+      return false;
+    }
+    return true;
+  });
+}
+
+function tierAppliesToDeals(tier?: FloorTier) {
+  return tier?.deals === true || tier?.dealIds?.length > 0;
+}
+
+/**
+ * @summary Returns the first floor tier that matches the bidder and, for bid responses, the bid's deal.
+ * Without a bid response, tiers that depend on deals do not match.
+ */
+export function getFloorTier(enforcement, bidderCode, bid?): FloorTier {
+  return (enforcement?.tiers || []).find((tier: FloorTier) => {
+    if (tier.bidders?.length && !tier.bidders.includes(bidderCode)) return false;
+    if (tier.deals == null && !tier.dealIds?.length) return true;
+    if (bid == null) return false;
+    if (tier.dealIds?.length) return tier.dealIds.includes(bid.dealId);
+    return tier.deals === !!bid.dealId;
+  });
+}
+
+/**
+ * @summary Adjusts the matched floor according to a floor tier
+ */
+export function applyFloorTier(floorInfo, tier?: FloorTier) {
+  if (tier) {
+    floorInfo.floorTier = tier.name;
+    if (isNumber(tier.floor)) {
+      floorInfo.matchingFloor = Math.max(floorInfo.floorMin || 0, tier.floor);
+    } else if (isNumber(tier.floorMultiplier) && floorInfo.matchingFloor) {
+      floorInfo.matchingFloor = Math.max(floorInfo.floorMin || 0, floorInfo.matchingFloor * tier.floorMultiplier);
+    }
+  }
+  return floorInfo;
+}
+
+/**
+ * @summary getHighestCpmBidsFromBidPool before hook. Bids below their soft floor are only eligible to win
+ * if no other bid for the same ad unit clears its soft floor. Bids without a soft floor (no matching floor, or floors
+ * not enforced for them) are always eligible, but do not count as clearing it: a bid that was not checked against
+ * any floor should not exclude a higher bid that was.
+ */
+export function softFloorBidPoolHook(fn, bidsReceived, ...args) {
+  const clearingAdUnits = new Set(bidsReceived.filter(bid => bid.floorData?.belowSoftFloor === false).map(bid => bid.adUnitCode));
+  return fn.call(this, bidsReceived.filter(bid => !bid.floorData?.belowSoftFloor || !clearingAdUnits.has(bid.adUnitCode)), ...args);
 }
 
 /**
@@ -1011,8 +1462,9 @@ export const addBidResponseHook = timedBidResponseHook('priceFloors', function a
 
   const matchingBidRequest = auctionManager.index.getBidRequest(bid);
 
-  // get the matching rule
-  const floorInfo = getFirstMatchingFloor(floorData.data, matchingBidRequest, { ...bid, size: [bid.width, bid.height] });
+  // get the matching rule, adjusted for the bid's floor tier
+  const tier = getFloorTier(floorData.enforcement, getBidderCode(bid), bid);
+  const floorInfo = applyFloorTier(getFirstMatchingFloor(floorData.data, matchingBidRequest, { ...bid, size: [bid.width, bid.height] }), tier);
 
   if (!floorInfo.matchingFloor) {
     if (floorInfo.matchingFloor !== 0) logWarn(`${MODULE_NAME}: unable to determine a matching price floor for bidResponse`, bid);
@@ -1043,17 +1495,231 @@ export const addBidResponseHook = timedBidResponseHook('priceFloors', function a
   addFloorDataToBid(floorData, floorInfo, bid, adjustedCpm);
 
   // now do the compare!
-  if (shouldFloorBid(floorData, floorInfo, bid)) {
+  if (shouldFloorBid(floorData, floorInfo, bid, tier)) {
     // bid fails floor -> throw it out
     reject(REJECTION_REASON.FLOOR_NOT_MET);
     logWarn(`${MODULE_NAME}: ${bid.bidderCode}'s Bid Response for ${adUnitCode} was rejected due to floor not met (adjusted cpm: ${bid?.floorData?.cpmAfterAdjustments}, floor: ${floorInfo?.matchingFloor})`, bid);
     return;
   }
+  // bids that clear the floor but not the soft floor are kept, and may only win if no other bid clears it
+  const softFloorMultiplier = tier?.softFloorMultiplier ?? floorData.enforcement?.softFloorMultiplier;
+  if (isValidSoftFloorMultiplier(softFloorMultiplier) && shouldEnforceFloor(floorData, bid, tier)) {
+    bid.floorData.softFloor = floorInfo.matchingFloor * softFloorMultiplier;
+    bid.floorData.belowSoftFloor = bid.floorData.cpmAfterAdjustments < bid.floorData.softFloor;
+  }
   return fn.call(this, adUnitCode, bid, reject);
 });
 
 config.getConfig('floors', config => handleSetFloorsConfig(config.floors));
 
+export type FloorSimulationParams = {
+  /**
+   * Ad unit the request is for. Its `floors` definition is used if there is no floors data.
+   */
+  adUnit: AdUnitDefinition;
+  /**
+   * Bidder the request is for.
+   */
+  bidder: BidderCode;
+  /**
+   * Media type the floor is requested for, as in `getFloor`. Default: '*'
+   */
+  mediaType?: MediaType | '*';
+  /**
+   * Size the floor is requested for, as in `getFloor`. Default: '*'
+   */
+  size?: Size | '*';
+  /**
+   * Floors data to evaluate, in the same format as `floors.data`. Defaults to the configured floors data.
+   */
+  floorsData?: Schema1FloorData | Schema2FloorData;
+  /**
+   * For floors data with model groups, the modelVersion of the group to evaluate. Required when there is more than one group.
+   */
+  modelVersion?: string;
+  /**
+   * Enforcement options, as in `floors.enforcement`. Defaults to the configured ones.
+   */
+  enforcement?: FloorsConfig['enforcement'];
+  /**
+   * First party data of the request, used to resolve fields such as deviceType or country.
+   */
+  ortb2?: ORTBFragments['global'];
+  /**
+   * Bid response to evaluate floor enforcement for.
+   */
+  bid?: {
+    cpm: number;
+    /**
+     * Defaults to the floors currency.
+     */
+    currency?: Currency;
+    dealId?: string;
+  };
+}
+
+export type FloorSimulationResult = {
+  /**
+   * False if the floors data is not valid, or does not contain the requested model group (or `modelVersion` is missing
+   * and there is more than one group).
+   */
+  valid: boolean;
+  /**
+   * Whether floors are always skipped: when no floors data is found, or skipRate is 100.
+   */
+  skipped?: boolean;
+  skippedReason?: (typeof FLOOR_SKIPPED_REASON)[keyof typeof FLOOR_SKIPPED_REASON];
+  /**
+   * Percentage of live auctions in which floors would be skipped at random. The rest of the result describes
+   * the auctions in which they are not.
+   */
+  skipRate?: number;
+  /**
+   * True if the bidder is not sent floors.
+   */
+  noFloorSignaled?: boolean;
+  modelVersion?: string;
+  /**
+   * Rule that matched the request; undefined if no rule or the default matched.
+   */
+  matchedRule?: string;
+  matchedFields?: { [fieldName: string]: string };
+  floorRuleValue?: number;
+  /**
+   * Floor enforced for the request (in `currency`), after floorMin and floor tiers. It does not include the
+   * bidder's inverse bid adjustment applied by `getFloor`.
+   */
+  floor?: number;
+  currency?: Currency;
+  floorTier?: string;
+  /**
+   * Enforcement outcome for `bid`, if provided.
+   */
+  enforcement?: {
+    /**
+     * Bid cpm in the floors currency, after the bidder's cpm adjustment.
+     */
+    cpmAfterAdjustments: number;
+    /**
+     * Whether the floor is enforced for the bid.
+     */
+    enforced: boolean;
+    floorMet: boolean;
+    /**
+     * Whether the bid would be rejected.
+     */
+    rejected: boolean;
+    softFloor?: number;
+    belowSoftFloor?: boolean;
+  };
+}
+
+/**
+ * @summary Evaluates floors data for a request (and optionally a bid response) outside of an auction, returning the
+ * matched rule, floor, skip decision and enforcement outcome.
+ */
+export function simulateFloor({
+  adUnit,
+  bidder,
+  mediaType = '*',
+  size = '*',
+  floorsData,
+  modelVersion,
+  enforcement = _floorsConfig.enforcement || {},
+  ortb2 = {},
+  bid
+}: FloorSimulationParams): FloorSimulationResult {
+  const useConfigured = floorsData == null;
+  let data = deepClone(useConfigured ? _floorsConfig.data : floorsData);
+  if (!useConfigured && !isFloorsDataValid(data)) {
+    return { valid: false };
+  }
+  if (data?.floorsSchemaVersion === 2) {
+    const { modelGroups, ...rest } = data;
+    if (modelVersion == null && modelGroups.length > 1) {
+      // picking a group by weight would make the result random
+      logWarn(`${MODULE_NAME}: modelVersion is required to simulate floors data with more than one model group`);
+      return { valid: false };
+    }
+    const model = modelVersion != null ? modelGroups.find(group => group.modelVersion === modelVersion) : modelGroups[0];
+    if (model == null) {
+      logWarn(`${MODULE_NAME}: model group '${modelVersion}' not found`);
+      return { valid: false };
+    }
+    data = Object.assign(rest, model);
+  }
+  const floorData = Object.keys(data?.values || {}).length > 0 ? getFloorsDataForAuction(data) : getFloorDataFromAdUnits([adUnit]);
+  const floorMin = useConfigured ? _floorsConfig.floorMin : undefined;
+  if (floorMin != null) floorData.floorMin = floorMin;
+
+  const skipRate = (data?.skipRate ?? (useConfigured ? _floorsConfig.skipRate : undefined)) || 0;
+  const result: FloorSimulationResult = {
+    valid: true,
+    skipped: false,
+    skipRate,
+    noFloorSignaled: getNoFloorSignalBidersArray({ data, enforcement }).includes(bidder),
+    modelVersion: floorData.modelVersion
+  };
+  if (Object.keys(floorData.values || {}).length === 0) {
+    return { ...result, skipped: true, skippedReason: FLOOR_SKIPPED_REASON.NOT_FOUND };
+  }
+  if (skipRate >= 100) {
+    result.skipped = true;
+    result.skippedReason = FLOOR_SKIPPED_REASON.RANDOM;
+  }
+
+  const bidRequest = { bidder, adUnitCode: adUnit.code, mediaTypes: adUnit.mediaTypes, ortb2Imp: adUnit.ortb2Imp, ortb2 };
+  const requestParams = updateRequestParamsFromContext(bidRequest, { mediaType, size });
+  const response = { bidderCode: bidder, mediaType: requestParams.mediaType, size: requestParams.size, ...(bid && { cpm: bid.cpm, dealId: bid.dealId }) };
+  const tier = getFloorTier(enforcement, bidder, bid);
+  const floorInfo = applyFloorTier(getFirstMatchingFloor(floorData, bidRequest, response), tier);
+  Object.assign(result, {
+    matchedRule: floorInfo.matchingRule,
+    matchedFields: floorInfo.matchingData == null ? undefined : Object.fromEntries(
+      floorData.schema.fields.map((field, index) => [field, floorInfo.matchingData.split(floorData.schema.delimiter)[index]])
+    ),
+    floorRuleValue: floorInfo.floorRuleValue,
+    floor: floorInfo.matchingFloor,
+    currency: floorData.currency,
+    floorTier: floorInfo.floorTier
+  });
+
+  if (bid != null) {
+    let cpm = bid.cpm;
+    if (bid.currency != null && bid.currency.toUpperCase() !== floorData.currency.toUpperCase()) {
+      try {
+        cpm = getGlobal().convertCurrency(cpm, bid.currency.toUpperCase(), floorData.currency.toUpperCase());
+      } catch (e) {
+        logWarn(`${MODULE_NAME}: unable to convert the bid to the floors currency, enforcement is not simulated`);
+        return result;
+      }
+    }
+    cpm = getBiddersCpmAdjustment(cpm, { ...response, ...bid }, bidRequest);
+    const enforced = shouldEnforceFloor({ enforcement }, { bidderCode: bidder, dealId: bid.dealId }, tier);
+    const floorMet = !(cpm < floorInfo.matchingFloor);
+    result.enforcement = {
+      cpmAfterAdjustments: cpm,
+      enforced,
+      floorMet,
+      rejected: !result.skipped && enforced && !floorMet
+    };
+    const softFloorMultiplier = tier?.softFloorMultiplier ?? enforcement.softFloorMultiplier;
+    if (isValidSoftFloorMultiplier(softFloorMultiplier) && enforced && floorInfo.matchingFloor) {
+      result.enforcement.softFloor = floorInfo.matchingFloor * softFloorMultiplier;
+      result.enforcement.belowSoftFloor = !result.skipped && cpm < result.enforcement.softFloor;
+    }
+  }
+  return result;
+}
+
+declare module '../src/prebidGlobal' {
+  interface PrebidJS {
+    simulateFloor: typeof simulateFloor;
+  }
+}
+
+addApiMethod('simulateFloor', simulateFloor);
+
 function tryGetFloor(bidRequest, { currency = config.getConfig('currency.adServerCurrency') || 'USD', mediaType = '*', size = '*' }: GetFloorParams, fn) {
   if (typeof bidRequest.getFloor === 'function') {
     let floor;
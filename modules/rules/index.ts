@@ -7,10 +7,15 @@ import { registerActivityControl } from "../../src/activities/rules.js";
 import { ajax } from "../../src/ajax.ts";
 import { AuctionIndex } from "../../src/auctionIndex.js";
 import { auctionManager } from "../../src/auctionManager.js";
+import adapterManager from "../../src/adapterManager.ts";
 import { config } from "../../src/config.ts";
+import { EVENTS, REJECTION_REASON } from "../../src/constants.ts";
+import { emit as emitEvent, on as onEvent, off as offEvent } from "../../src/events.ts";
 import { getHook } from "../../src/hook.ts";
-import { generateUUID, logInfo, logWarn } from "../../src/utils.ts";
-import { timedAuctionHook } from "../../src/utils/perfMetrics.ts";
+import { addApiMethod } from "../../src/prebid.ts";
+import { getCoreStorageManager } from "../../src/storageManager.ts";
+import { deepAccess, deepSetValue, generateUUID, logInfo, logWarn, parseSizesInput } from "../../src/utils.ts";
+import { timedAuctionHook, timedBidResponseHook } from "../../src/utils/perfMetrics.ts";
 
 /**
  * Configuration interface for the shaping rules module.
@@ -25,6 +30,22 @@ interface ShapingRulesConfig {
     url: string;
     /** HTTP method to use for fetching rules (currently only 'GET' is supported) */
     method: string;
+    /**
+     * Interval in milliseconds at which rules are re-fetched in the background.
+     * Default: 0 (no refresh)
+     */
+    refreshInterval?: number;
+    /**
+     * Time in milliseconds for which fetched rules are cached in local storage and used
+     * on subsequent page views without waiting for the endpoint. Cached rules are still revalidated
+     * in the background, and replaced as soon as the endpoint serves a different version.
+     * Default: 0 (no caching)
+     */
+    cacheTtl?: number;
+    /** Number of times a failed fetch is retried. Default: 3 */
+    maxRetries?: number;
+    /** Delay in milliseconds before the first retry; doubled for each subsequent retry. Default: 1000 */
+    retryDelay?: number;
   };
   /**
    * Static rules configuration object.
@@ -46,6 +67,13 @@ interface ShapingRulesConfig {
   extraSchemaEvaluators?: {
     [key: string]: (args: any[], context: any) => () => any;
   };
+  /**
+   * If true, rules are evaluated, logged and traced, but their results are not enforced
+   * (bidders are not excluded and bids and requests are not modified).
+   * Analytics labels are still set.
+   * Default: false
+   */
+  dryRun?: boolean;
 }
 
 /**
@@ -58,6 +86,47 @@ interface ModelGroupSchema {
   args?: any[];
 }
 
+/**
+ * Tests applied to the value computed by a schema function; all tests present must pass.
+ */
+interface ConditionOperators {
+  /** Value is equal to the given value */
+  eq?: any;
+  /** Value is not equal to the given value */
+  ne?: any;
+  /** Value is one of the given values */
+  in?: any[];
+  /** Value is not one of the given values */
+  notIn?: any[];
+  /** Value is a number greater than the given number */
+  gt?: number;
+  /** Value is a number greater than or equal to the given number */
+  gte?: number;
+  /** Value is a number less than the given number */
+  lt?: number;
+  /** Value is a number less than or equal to the given number */
+  lte?: number;
+  /** Value is a string matching the given regular expression */
+  matches?: string;
+  /** Flags for the `matches` regular expression */
+  flags?: string;
+  /** If true, value is null or undefined; if false, value is neither */
+  isNull?: boolean;
+}
+
+/**
+ * Condition on a single schema entry. `schema` is either the index of the entry in the model group's
+ * `schema` array, or the name of its function.
+ */
+interface SchemaCondition extends ConditionOperators {
+  schema: number | string;
+}
+
+/**
+ * Boolean expression over the model group's schema entries.
+ */
+type ConditionExpression = SchemaCondition | { and: ConditionExpression[] } | { or: ConditionExpression[] } | { not: ConditionExpression };
+
 /**
  * Model group configuration for A/B testing with different rule configurations.
  * Only one object within the group is chosen based on weight.
@@ -81,9 +150,20 @@ interface ModelGroup {
    * Each rule has conditions that must be met and results that are triggered.
    */
   rules: [{
-    /** Conditions that must be met for the rule to apply */
-    conditions: string[];
-    /** Resulting actions triggered when conditions are met */
+    /**
+     * Conditions that must be met for the rule to apply. Either:
+     *  - an array with one entry for each schema entry, matched if any entry matches. Entries are
+     *    `'*'` (always matches), `'true'`, `'false'`, a value the schema value must be equal to, or a `ConditionOperators` object;
+     *  - a `ConditionExpression`, e.g. `{and: [{schema: 0, eq: true}, {not: {schema: 'bundle', in: ['com.example']}}]}`.
+     */
+    conditions: Array<string | ConditionOperators> | ConditionExpression;
+    /**
+     * Resulting actions triggered when conditions are met.
+     * At the `processed-auction-request` stage: `excludeBidders`, `includeBidders`, `logAtag`,
+     * `setImpFields` and `stripMediaTypes`.
+     * At the `processed-auction` stage: `excludeBidders`, `includeBidders`, `logAtag`,
+     * `adjustCpm`, `setTargeting` and `limitBids`.
+     */
     results: [
       {
         /** Function defining the result action */
@@ -143,18 +223,70 @@ interface RulesConfig {
   enabled: boolean;
 }
 
+/**
+ * Outcome of evaluating a model group for a bidder.
+ */
+export interface RulesDecision {
+  auctionId: string;
+  stage: string;
+  bidder: string;
+  adUnitCode: string;
+  analyticsKey: string;
+  /** Index of the matching rule, or `'default'` when the default results were used */
+  rule: number | 'default';
+  /** Schema values computed while looking for a matching rule */
+  schema: Array<{ function: string; args: any[]; value: any }>;
+  /** Results relevant to this decision */
+  results: any[];
+  /** False in dry run mode */
+  enforced: boolean;
+}
+
+/**
+ * Rules decision trace for an auction.
+ */
+export interface RulesTrace {
+  dryRun: boolean;
+  /** The model group selected for each rule set */
+  modelGroups: Array<{ ruleSet: string; stage: string; analyticsKey: string; version: string }>;
+  decisions: RulesDecision[];
+}
+
 declare module '../../src/config' {
   interface Config {
     shapingRules?: ShapingRulesConfig;
   }
 }
 
+declare module '../../src/events' {
+  interface Events {
+    [EVENTS.RULES_DECISION]: [RulesDecision];
+  }
+}
+
+declare module '../../src/prebidGlobal' {
+  interface PrebidJS {
+    getShapingRulesTrace: typeof getShapingRulesTrace;
+  }
+}
+
 const MODULE_NAME = 'shapingRules';
 
+export const STORAGE_KEY = 'prebid:shapingRules';
+export const VERSION_LABEL = 'shapingRulesVersion';
+
+export const coreStorage = getCoreStorageManager(MODULE_NAME);
+
 const globalRandomStore = new WeakMap<{ auctionId: string }, number>();
 
 let auctionConfigStore = new Map<string, any>();
 
+const traceStore = new Map<string, RulesTrace>();
+
+const bidCountStore = new Map<string, { [key: string]: number }>();
+
+const targetingOverrides = new WeakMap<object, { [key: string]: any }>();
+
 export const dep = {
   getGlobalRandom: getGlobalRandom
 };
@@ -164,6 +296,9 @@ function getGlobalRandom(auctionId: string, auctionIndex: AuctionIndex = auction
     return Math.random();
   }
   const auction = auctionIndex.getAuction({ auctionId });
+  if (!auction) {
+    return Math.random();
+  }
   if (!globalRandomStore.has(auction)) {
     globalRandomStore.set(auction, Math.random());
   }
@@ -189,6 +324,45 @@ const delayedAuctions = timeoutQueue();
 
 let rulesConfig: RulesConfig = null;
 
+let refreshTimer = null;
+
+let retryTimer = null;
+
+let moduleLabels = {};
+
+function addLabels(labels) {
+  moduleLabels = { ...moduleLabels, ...labels };
+  setLabels(moduleLabels);
+}
+
+function setRules(rules: RulesConfig) {
+  if (rulesConfig?.version !== rules?.version) {
+    logInfo(`${MODULE_NAME}: Using rules version ${rules?.version}`);
+  }
+  rulesConfig = rules;
+  rulesLoaded = true;
+  if (rules?.version != null) {
+    addLabels({ [VERSION_LABEL]: rules.version });
+  }
+}
+
+function readCachedRules(): RulesConfig {
+  if (!coreStorage.localStorageIsEnabled()) return null;
+  try {
+    const cached = JSON.parse(coreStorage.getDataFromLocalStorage(STORAGE_KEY));
+    if (cached?.rules && cached.expires > Date.now()) {
+      return cached.rules;
+    }
+  } catch (e) {
+  }
+  return null;
+}
+
+function writeCachedRules(rules: RulesConfig, cacheTtl: number) {
+  if (!(cacheTtl > 0) || !coreStorage.localStorageIsEnabled()) return;
+  coreStorage.setDataInLocalStorage(STORAGE_KEY, JSON.stringify({ rules, expires: Date.now() + cacheTtl }));
+}
+
 export function evaluateConfig(config: RulesConfig, auctionId: string) {
   if (!config || !config.ruleSets) {
     logWarn(`${MODULE_NAME}: Invalid structure for rules engine`);
@@ -204,16 +378,17 @@ export function evaluateConfig(config: RulesConfig, auctionId: string) {
 
   const modelGroupsWithStage = getAssignedModelGroups(stageRules || []);
 
-  for (const { modelGroups, stage } of modelGroupsWithStage) {
+  for (const { modelGroups, stage, name } of modelGroupsWithStage) {
     const modelGroup = modelGroups.find(group => group.selected);
     if (!modelGroup) continue;
+    getTrace(auctionId).modelGroups.push({ ruleSet: name, stage, analyticsKey: modelGroup.analyticsKey, version: modelGroup.version });
     evaluateRules(modelGroup.rules || [], modelGroup.schema || [], stage, modelGroup.analyticsKey, auctionId, modelGroup.default);
   }
 }
 
-export function getAssignedModelGroups(rulesets: RuleSet[]): Array<{ modelGroups: ModelGroup[], stage: string }> {
+export function getAssignedModelGroups(rulesets: RuleSet[]): Array<{ modelGroups: ModelGroup[], stage: string, name: string }> {
   return rulesets.flatMap(ruleset => {
-    const { modelGroups, stage } = ruleset;
+    const { modelGroups, stage, name } = ruleset;
     if (!modelGroups?.length) {
       return [];
     }
@@ -250,7 +425,8 @@ export function getAssignedModelGroups(rulesets: RuleSet[]): Array<{ modelGroups
 
     return {
       modelGroups: newModelGroups,
-      stage
+      stage,
+      name
     };
   });
 }
@@ -267,20 +443,100 @@ function evaluateRules(rules, schema, stage, analyticsKey, auctionId: string, de
   auctionConfigStore.set(auctionId, modelGroupConfig);
 }
 
+function getAuctionPercent(context) {
+  return dep.getGlobalRandom(context.auctionId || context.bid?.auctionId) * 100;
+}
+
+function matchesPattern(pattern: string, value: string, flags?: string) {
+  if (typeof value !== 'string') return false;
+  try {
+    return new RegExp(pattern, flags).test(value);
+  } catch (e) {
+    logWarn(`${MODULE_NAME}: Invalid pattern "${pattern}"`, e);
+    return false;
+  }
+}
+
+function getGptSlot(adUnit) {
+  return deepAccess(adUnit, 'ortb2Imp.ext.data.adserver.adslot') || deepAccess(adUnit, 'ortb2Imp.ext.gpid');
+}
+
+function getAdSizes({ bid, adUnit }) {
+  if (bid?.width && bid?.height) {
+    return [`${bid.width}x${bid.height}`];
+  }
+  return parseSizesInput(adUnit?.mediaTypes?.banner?.sizes || []);
+}
+
+function getEidSources(ortb2) {
+  const eids = [...(ortb2?.user?.eids || []), ...(ortb2?.user?.ext?.eids || [])];
+  return eids.map(eid => eid.source);
+}
+
+function getDate(utc: boolean) {
+  const date = new Date();
+  return {
+    hour: utc ? date.getUTCHours() : date.getHours(),
+    day: utc ? date.getUTCDay() : date.getDay()
+  };
+}
+
+function inRange(value: number, min?: number, max?: number) {
+  return typeof value === 'number' && (min == null || value >= min) && (max == null || value <= max);
+}
+
 const schemaEvaluators = {
-  percent: (args, context) => () => {
-    const auctionId = context.auctiondId || context.bid?.auctionId;
-    return dep.getGlobalRandom(auctionId) * 100 < args[0]
+  /** args: `[percentage]`; true for the given percentage of auctions */
+  percent: (args, context) => () => getAuctionPercent(context) < args[0],
+  /** args: `[from, to]`; true when the auction falls in the traffic bucket `[from, to)` (percentages) */
+  percentRange: (args, context) => () => {
+    const percent = getAuctionPercent(context);
+    return percent >= args[0] && percent < args[1];
   },
   adUnitCode: (args, context) => () => context.adUnit.code,
   adUnitCodeIn: (args, context) => () => args[0].includes(context.adUnit.code),
+  /** args: `[pattern, flags?]`; true when the ad unit code matches the regular expression */
+  adUnitCodeMatches: (args, context) => () => matchesPattern(args[0], context.adUnit?.code, args[1]),
+  /** the GPT slot (`ortb2Imp.ext.data.adserver.adslot`, or the GPID) of the ad unit */
+  gptSlot: (args, context) => () => getGptSlot(context.adUnit),
+  /** args: `[[slot, ...]]`; true when the ad unit's GPT slot is one of the given slots */
+  gptSlotIn: (args, context) => () => args[0].includes(getGptSlot(context.adUnit)),
+  /** args: `[pattern, flags?]`; true when the ad unit's GPT slot matches the regular expression */
+  gptSlotMatches: (args, context) => () => matchesPattern(args[0], getGptSlot(context.adUnit), args[1]),
+  /** args: `[['300x250', ...]]`; true when the bid's size, or one of the ad unit's banner sizes, is one of the given sizes */
+  adSizeIn: (args, context) => () => getAdSizes(context).some(size => args[0].includes(size)),
   deviceCountry: (args, context) => () => context.ortb2?.device?.geo?.country,
   deviceCountryIn: (args, context) => () => args[0].includes(context.ortb2?.device?.geo?.country),
+  deviceRegion: (args, context) => () => context.ortb2?.device?.geo?.region,
+  /** args: `[[region, ...]]`; true when `device.geo.region` is one of the given regions */
+  deviceRegionIn: (args, context) => () => args[0].includes(context.ortb2?.device?.geo?.region),
+  /** args: `[[hour, ...], utc?]`; true when the current hour (0-23, local time unless `utc` is true) is one of the given hours */
+  hourOfDayIn: (args, context) => () => args[0].includes(getDate(args[1] === true).hour),
+  /** args: `[[day, ...], utc?]`; true when the current day of the week (0 = Sunday, local time unless `utc` is true) is one of the given days */
+  dayOfWeekIn: (args, context) => () => args[0].includes(getDate(args[1] === true).day),
+  /** args: `[pattern, flags?]`; true when `site.page` matches the regular expression */
+  pageUrlMatches: (args, context) => () => matchesPattern(args[0], context.ortb2?.site?.page, args[1]),
+  /** args: `[[connectionType, ...]]`; true when `device.connectiontype` (as defined by OpenRTB) is one of the given types */
+  connectionTypeIn: (args, context) => () => args[0].includes(context.ortb2?.device?.connectiontype),
+  viewportWidth: (args, context) => () => context.ortb2?.device?.ext?.vpw,
+  viewportHeight: (args, context) => () => context.ortb2?.device?.ext?.vph,
+  /** args: `[min?, max?]`; true when the viewport width is within the (inclusive) range */
+  viewportWidthIn: (args, context) => () => inRange(context.ortb2?.device?.ext?.vpw, args[0], args[1]),
+  /** args: `[min?, max?]`; true when the viewport height is within the (inclusive) range */
+  viewportHeightIn: (args, context) => () => inRange(context.ortb2?.device?.ext?.vph, args[0], args[1]),
+  /** args: `[[brand, ...]]`; true when one of the user agent client hint browser brands (`device.sua.browsers`) is one of the given brands */
+  browserIn: (args, context) => () => (context.ortb2?.device?.sua?.browsers || []).some(({ brand }) => args[0].includes(brand)),
+  /** args: `[[brand, ...]]`; true when the user agent client hint platform (`device.sua.platform`) is one of the given platforms */
+  platformIn: (args, context) => () => args[0].includes(context.ortb2?.device?.sua?.platform?.brand),
+  /** true when the user agent client hints (`device.sua.mobile`) report a mobile device */
+  isMobile: (args, context) => () => context.ortb2?.device?.sua?.mobile === 1,
   channel: (args, context) => () => 'web',
   eidAvailable: (args, context) => () => {
     const eids = context.ortb2?.user?.eids || [];
     return eids.length > 0;
   },
+  /** args: `[[source, ...]]`; true when the user has an ID from one of the given EID sources */
+  eidIn: (args, context) => () => getEidSources(context.ortb2).some(source => args[0].includes(source)),
   userFpdAvailable: (args, context) => () => {
     const fpd = context.ortb2?.user?.data || {};
     const extFpd = context.ortb2?.user?.ext?.data || {};
@@ -355,7 +611,33 @@ export function evaluateSchema(func, args, context) {
   return () => null;
 }
 
+function isNumber(value) {
+  return typeof value === 'number' && !isNaN(value);
+}
+
+const conditionOperators = {
+  eq: (value, arg) => value === arg,
+  ne: (value, arg) => value !== arg,
+  in: (value, arg) => Array.isArray(arg) && arg.includes(value),
+  notIn: (value, arg) => Array.isArray(arg) && !arg.includes(value),
+  gt: (value, arg) => isNumber(value) && value > arg,
+  gte: (value, arg) => isNumber(value) && value >= arg,
+  lt: (value, arg) => isNumber(value) && value < arg,
+  lte: (value, arg) => isNumber(value) && value <= arg,
+  matches: (value, arg, operators: ConditionOperators) => matchesPattern(arg, value, operators.flags),
+  isNull: (value, arg) => (value == null) === arg,
+};
+
+function matchesOperators(operators: ConditionOperators, value) {
+  return Object.entries(conditionOperators)
+    .filter(([operator]) => operators.hasOwnProperty(operator))
+    .every(([operator, test]) => test(value, operators[operator], operators));
+}
+
 function evaluateCondition(condition, func) {
+  if (condition != null && typeof condition === 'object') {
+    return matchesOperators(condition, func());
+  }
   switch (condition) {
     case '*':
       return true
@@ -368,7 +650,7 @@ function evaluateCondition(condition, func) {
   }
 }
 
-export function fetchRules(endpoint = moduleConfig.endpoint) {
+export function fetchRules(endpoint = moduleConfig.endpoint, attempt = 0) {
   if (fetching) {
     logWarn(`${MODULE_NAME}: A fetch is already occurring. Skipping.`);
     return;
@@ -376,21 +658,197 @@ export function fetchRules(endpoint = moduleConfig.endpoint) {
 
   if (!endpoint?.url || endpoint?.method !== 'GET') return;
 
+  const { maxRetries = 3, retryDelay = 1000, cacheTtl = 0 } = endpoint;
+
+  function onError(reason) {
+    fetching = false;
+    if (attempt < maxRetries) {
+      const delay = retryDelay * Math.pow(2, attempt);
+      logWarn(`${MODULE_NAME}: Failed to fetch rules (${reason}), retrying in ${delay}ms`);
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        fetchRules(endpoint, attempt + 1);
+      }, delay);
+    } else {
+      logWarn(`${MODULE_NAME}: Failed to fetch rules (${reason}), giving up`);
+      // do not hold auctions waiting for rules that will not arrive
+      delayedAuctions.resume();
+    }
+  }
+
   fetching = true;
   ajax(endpoint.url, {
     success: (response: any) => {
+      let rules;
+      try {
+        rules = JSON.parse(response);
+      } catch (e) {
+        onError('invalid JSON');
+        return;
+      }
       fetching = false;
-      rulesLoaded = true;
-      rulesConfig = JSON.parse(response);
+      setRules(rules);
+      writeCachedRules(rules, cacheTtl);
       delayedAuctions.resume();
       logInfo(`${MODULE_NAME}: Rules configuration fetched successfully.`);
     },
-    error: () => {
-      fetching = false;
+    error: (e) => {
+      onError(e);
     }
   }, null, { method: 'GET' });
 }
 
+function isConditionList(operands, expression) {
+  if (Array.isArray(operands)) return true;
+  logWarn(`${MODULE_NAME}: Invalid condition, expected an array of conditions`, expression);
+  return false;
+}
+
+/**
+ * Evaluate a condition expression against the (lazily computed) values of the model group's schema entries.
+ */
+export function evaluateExpression(expression: ConditionExpression, schema: ModelGroupSchema[], schemaFunctions: Array<() => any>) {
+  if (expression == null || typeof expression !== 'object') {
+    logWarn(`${MODULE_NAME}: Invalid condition`, expression);
+    return false;
+  }
+  // conditions come from rules fetched at runtime; malformed ones do not match
+  if ('and' in expression) {
+    return isConditionList(expression.and, expression) && expression.and.every(expr => evaluateExpression(expr, schema, schemaFunctions));
+  }
+  if ('or' in expression) {
+    return isConditionList(expression.or, expression) && expression.or.some(expr => evaluateExpression(expr, schema, schemaFunctions));
+  }
+  if ('not' in expression) {
+    if (expression.not == null || typeof expression.not !== 'object') {
+      logWarn(`${MODULE_NAME}: Invalid condition`, expression);
+      return false;
+    }
+    return !evaluateExpression(expression.not, schema, schemaFunctions);
+  }
+  const index = typeof expression.schema === 'number'
+    ? expression.schema
+    : schema.findIndex(entry => entry.function === expression.schema);
+  if (!schemaFunctions[index]) {
+    logWarn(`${MODULE_NAME}: Condition references unknown schema entry "${expression.schema}"`);
+    return false;
+  }
+  return evaluateCondition(expression, schemaFunctions[index]);
+}
+
+function memoize(fn: () => any) {
+  let computed = false;
+  let value;
+  return () => {
+    if (!computed) {
+      value = fn();
+      computed = true;
+    }
+    return value;
+  };
+}
+
+function getTrace(auctionId: string): RulesTrace {
+  if (!traceStore.has(auctionId)) {
+    traceStore.set(auctionId, { dryRun: isDryRun(), modelGroups: [], decisions: [] });
+  }
+  return traceStore.get(auctionId);
+}
+
+function isDryRun() {
+  return moduleConfig?.dryRun === true;
+}
+
+/**
+ * Get the rules decision trace for an auction, or for all auctions that have not expired yet.
+ */
+export function getShapingRulesTrace(auctionId?: string): RulesTrace | { [auctionId: string]: RulesTrace } {
+  if (auctionId != null) {
+    return traceStore.get(auctionId);
+  }
+  return Object.fromEntries(traceStore.entries());
+}
+
+function traceDecision(decision: RulesDecision) {
+  logInfo(`${MODULE_NAME}: ${decision.enforced ? '' : '(dry run) '}${decision.stage} results for ${decision.bidder} on ${decision.adUnitCode}:`, decision);
+  getTrace(decision.auctionId).decisions.push(decision);
+  emitEvent(EVENTS.RULES_DECISION, decision);
+}
+
+/**
+ * Collect the results of the first matching rule (or the defaults) of every model group
+ * selected for the given auction and stage.
+ *
+ * When `functions` is provided, only results for those functions are returned, and
+ * a decision is traced (and emitted as a `rulesDecision` event) for each model group that produced any.
+ */
+export function getMatchingResults(auctionId: string, stage: string, context, { bidder, functions }: { bidder?: string, functions?: string[] } = {}) {
+  const checkConditions = ({ schema, conditions }, schemaFunctions) => {
+    if (!Array.isArray(conditions)) {
+      return evaluateExpression(conditions, schema, schemaFunctions);
+    }
+    for (const index of schema.keys()) {
+      if (evaluateCondition(conditions[index], schemaFunctions[index])) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  const results = [];
+  let modelGroups = auctionConfigStore.get(auctionId) || [];
+  modelGroups = modelGroups.filter(modelGroup => modelGroup.stage === stage);
+
+  // evaluate applicable results for each model group
+  for (const modelGroup of modelGroups) {
+    const schemaValues = [];
+    // schema values are computed at most once for each model group
+    const schemaFunctions = modelGroup.schema.map((entry, index) => memoize(() => {
+      const args = entry.args || [];
+      const value = evaluateSchema(entry.function, args, context)();
+      schemaValues[index] = { function: entry.function, args, value };
+      return value;
+    }));
+    // find first rule that matches conditions
+    const ruleIndex = modelGroup.rules.findIndex(rule => checkConditions({ ...rule, schema: modelGroup.schema }, schemaFunctions));
+    let groupResults = [];
+    if (ruleIndex >= 0) {
+      groupResults = modelGroup.rules[ruleIndex].results;
+    } else if (Array.isArray(modelGroup.defaultResults)) {
+      groupResults = modelGroup.defaultResults.map(result => ({ ...result, analyticsKey: modelGroup.analyticsKey }));
+    }
+    if (functions) {
+      groupResults = groupResults.filter(result => functions.includes(result.function));
+      if (groupResults.length) {
+        traceDecision({
+          auctionId,
+          stage,
+          bidder,
+          adUnitCode: context.adUnit?.code ?? context.bid?.adUnitCode,
+          analyticsKey: modelGroup.analyticsKey,
+          rule: ruleIndex >= 0 ? ruleIndex : 'default',
+          schema: schemaValues.filter(Boolean),
+          results: groupResults,
+          enforced: !isDryRun()
+        });
+      }
+    }
+    results.push(...groupResults);
+  }
+  return results;
+}
+
+/**
+ * Return the args of all `func` results that apply to `bidder`.
+ * Args without a `bidders` list apply to every bidder.
+ */
+function getResultArgs(results, func: string, bidder: string) {
+  return results
+    .filter(result => result.function === func)
+    .flatMap(result => result.args || [])
+    .filter(arg => arg != null && (!Array.isArray(arg.bidders) || arg.bidders.includes(bidder)));
+}
+
 export function registerActivities() {
   const stages = {
     [ACTIVITY_FETCH_BIDS]: 'processed-auction-request',
@@ -404,37 +862,17 @@ export function registerActivities() {
         if (params[ACTIVITY_PARAM_COMPONENT_TYPE] !== MODULE_TYPE_BIDDER) return;
         if (!auctionId) return;
 
-        const checkConditions = ({ schema, conditions, stage }) => {
-          for (const [index, schemaEntry] of schema.entries()) {
-            const schemaFunction = evaluateSchema(schemaEntry.function, schemaEntry.args || [], params);
-            if (evaluateCondition(conditions[index], schemaFunction)) {
-              return true;
-            }
-          }
-          return false;
-        }
-
-        const results = [];
-        let modelGroups = auctionConfigStore.get(auctionId) || [];
-        modelGroups = modelGroups.filter(modelGroup => modelGroup.stage === stages[activity]);
-
-        // evaluate applicable results for each model group
-        for (const modelGroup of modelGroups) {
-          // find first rule that matches conditions
-          const selectedRule = modelGroup.rules.find(rule => checkConditions({ ...rule, schema: modelGroup.schema }));
-          if (selectedRule) {
-            results.push(...selectedRule.results);
-          } else if (Array.isArray(modelGroup.defaultResults)) {
-            const defaults = modelGroup.defaultResults.map(result => ({ ...result, analyticsKey: modelGroup.analyticsKey }));
-            results.push(...defaults);
-          }
-        }
+        const bidder = params[ACTIVITY_PARAM_COMPONENT_NAME];
+        const results = getMatchingResults(auctionId, stages[activity], params, {
+          bidder,
+          functions: ['logAtag', 'excludeBidders', 'includeBidders']
+        });
 
         // set analytics labels for logAtag results
         results
           .filter(result => result.function === 'logAtag')
           .forEach((result) => {
-            setLabels({ [auctionId + '-' + result.analyticsKey]: result.args.analyticsValue });
+            addLabels({ [auctionId + '-' + result.analyticsKey]: result.args.analyticsValue });
           });
 
         // verify current bidder against applicable rules
@@ -442,19 +880,126 @@ export function registerActivities() {
           .filter(result => ['excludeBidders', 'includeBidders'].includes(result.function))
           .every((result) => {
             return result.args.every(({ bidders }) => {
-              const bidderIncluded = bidders.includes(params[ACTIVITY_PARAM_COMPONENT_NAME]);
+              const bidderIncluded = bidders.includes(bidder);
               return result.function === 'excludeBidders' ? !bidderIncluded : bidderIncluded;
             });
           });
 
         if (!allow) {
-          return { allow, reason: `Bidder ${params.bid?.bidder} excluded by rules module` };
+          const reason = `Bidder ${bidder} excluded by rules module`;
+          if (isDryRun()) {
+            logInfo(`${MODULE_NAME}: (dry run) ${reason}`);
+            return;
+          }
+          return { allow, reason };
         }
       })
     );
   });
 }
 
+/**
+ * Applies `processed-auction-request` results that modify the requests sent to each bidder:
+ *
+ *  - `setImpFields`: args `[{fields: {[path]: value}, bidders?}]`; sets each (dot-separated) path on the bid's `ortb2Imp`,
+ *    e.g. `{fields: {bidfloor: 1.5, bidfloorcur: 'USD'}}`;
+ *  - `stripMediaTypes`: args `[{mediaTypes: ['video'], bidders?}]`; removes the given formats from the bid's
+ *    `mediaTypes` and `ortb2Imp`.
+ */
+export function makeBidRequestsHook(next, bidderRequests) {
+  (bidderRequests || []).forEach(bidderRequest => {
+    bidderRequest.bids.forEach(bid => {
+      const auctionId = bid.auctionId || bidderRequest.auctionId;
+      if (!auctionId) return;
+      const results = getMatchingResults(auctionId, 'processed-auction-request', {
+        auctionId,
+        bid,
+        ortb2: bidderRequest.ortb2,
+        adUnit: auctionManager.index.getAdUnit(bid),
+      }, { bidder: bid.bidder, functions: ['setImpFields', 'stripMediaTypes'] });
+      if (isDryRun()) return;
+      getResultArgs(results, 'setImpFields', bid.bidder).forEach(({ fields = {} }) => {
+        bid.ortb2Imp = bid.ortb2Imp || {};
+        Object.entries(fields).forEach(([path, value]) => deepSetValue(bid.ortb2Imp, path, value));
+      });
+      getResultArgs(results, 'stripMediaTypes', bid.bidder).forEach(({ mediaTypes = [] }) => {
+        // bids may share `mediaTypes` with their ad unit (and so with other bidders); strip formats from a copy
+        if (bid.mediaTypes) bid.mediaTypes = { ...bid.mediaTypes };
+        if (bid.ortb2Imp) bid.ortb2Imp = { ...bid.ortb2Imp };
+        mediaTypes.forEach(mediaType => {
+          if (bid.mediaTypes) delete bid.mediaTypes[mediaType];
+          if (bid.ortb2Imp) delete bid.ortb2Imp[mediaType];
+        });
+      });
+    });
+  });
+  next(bidderRequests);
+}
+
+/**
+ * Applies `processed-auction` results to bids before they are added to the auction:
+ *
+ *  - `limitBids`: args `[{maxBids, bidders?}]`; rejects bids once a bidder has returned `maxBids` bids for the same ad unit;
+ *  - `adjustCpm`: args `[{multiplier, bidders?}]`; multiplies the bid's cpm;
+ *  - `setTargeting`: args `[{targeting: {[key]: value}, bidders?}]`; overrides the bid's ad server targeting
+ *    (including the standard keys); a `null` value removes the key.
+ */
+export const addBidResponseHook = timedBidResponseHook('rules', function addBidResponseHook(fn, adUnitCode, bid, reject) {
+  const auctionId = bid.auctionId;
+  const bidder = bid.bidder || bid.bidderCode;
+  const results = auctionId ? getMatchingResults(auctionId, 'processed-auction', {
+    auctionId,
+    bid,
+    ortb2: auctionManager.index.getOrtb2(bid),
+    adUnit: auctionManager.index.getAdUnit(bid),
+  }, { bidder, functions: ['limitBids', 'adjustCpm', 'setTargeting'] }) : [];
+
+  if (isDryRun()) {
+    fn.call(this, adUnitCode, bid, reject);
+    return;
+  }
+
+  const limits = getResultArgs(results, 'limitBids', bidder).map(({ maxBids }) => maxBids).filter(maxBids => typeof maxBids === 'number');
+  if (limits.length) {
+    const counts = bidCountStore.get(auctionId) || {};
+    bidCountStore.set(auctionId, counts);
+    const key = `${adUnitCode}-${bidder}`;
+    if ((counts[key] || 0) >= Math.min(...limits)) {
+      logInfo(`${MODULE_NAME}: Bid from ${bidder} on ${adUnitCode} exceeds the bid limit and will be rejected`);
+      reject(REJECTION_REASON.BID_LIMIT_EXCEEDED);
+      return;
+    }
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  getResultArgs(results, 'adjustCpm', bidder).forEach(({ multiplier }) => {
+    if (typeof multiplier === 'number' && multiplier >= 0) {
+      bid.cpm = bid.cpm * multiplier;
+    }
+  });
+
+  const targeting = getResultArgs(results, 'setTargeting', bidder).reduce((acc, arg) => Object.assign(acc, arg.targeting), {});
+  if (Object.keys(targeting).length) {
+    targetingOverrides.set(bid, targeting);
+  }
+
+  fn.call(this, adUnitCode, bid, reject);
+});
+
+// standard targeting keys are computed after `addBidResponse`, so overrides are applied once the bid is accepted
+function applyTargetingOverrides(bid) {
+  const targeting = targetingOverrides.get(bid);
+  if (!targeting) return;
+  bid.adserverTargeting = bid.adserverTargeting || {};
+  Object.entries(targeting).forEach(([key, value]) => {
+    if (value == null) {
+      delete bid.adserverTargeting[key];
+    } else {
+      bid.adserverTargeting[key] = value;
+    }
+  });
+}
+
 export const startAuctionHook = timedAuctionHook('rules', function startAuctionHook(fn, req) {
   req.auctionId = req.auctionId || generateUUID();
   evaluateConfig(rulesConfig, req.auctionId);
@@ -475,31 +1020,68 @@ export const requestBidsHook = timedAuctionHook('rules', function requestBidsHoo
   }
 });
 
+function clearTimers() {
+  clearInterval(refreshTimer);
+  clearTimeout(retryTimer);
+  refreshTimer = retryTimer = null;
+}
+
 function init(config: ShapingRulesConfig) {
   moduleConfig = config;
+  // setConfig may be called more than once; do not keep refreshing (or retrying) with the previous config
+  clearTimers();
   registerActivities();
   auctionManager.onExpiry(auction => {
     auctionConfigStore.delete(auction.getAuctionId());
+    traceStore.delete(auction.getAuctionId());
+    bidCountStore.delete(auction.getAuctionId());
   });
   // use static config if provided
   if (config.rules) {
-    rulesConfig = config.rules;
+    setRules(config.rules);
   } else {
+    const cachedRules = readCachedRules();
+    if (cachedRules) {
+      logInfo(`${MODULE_NAME}: Using cached rules configuration.`);
+      setRules(cachedRules);
+    }
+    // fetch even if cached, so that a new version does not wait for the cache to expire
     fetchRules();
+    const { refreshInterval = 0 } = config.endpoint || {};
+    if (refreshInterval > 0) {
+      // a pending retry will fetch the rules already
+      refreshTimer = setInterval(() => {
+        if (retryTimer == null) fetchRules();
+      }, refreshInterval);
+    }
   }
   getHook('requestBids').before(requestBidsHook, 50);
   getHook('startAuction').before(startAuctionHook, 50);
+  // after currency conversion and floor enforcement, so that multipliers apply to the final price
+  getHook('addBidResponse').before(addBidResponseHook, 40);
+  adapterManager.makeBidRequests.after(makeBidRequestsHook);
+  onEvent(EVENTS.BID_RESPONSE, applyTargetingOverrides);
+  addApiMethod('getShapingRulesTrace', getShapingRulesTrace);
 }
 
 export function reset() {
   try {
     getHook('requestBids').getHooks({ hook: requestBidsHook }).remove();
     getHook('startAuction').getHooks({ hook: startAuctionHook }).remove();
+    getHook('addBidResponse').getHooks({ hook: addBidResponseHook }).remove();
+    adapterManager.makeBidRequests.getHooks({ hook: makeBidRequestsHook }).remove();
+    offEvent(EVENTS.BID_RESPONSE, applyTargetingOverrides);
     unregisterFunctions.forEach(unregister => unregister());
     unregisterFunctions.length = 0;
     auctionConfigStore.clear();
+    traceStore.clear();
+    bidCountStore.clear();
   } catch (e) {
   }
+  clearTimers();
+  fetching = rulesLoaded = false;
+  rulesConfig = null;
+  moduleLabels = {};
   setLabels({});
 }
 
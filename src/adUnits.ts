@@ -102,6 +102,11 @@ export interface AdUnitDefinition {
    * TTL buffer override for this adUnit.
    */
   ttlBuffer?: number;
+  /**
+   * Time (in milliseconds) after which this adUnit is ready in progressive auctions (see `adUnitReadyHandler` in requestBids),
+   * even if some of its bidders have not responded.
+   */
+  readyTimeout?: number;
   /**
    * Used to signal OpenRTB Imp objects at the adUnit grain.
    * Similar to the global ortb2 field used for global first party data configuration, but specific to this adunit.
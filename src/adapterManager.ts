@@ -190,6 +190,11 @@ export interface BaseBidderRequest<BIDDER extends BidderCode | null> {
    * Request timeout in milliseconds.
    */
   timeout: number;
+  /**
+   * Time (in milliseconds from the start of the auction) after which the auction stops waiting for this bidder,
+   * if shorter than the auction timeout. Set by the adaptiveTimeout module.
+   */
+  deadline?: number;
   refererInfo: RefererInfo;
   metrics: Metrics;
   gdprConsent?: ReturnType<typeof gdprDataHandler['getConsentData']>;
@@ -744,7 +749,8 @@ const adapterManager = {
         // s2s should get the same client side timeout as other client side requests.
         const s2sAjax = ajaxBuilder(requestBidsTimeout, requestCallbacks ? {
           request: requestCallbacks.request.bind(null, 's2s'),
-          done: requestCallbacks.done
+          done: requestCallbacks.done,
+          signal: requestCallbacks.signal
         } : undefined);
         const adaptersServerSide = s2sConfig.bidders;
         const s2sAdapter = _bidderRegistry[s2sConfig.adapter];
@@ -801,7 +807,8 @@ const adapterManager = {
       });
       const ajax = ajaxBuilder(requestBidsTimeout, requestCallbacks ? {
         request: requestCallbacks.request.bind(null, bidderRequest.bidderCode),
-        done: requestCallbacks.done
+        done: requestCallbacks.done,
+        signal: requestCallbacks.signal
       } : undefined);
       const adapterDone = doneCb.bind(bidderRequest);
       try {
@@ -17,6 +17,7 @@ import {
   isArray,
   isPlainObject,
   logError,
+  logInfo,
   logWarn,
   memoize,
   parseQueryStringParameters,
@@ -321,6 +322,11 @@ export function newBidder<B extends BidderCode>(spec: BidderSpec<B>) {
         },
         // If the server responds with an error, there's not much we can do beside logging.
         onError: (errorMessage, error) => {
+          if (error.canceled) {
+            // the auction was canceled; this is not the bidder's fault
+            logInfo(`Server call for ${spec.code} was canceled`);
+            return;
+          }
           if (!error.timedOut) {
             onTimelyResponse(spec.code);
           }
@@ -107,20 +107,41 @@ export function toFetchRequest(url, data, options: AjaxOptions = {}) {
   return dep.makeRequest(url, rqOpts);
 }
 
+/**
+ * Returns a signal that aborts when any of the given signals does.
+ */
+function anySignal(...signals: AbortSignal[]): AbortSignal {
+  signals = signals.filter(signal => signal != null);
+  if (signals.length < 2) return signals[0];
+  const ctl = new AbortController();
+  signals.forEach(signal => {
+    if (signal.aborted) {
+      ctl.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', () => ctl.abort(signal.reason), { once: true });
+    }
+  });
+  return ctl.signal;
+}
+
 /**
  * Return a version of `fetch` that automatically cancels requests after `timeout` milliseconds.
  *
  * If provided, `request` and `done` should be functions accepting a single argument.
  * `request` is invoked at the beginning of each request, and `done` at the end; both are passed its origin.
+ * If provided, `signal` aborts all requests made through the returned function.
  *
  */
-export function fetcherFactory(timeout = 3000, { request, done }: any = {}, moduleType?: string, moduleName?: string): typeof window['fetch'] {
+export function fetcherFactory(timeout = 3000, { request, done, signal }: any = {}, moduleType?: string, moduleName?: string): typeof window['fetch'] {
   let fetcher = (resource, options) => {
     let to;
     if (timeout != null && options?.signal == null && !config.getConfig('disableAjaxTimeout')) {
       to = dep.timeout(timeout, resource);
       options = Object.assign({ signal: to.signal }, options);
     }
+    if (signal != null) {
+      options = Object.assign({}, options, { signal: anySignal(signal, options?.signal) });
+    }
 
     processRequestOptions(options, moduleType, moduleName);
 
@@ -177,14 +198,19 @@ function toXHR({ status, statusText = '', headers, url }: {
     toJSON() {
       return Object.assign({ responseXML: getXML() }, this)
     },
-    timedOut: false
+    timedOut: false,
+    /**
+     * True if the request was aborted through the `signal` given to `ajaxBuilder` (for example, because its auction was canceled).
+     */
+    canceled: false
   }
 }
 
 /**
  * attach legacy `ajax` callbacks to a fetch promise.
+ * If `signal` is provided, failures after it has aborted are reported as `canceled` rather than `timedOut`.
  */
-export function attachCallbacks(fetchPm: Promise<Response>, callback: AjaxCallback) {
+export function attachCallbacks(fetchPm: Promise<Response>, callback: AjaxCallback, signal?: AbortSignal) {
   const { success, error } = typeof callback === 'object' && callback != null ? callback : {
     success: typeof callback === 'function' ? callback : () => null,
     error: (e, x) => logError('Network error', e, x)
@@ -195,20 +221,22 @@ export function attachCallbacks(fetchPm: Promise<Response>, callback: AjaxCallba
     .then(([response, responseText]) => {
       const xhr = toXHR(response, responseText);
       response.ok || response.status === 304 ? success(responseText, xhr) : error(response.statusText, xhr);
-    }, (reason) => error('', Object.assign(
-      toXHR({ status: 0 }, ''),
-      { reason, timedOut: reason?.name === 'AbortError' }))
-    );
+    }, (reason) => {
+      const canceled = signal?.aborted ?? false;
+      error('', Object.assign(
+        toXHR({ status: 0 }, ''),
+        { reason, canceled, timedOut: !canceled && reason?.name === 'AbortError' }));
+    });
 }
 
 export type AjaxSuccessCallback = (responseText: string, xhr: XHR) => void;
 export type AjaxErrorCallback = (statusText: string, xhr: XHR) => void;
 export type AjaxCallback = AjaxSuccessCallback | { success?: AjaxErrorCallback; error?: AjaxSuccessCallback };
 
-export function ajaxBuilder(timeout = 3000, { request, done } = {} as any, moduleType?: string, moduleName?: string) {
-  const fetcher = fetcherFactory(timeout, { request, done }, moduleType, moduleName);
+export function ajaxBuilder(timeout = 3000, { request, done, signal } = {} as any, moduleType?: string, moduleName?: string) {
+  const fetcher = fetcherFactory(timeout, { request, done, signal }, moduleType, moduleName);
   return function (url: string, callback?: AjaxCallback, data?: unknown, options: AjaxOptions = {}) {
-    attachCallbacks(fetcher(toFetchRequest(url, data, options)), callback);
+    attachCallbacks(fetcher(toFetchRequest(url, data, options)), callback, signal);
   };
 }
 
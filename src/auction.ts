@@ -10,7 +10,7 @@ import {
   parseUrl,
   timestamp
 } from './utils.js';
-import { getPriceBucketString } from './cpmBucketManager.js';
+import { getGranularity, getPriceBuckets, getPriceForGranularity } from './cpmBucketManager.js';
 import { isNativeResponse, setNativeResponseProperties } from './native.js';
 import { batchAndStore, storeLocally } from './videoCache.js';
 import { Renderer } from './Renderer.js';
@@ -23,7 +23,7 @@ import { auctionManager } from './auctionManager.js';
 import { bidderSettings } from './bidderSettings.js';
 import * as events from './events.js';
 import adapterManager, { activityParams, type BidderRequest, type BidRequest } from './adapterManager.js';
-import { EVENTS, GRANULARITY_OPTIONS, JSON_MAPPING, REJECTION_REASON, S2S, TARGETING_KEYS } from './constants.js';
+import { EVENTS, GRANULARITY_OPTIONS, JSON_MAPPING, REJECTION_REASON, TARGETING_KEYS } from './constants.js';
 import { defer, PbPromise } from './utils/promise.js';
 import { type Metrics, useMetrics } from './utils/perfMetrics.js';
 import { adjustCpm } from './utils/cpm.js';
@@ -40,42 +40,52 @@ import { isActivityAllowed } from './activities/rules.js';
 import { ACTIVITY_ADD_BID_RESPONSE } from './activities/activities.js';
 import { MODULE_TYPE_BIDDER } from './activities/modules.ts';
 import { wrapInBids } from "./utils/wrapsInBids.ts";
+import { requestQueue } from './requestQueue.js';
+
+export { getMediaTypeGranularity, getPriceBuckets } from './cpmBucketManager.js';
 
 const { syncUsers } = userSync;
 
 export const AUCTION_STARTED = 'started';
 export const AUCTION_IN_PROGRESS = 'inProgress';
 export const AUCTION_COMPLETED = 'completed';
+export const AUCTION_CANCELLED = 'cancelled';
 
-type AuctionStatus = typeof AUCTION_STARTED | typeof AUCTION_COMPLETED | typeof AUCTION_IN_PROGRESS;
+type AuctionStatus = typeof AUCTION_STARTED | typeof AUCTION_COMPLETED | typeof AUCTION_IN_PROGRESS | typeof AUCTION_CANCELLED;
 
 // register event for bid adjustment
 events.on(EVENTS.BID_ADJUSTMENT, function (bid) {
   adjustBids(bid);
 });
 
-const MAX_REQUESTS_PER_ORIGIN = 4;
-const outstandingRequests = {};
-const sourceInfo = {};
-const queuedCalls = [];
-
 const pbjsInstance = getGlobal();
 
 /**
  * Clear global state for tests
  */
 export function resetAuctionState() {
-  queuedCalls.length = 0;
-  [outstandingRequests, sourceInfo].forEach((ob) => Object.keys(ob).forEach((k) => { delete ob[k] }));
+  requestQueue.reset();
 }
 
 type AuctionOptions = {
   adUnits: AdUnit[],
   adUnitCodes: AdUnitCode[],
   callback: () => void;
+  /**
+   * Auctions with a higher priority make their requests first when they have to wait for endpoint capacity. Default: 0
+   */
+  priority?: number;
+  /**
+   * If provided, the auction is progressive: this is invoked for each ad unit as soon as it's ready.
+   */
+  adUnitCallback?: (adUnitCode: AdUnitCode, bids: Bid[], timedOut: boolean, auctionId: Identifier) => void;
   cbTimeout: number;
   labels: string[];
   auctionId: Identifier;
+  /**
+   * If provided, aborting it cancels the auction.
+   */
+  signal?: AbortSignal;
   ortb2Fragments: ORTBFragments;
   metrics: Metrics;
 }
@@ -118,9 +128,30 @@ declare module './events' {
      * Fired once for each bid, immediately after its adjustment (see bidCpmAdjustment).
      */
     [EVENTS.BID_ADJUSTMENT]: [Partial<Bid>];
+    /**
+     * Fired when an auction is canceled (see `pbjs.cancelAuction`).
+     */
+    [EVENTS.AUCTION_CANCELLED]: [AuctionProperties];
+    /**
+     * Fired in progressive auctions (see `adUnitReadyHandler` in requestBids) for each ad unit, as soon as it's ready.
+     */
+    [EVENTS.AD_UNIT_READY]: [AdUnitReadyEvent];
   }
 }
 
+export type AdUnitReadyEvent = {
+  auctionId: Identifier;
+  adUnitCode: AdUnitCode;
+  /**
+   * Bids received for the ad unit.
+   */
+  bids: Bid[];
+  /**
+   * True if the ad unit's timeout (or the auction's) hit before all of its bidders were done.
+   */
+  timedOut: boolean;
+}
+
 export interface AuctionOptionsConfig {
   /**
    * Specifies bidders that the Prebid auction will no longer wait for before determining the auction has completed.
@@ -168,12 +199,6 @@ export interface PriceBucketConfig {
 
 declare module './config' {
   interface Config {
-    /**
-     * Since browsers have a limit of how many requests they will allow to a specific domain before they block,
-     * Prebid.js will queue auctions that would cause requests to a specific origin to exceed that limit.
-     * The limit is different for each browser. Prebid.js defaults to a max of 4 requests per origin.
-     */
-    maxRequestsPerOrigin?: number;
     auctionOptions?: AuctionOptionsConfig;
     priceGranularity?: (typeof GRANULARITY_OPTIONS)[keyof typeof GRANULARITY_OPTIONS];
     customPriceBucket?: PriceBucketConfig;
@@ -183,18 +208,23 @@ declare module './config' {
 
 export const beforeInitAuction = hook('sync', (auction) => {})
 
-export function newAuction({ adUnits, adUnitCodes, callback, cbTimeout, labels, auctionId, ortb2Fragments, metrics }: AuctionOptions) {
+export function newAuction({ adUnits, adUnitCodes, callback, priority, adUnitCallback, cbTimeout, labels, auctionId, signal, ortb2Fragments, metrics }: AuctionOptions) {
   metrics = useMetrics(metrics);
   const _adUnits = adUnits;
   const _labels = labels;
   const _adUnitCodes = adUnitCodes;
   const _auctionId: Identifier = auctionId || generateUUID();
   const _timeout = cbTimeout;
+  const _priority = priority;
   const _timelyRequests = new Set();
+  const _expiredRequests = new Set();
   const done = defer<void>();
   const requestsDone = defer<void>();
   let _bidsRejected: Partial<Bid>[] = [];
   let _callback = callback;
+  const _adUnitCallback = adUnitCallback;
+  const _readyAdUnitCodes = new Set<AdUnitCode>();
+  let _readyTimers = [];
   let _bidderRequests: BidderRequest<BidderCode>[] = [];
   const _bidsReceived = ttlCollection<Bid>({
     startTime: (bid) => bid.responseTimestamp,
@@ -208,7 +238,12 @@ export function newAuction({ adUnits, adUnitCodes, callback, cbTimeout, labels,
   let _auctionStart: number;
   let _auctionEnd: number;
   let _timeoutTimer;
+  let _deadlineTimers = [];
   let _auctionStatus: AuctionStatus;
+  let _cancelled = false;
+  let _initialized = false;
+  let _queuedCall;
+  const _abortController = new AbortController();
   let _nonBids = [];
 
   onMinBidCacheTTLChange(() => _bidsReceived.refresh());
@@ -224,7 +259,7 @@ export function newAuction({ adUnits, adUnitCodes, callback, cbTimeout, labels,
       auctionId: _auctionId,
       timestamp: _auctionStart,
       auctionEnd: _auctionEnd,
-      auctionStatus: _auctionStatus,
+      auctionStatus: getAuctionStatus(),
       adUnits: _adUnits,
       adUnitCodes: _adUnitCodes,
       labels: _labels,
@@ -239,24 +274,64 @@ export function newAuction({ adUnits, adUnitCodes, callback, cbTimeout, labels,
     };
   }
 
+  function initAuction() {
+    if (_initialized) return;
+    _initialized = true;
+    events.emit(EVENTS.AUCTION_INIT, getProperties());
+  }
+
   function startAuctionTimer() {
     _timeoutTimer = setTimeout(() => executeCallback(true), _timeout);
   }
 
+  function startReadyTimers() {
+    if (_adUnitCallback == null) return;
+    _readyTimers = _adUnits
+      .filter(adUnit => adUnit.readyTimeout != null && adUnit.readyTimeout < _timeout)
+      .map(adUnit => setTimeout(() => adUnitReady(adUnit.code, true), adUnit.readyTimeout));
+  }
+
+  function adUnitReady(adUnitCode: AdUnitCode, timedOut: boolean) {
+    if (_adUnitCallback == null || _cancelled || _readyAdUnitCodes.has(adUnitCode)) return;
+    _readyAdUnitCodes.add(adUnitCode);
+    const bids = _bidsReceived.toArray().filter(bid => bid.adUnitCode === adUnitCode);
+    events.emit(EVENTS.AD_UNIT_READY, { auctionId: _auctionId, adUnitCode, bids, timedOut });
+    try {
+      _adUnitCallback.apply(pbjsInstance, [adUnitCode, bids, timedOut, _auctionId]);
+    } catch (e) {
+      logError('Error executing adUnitReadyHandler', null, e);
+    }
+  }
+
+  function startDeadlineTimers(bidderRequests, deadlinePassed) {
+    _deadlineTimers = bidderRequests
+      .filter(bidderRequest => bidderRequest.deadline != null && bidderRequest.deadline < _timeout)
+      .map(bidderRequest => setTimeout(() => {
+        if (!_timelyRequests.has(bidderRequest.bidderRequestId)) {
+          logInfo(`Deadline of ${bidderRequest.bidderCode} passed for auction ${_auctionId}`);
+          _expiredRequests.add(bidderRequest.bidderRequestId);
+          deadlinePassed(bidderRequest);
+        }
+      }, bidderRequest.deadline));
+  }
+
   function executeCallback(timedOut) {
     if (!timedOut) {
       clearTimeout(_timeoutTimer);
     } else {
       events.emit(EVENTS.AUCTION_TIMEOUT, getProperties());
     }
+    _deadlineTimers.concat(_readyTimers).forEach(timer => clearTimeout(timer));
     if (_auctionEnd === undefined) {
-      let timedOutRequests = [];
       if (timedOut) {
         logMessage(`Auction ${_auctionId} timedOut`);
-        timedOutRequests = _bidderRequests.filter(rq => !_timelyRequests.has(rq.bidderRequestId)).flatMap(br => br.bids)
-        if (timedOutRequests.length) {
-          events.emit(EVENTS.BID_TIMEOUT, timedOutRequests);
-        }
+      }
+      // bidders that have not responded by their deadline are timed out even if the auction is not
+      const timedOutRequests = _bidderRequests
+        .filter(rq => (timedOut || _expiredRequests.has(rq.bidderRequestId)) && !_timelyRequests.has(rq.bidderRequestId))
+        .flatMap(br => br.bids);
+      if (timedOutRequests.length) {
+        events.emit(EVENTS.BID_TIMEOUT, timedOutRequests);
       }
 
       _auctionStatus = AUCTION_COMPLETED;
@@ -267,13 +342,14 @@ export function newAuction({ adUnits, adUnitCodes, callback, cbTimeout, labels,
       done.resolve();
 
       events.emit(EVENTS.AUCTION_END, getProperties());
+      _adUnitCodes.forEach(adUnitCode => adUnitReady(adUnitCode, timedOut));
       bidsBackCallback(_adUnits, auctionId, function () {
         try {
           if (_callback != null) {
-            const bids = _bidsReceived.toArray()
+            const bids = _cancelled ? undefined : _bidsReceived.toArray()
               .filter(bid => _adUnitCodes.includes(bid.adUnitCode))
               .reduce(groupByPlacement, {});
-            _callback.apply(pbjsInstance, [bids, timedOut, _auctionId]);
+            _callback.apply(pbjsInstance, [bids, timedOut, _auctionId, _cancelled]);
             _callback = null;
           }
         } catch (e) {
@@ -302,11 +378,46 @@ export function newAuction({ adUnits, adUnitCodes, callback, cbTimeout, labels,
     executeCallback(false);
   }
 
+  function getAuctionStatus() {
+    return _cancelled ? AUCTION_CANCELLED : _auctionStatus;
+  }
+
+  /**
+   * Cancels the auction: queued and in-flight requests are aborted, the auction ends (if it has not already)
+   * without invoking its callback, and its bids are no longer used for targeting or rendering.
+   */
+  function cancel() {
+    if (_cancelled) return false;
+    _cancelled = true;
+    logInfo(`Auction ${_auctionId} was canceled`);
+    _abortController.abort();
+    if (_queuedCall != null) {
+      requestQueue.dequeue(_queuedCall);
+      requestsDone.resolve();
+    }
+    if (_auctionEnd === undefined) {
+      // auctions canceled before they start still end; let listeners see them start first
+      initAuction();
+    }
+    events.emit(EVENTS.AUCTION_CANCELLED, getProperties());
+    executeCallback(false);
+    return true;
+  }
+
+  if (signal != null) {
+    if (signal.aborted) {
+      cancel();
+    } else {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+  }
+
   function onTimelyResponse(bidderRequestId) {
     _timelyRequests.add(bidderRequestId);
   }
 
   function callBids() {
+    if (_cancelled) return;
     _auctionStatus = AUCTION_STARTED;
     _auctionStart = Date.now();
 
@@ -336,96 +447,53 @@ export function newAuction({ adUnits, adUnitCodes, callback, cbTimeout, labels,
       addBidRequests(bidRequest);
     });
 
-    const requests = {};
     const call = {
       bidRequests,
+      adUnitCodes: _adUnitCodes,
+      priority: _priority,
+      metrics,
       run: () => {
         beforeInitAuction(this);
         startAuctionTimer();
 
         _auctionStatus = AUCTION_IN_PROGRESS;
 
-        events.emit(EVENTS.AUCTION_INIT, getProperties());
+        initAuction();
 
-        const callbacks = auctionCallbacks(auctionDone, this);
-        adapterManager.callBids(_adUnits, bidRequests, callbacks.addBidResponse, callbacks.adapterDone, {
-          request(source, origin) {
-            increment(outstandingRequests, origin);
-            increment(requests, source);
-
-            if (!sourceInfo[source]) {
-              sourceInfo[source] = {
-                SRA: true,
-                origin
-              };
-            }
-            if (requests[source] > 1) {
-              sourceInfo[source].SRA = false;
-            }
-          },
-          done(origin) {
-            outstandingRequests[origin]--;
-            if (queuedCalls[0]) {
-              if (runIfOriginHasCapacity(queuedCalls[0])) {
-                queuedCalls.shift();
-              }
-            }
-          }
+        const callbacks = auctionCallbacks(auctionDone, this, _adUnitCallback == null ? {} : { adUnitReady });
+        startDeadlineTimers(call.bidRequests, callbacks.deadlinePassed);
+        startReadyTimers();
+        _queuedCall = null;
+        adapterManager.callBids(_adUnits, call.bidRequests, callbacks.addBidResponse, callbacks.adapterDone, {
+          ...requestQueue.requestCallbacks(),
+          signal: _abortController.signal
         }, _timeout, onTimelyResponse, ortb2Fragments);
         requestsDone.resolve();
-      }
-    };
-
-    if (!runIfOriginHasCapacity(call)) {
-      logWarn('queueing auction due to limited endpoint capacity');
-      queuedCalls.push(call);
-    }
-
-    function runIfOriginHasCapacity(call) {
-      let hasCapacity = true;
-
-      const maxRequests = config.getConfig('maxRequestsPerOrigin') || MAX_REQUESTS_PER_ORIGIN;
-
-      call.bidRequests.some(bidRequest => {
-        let requests = 1;
-        const source = (typeof bidRequest.src !== 'undefined' && bidRequest.src === S2S.SRC) ? 's2s'
-          : bidRequest.bidderCode;
-
-        // if the bidder has alwaysHasCapacity flag set and forceMaxRequestsPerOrigin is false, don't check capacity
-        if (bidRequest.alwaysHasCapacity && !config.getConfig('forceMaxRequestsPerOrigin')) {
-          return false;
-        }
-
-        // if we have no previous info on this source just let them through
-        if (sourceInfo[source]) {
-          if (sourceInfo[source].SRA === false) {
-            // some bidders might use more than the MAX_REQUESTS_PER_ORIGIN in a single auction.  In those cases
-            // set their request count to MAX_REQUESTS_PER_ORIGIN so the auction isn't permanently queued waiting
-            // for capacity for that bidder
-            requests = Math.min(bidRequest.bids.length, maxRequests);
-          }
-          if (outstandingRequests[sourceInfo[source].origin] + requests > maxRequests) {
-            hasCapacity = false;
+      },
+      cancel: (adUnitCodes: AdUnitCode[], reason: string) => {
+        const canceled = new Set();
+        call.bidRequests.forEach(bidderRequest => {
+          bidderRequest.bids = bidderRequest.bids.filter(bid => !adUnitCodes.includes(bid.adUnitCode));
+          if (!bidderRequest.bids.length) {
+            canceled.add(bidderRequest);
           }
+        });
+        call.bidRequests = call.bidRequests.filter(bidderRequest => !canceled.has(bidderRequest));
+        _bidderRequests = _bidderRequests.filter(bidderRequest => !canceled.has(bidderRequest));
+        if (call.bidRequests.length) {
+          return false;
         }
-        // return only used for terminating this .some() iteration early if it is determined we don't have capacity
-        return !hasCapacity;
-      });
-
-      if (hasCapacity) {
-        call.run();
+        logWarn(`Auction ${_auctionId} was canceled before making any requests: ${reason}`);
+        _queuedCall = null;
+        requestsDone.resolve();
+        initAuction();
+        auctionDone();
+        return true;
       }
+    };
 
-      return hasCapacity;
-    }
-
-    function increment(obj, prop) {
-      if (typeof obj[prop] === 'undefined') {
-        obj[prop] = 1
-      } else {
-        obj[prop]++;
-      }
-    }
+    _queuedCall = call;
+    requestQueue.schedule(call);
   }
 
   function addWinningBid(winningBid) {
@@ -459,11 +527,13 @@ export function newAuction({ adUnits, adUnitCodes, callback, cbTimeout, labels,
     getAuctionEnd: () => _auctionEnd,
     getTimeout: () => _timeout,
     getAuctionId: () => _auctionId,
-    getAuctionStatus: () => _auctionStatus,
+    getAuctionStatus,
+    cancel,
     getAdUnits: () => _adUnits,
     getAdUnitCodes: () => _adUnitCodes,
     getBidRequests: () => _bidderRequests,
     getBidsReceived: () => _bidsReceived.toArray(),
+    getReadyAdUnitCodes: () => Array.from(_readyAdUnitCodes),
     getNoBids: () => _noBids,
     getNonBids: () => _nonBids,
     getFPD: () => ortb2Fragments,
@@ -520,14 +590,18 @@ export type AddBidResponse = {
   reject(adUnitCode: AdUnitCode, bid: BidResponse, reason: typeof REJECTION_REASON[keyof typeof REJECTION_REASON]) : void;
 }
 
-export function auctionCallbacks(auctionDone, auctionInstance, { index = auctionManager.index } = {}) {
+export function auctionCallbacks(auctionDone, auctionInstance, { index = auctionManager.index, adUnitReady = null } = {}) {
   let outstandingBidsAdded = 0;
   let allAdapterCalledDone = false;
   const bidderRequestsDone = new Set();
+  const bidderRequestsExpired = new Set();
   const bidResponseMap = {};
+  const outstandingBidsByAdUnit = {};
 
-  function afterBidAdded() {
+  function afterBidAdded(adUnitCode) {
     outstandingBidsAdded--;
+    outstandingBidsByAdUnit[adUnitCode]--;
+    checkAdUnitsReady();
     if (allAdapterCalledDone && outstandingBidsAdded === 0) {
       auctionDone()
     }
@@ -537,7 +611,8 @@ export function auctionCallbacks(auctionDone, auctionInstance, { index = auction
     bidResponseMap[bid.requestId] = true;
     addCommonResponseProperties(bid, adUnitCode)
     outstandingBidsAdded++;
-    return handler(afterBidAdded);
+    outstandingBidsByAdUnit[adUnitCode] = (outstandingBidsByAdUnit[adUnitCode] || 0) + 1;
+    return handler(() => afterBidAdded(adUnitCode));
   }
 
   function acceptBidResponse(adUnitCode: string, bid: Partial<Bid>) {
@@ -565,22 +640,46 @@ export function auctionCallbacks(auctionDone, auctionInstance, { index = auction
     })
   }
 
-  function adapterDone() {
-    // eslint-disable-next-line @typescript-eslint/no-this-alias
-    const bidderRequest = this;
+  function getAwaitedBidderRequests() {
     let bidderRequests = auctionInstance.getBidRequests();
     const auctionOptionsConfig = config.getConfig('auctionOptions');
 
-    bidderRequestsDone.add(bidderRequest);
-
     if (auctionOptionsConfig && !isEmpty(auctionOptionsConfig)) {
       const secondaryBidders = auctionOptionsConfig.secondaryBidders;
       if (secondaryBidders && !bidderRequests.every(bidder => secondaryBidders.includes(bidder.bidderCode))) {
         bidderRequests = bidderRequests.filter(request => !secondaryBidders.includes(request.bidderCode));
       }
     }
+    return bidderRequests;
+  }
+
+  function isDone(bidderRequest) {
+    return bidderRequestsDone.has(bidderRequest) || bidderRequestsExpired.has(bidderRequest);
+  }
+
+  function updateAllAdapterCalledDone() {
+    allAdapterCalledDone = getAwaitedBidderRequests().every(isDone);
+  }
+
+  // in progressive auctions, an ad unit is ready once all of its bidders are done and its bids have been added
+  function checkAdUnitsReady() {
+    if (adUnitReady == null) return;
+    const bidderRequests = getAwaitedBidderRequests();
+    auctionInstance.getAdUnitCodes().forEach(adUnitCode => {
+      if (outstandingBidsByAdUnit[adUnitCode]) return;
+      const adUnitRequests = bidderRequests.filter(bidderRequest => bidderRequest.bids.some(bid => bid.adUnitCode === adUnitCode));
+      if (adUnitRequests.every(isDone)) {
+        adUnitReady(adUnitCode, adUnitRequests.some(bidderRequest => !bidderRequestsDone.has(bidderRequest)));
+      }
+    });
+  }
 
-    allAdapterCalledDone = bidderRequests.every(bidderRequest => bidderRequestsDone.has(bidderRequest));
+  function adapterDone() {
+    // eslint-disable-next-line @typescript-eslint/no-this-alias
+    const bidderRequest = this;
+
+    bidderRequestsDone.add(bidderRequest);
+    updateAllAdapterCalledDone();
 
     bidderRequest.bids.forEach(bid => {
       if (!bidResponseMap[bid.bidId]) {
@@ -590,6 +689,18 @@ export function auctionCallbacks(auctionDone, auctionInstance, { index = auction
       }
     });
 
+    checkAdUnitsReady();
+    if (allAdapterCalledDone && outstandingBidsAdded === 0) {
+      auctionDone();
+    }
+  }
+
+  // the auction stops waiting for bidders once their deadline has passed
+  function deadlinePassed(bidderRequest) {
+    if (bidderRequestsDone.has(bidderRequest)) return;
+    bidderRequestsExpired.add(bidderRequest);
+    updateAllAdapterCalledDone();
+    checkAdUnitsReady();
     if (allAdapterCalledDone && outstandingBidsAdded === 0) {
       auctionDone();
     }
@@ -615,7 +726,8 @@ export function auctionCallbacks(auctionDone, auctionInstance, { index = auction
     })(),
     adapterDone: function () {
       responsesReady(PbPromise.resolve()).finally(() => adapterDone.call(this));
-    }
+    },
+    deadlinePassed
   }
 }
 
@@ -815,24 +927,12 @@ function getPreparedBidForAuction(bid: Partial<Bid>, { index = auctionManager.in
     bid.renderer.setRender(renderer.render);
   }
 
-  // Use the config value 'mediaTypeGranularity' if it has been defined for mediaType, else use 'customPriceBucket'
-  const mediaTypeGranularity = getMediaTypeGranularity(bid.mediaType, mediaTypes, config.getConfig('mediaTypePriceGranularity'));
-  const priceStringsObj = getPriceBucketString(
-    bid.cpm,
-    (typeof mediaTypeGranularity === 'object') ? mediaTypeGranularity : config.getConfig('customPriceBucket'),
-    config.getConfig('currency.granularityMultiplier')
-  );
-  bid.pbLg = priceStringsObj.low;
-  bid.pbMg = priceStringsObj.med;
-  bid.pbHg = priceStringsObj.high;
-  bid.pbAg = priceStringsObj.auto;
-  bid.pbDg = priceStringsObj.dense;
-  bid.pbCg = priceStringsObj.custom;
+  Object.assign(bid, getPriceBuckets(bid, mediaTypes, bid.cpm, config.getConfig('currency.granularityMultiplier')));
 
   return bid as Bid;
 }
 
-function setupBidTargeting(bidObject: Bid) {
+export const setupBidTargeting = hook('sync', function (bidObject: Bid) {
   let keyValues;
   const cpmCheck = (bidderSettings.get(bidObject.bidderCode, 'allowZeroCpmBids') === true) ? bidObject.cpm >= 0 : bidObject.cpm > 0;
   if (bidObject.bidderCode && (cpmCheck || bidObject.dealId)) {
@@ -841,19 +941,7 @@ function setupBidTargeting(bidObject: Bid) {
 
   // use any targeting provided as defaults, otherwise just set from getKeyValueTargetingPairs
   bidObject.adserverTargeting = Object.assign(bidObject.adserverTargeting || {}, keyValues);
-}
-
-export function getMediaTypeGranularity(mediaType, mediaTypes, mediaTypePriceGranularity) {
-  if (mediaType && mediaTypePriceGranularity) {
-    if (FEATURES.VIDEO && mediaType === VIDEO) {
-      const context = mediaTypes?.[VIDEO]?.context ?? 'instream';
-      if (mediaTypePriceGranularity[`${VIDEO}-${context}`]) {
-        return mediaTypePriceGranularity[`${VIDEO}-${context}`];
-      }
-    }
-    return mediaTypePriceGranularity[mediaType];
-  }
-}
+}, 'setupBidTargeting');
 
 /**
  * This function returns the price granularity defined. It can be either publisher defined or default value
@@ -863,10 +951,7 @@ export function getMediaTypeGranularity(mediaType, mediaTypes, mediaTypePriceGra
  * @returns {string} granularity
  */
 export const getPriceGranularity = (bid, { index = auctionManager.index } = {}) => {
-  // Use the config value 'mediaTypeGranularity' if it has been set for mediaType, else use 'priceGranularity'
-  const mediaTypeGranularity = getMediaTypeGranularity(bid.mediaType, index.getMediaTypes(bid), config.getConfig('mediaTypePriceGranularity'));
-  const granularity = (typeof bid.mediaType === 'string' && mediaTypeGranularity) ? ((typeof mediaTypeGranularity === 'string') ? mediaTypeGranularity : 'custom') : config.getConfig('priceGranularity');
-  return granularity;
+  return getGranularity(bid.mediaType, index.getMediaTypes(bid));
 }
 
 /**
@@ -875,22 +960,7 @@ export const getPriceGranularity = (bid, { index = auctionManager.index } = {})
  * @returns {function}
  */
 export const getPriceByGranularity = (granularity?) => {
-  return (bid) => {
-    const bidGranularity = granularity || getPriceGranularity(bid);
-    if (bidGranularity === GRANULARITY_OPTIONS.AUTO) {
-      return bid.pbAg;
-    } else if (bidGranularity === GRANULARITY_OPTIONS.DENSE) {
-      return bid.pbDg;
-    } else if (bidGranularity === GRANULARITY_OPTIONS.LOW) {
-      return bid.pbLg;
-    } else if (bidGranularity === GRANULARITY_OPTIONS.MEDIUM) {
-      return bid.pbMg;
-    } else if (bidGranularity === GRANULARITY_OPTIONS.HIGH) {
-      return bid.pbHg;
-    } else if (bidGranularity === GRANULARITY_OPTIONS.CUSTOM) {
-      return bid.pbCg;
-    }
-  }
+  return (bid) => getPriceForGranularity(bid, granularity || getPriceGranularity(bid));
 }
 
 /**
@@ -17,7 +17,8 @@
  * @property {function(string, string): void} setStatusForBids - set status for bids
  * @property {function(): string} getLastAuctionId - returns last auctionId
  * @property {function(Object): Object} createAuction - creates auction instance and stores it for future reference
- * @property {function(string): Object} findBidByAdId - find bid received by adId. This function will be called by $$PREBID_GLOBAL$$.renderAd
+ * @property {function(string): Object} findBidByAdId - find bid received by adId, excluding canceled auctions. This function will be called by $$PREBID_GLOBAL$$.renderAd
+ * @property {function(string): boolean} cancelAuction - cancel an auction by auctionId
  * @property {function(): Object} getStandardBidderAdServerTargeting - returns standard bidder targeting for all the adapters. Refer http://prebid.org/dev-docs/publisher-api-reference.html#module_pbjs.bidderSettings for more details
  * @property {function(Object): void} addWinningBid - add a winning bid to an auction based on auctionId
  * @property {function(): void} clearAllAuctions - clear all auctions for testing
@@ -26,7 +27,7 @@
  */
 
 import { uniques, logWarn } from './utils.js';
-import { newAuction, getStandardBidderSettings, AUCTION_COMPLETED } from './auction.js';
+import { newAuction, getStandardBidderSettings, AUCTION_CANCELLED, AUCTION_COMPLETED } from './auction.js';
 import { AuctionIndex } from './auctionIndex.js';
 import { BID_STATUS, JSON_MAPPING } from './constants.js';
 import { useMetrics } from './utils/perfMetrics.js';
@@ -95,15 +96,21 @@ export function newAuctionManager() {
     getBidsReceived: {
       pre(auction) {
         return auction.getAuctionStatus() === AUCTION_COMPLETED;
+      },
+      // progressive auctions release the bids of ad units that are ready before they complete
+      partial(auction) {
+        if (auction.getAuctionStatus() === AUCTION_CANCELLED) return [];
+        const readyAdUnitCodes = auction.getReadyAdUnitCodes?.() || [];
+        return readyAdUnitCodes.length ? auction.getBidsReceived().filter(bid => readyAdUnitCodes.includes(bid.adUnitCode)) : [];
       }
     },
     getAdUnitCodes: {
       post: uniques,
     }
-  }).forEach(([mgrMethod, { name = mgrMethod, pre, post }]) => {
+  }).forEach(([mgrMethod, { name = mgrMethod, pre, partial, post }]) => {
     const mapper = pre == null
       ? (auction) => auction[name]()
-      : (auction) => pre(auction) ? auction[name]() : [];
+      : (auction) => pre(auction) ? auction[name]() : (partial ? partial(auction) : []);
     const filter = post == null
       ? (items) => items
       : (items) => items.filter(post)
@@ -128,10 +135,21 @@ export function newAuctionManager() {
   };
 
   auctionManager.findBidByAdId = function(adId) {
-    return allBidsReceived()
+    return _auctions.toArray()
+      .filter(auction => auction.getAuctionStatus() !== AUCTION_CANCELLED)
+      .flatMap(auction => auction.getBidsReceived())
       .find(bid => bid.adId === adId);
   };
 
+  auctionManager.cancelAuction = function(auctionId) {
+    const auction = getAuction(auctionId);
+    if (auction == null) {
+      logWarn(`Auction ${auctionId} not found, it cannot be canceled`);
+      return false;
+    }
+    return auction.cancel();
+  };
+
   auctionManager.getStandardBidderAdServerTargeting = function() {
     return getStandardBidderSettings()[JSON_MAPPING.ADSERVER_TARGETING];
   };
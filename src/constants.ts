@@ -44,7 +44,13 @@ export const EVENTS = {
   BEFORE_PBS_HTTP: 'beforePBSHttp',
   BROWSI_INIT: 'browsiInit',
   BROWSI_DATA: 'browsiData',
-  BROWSER_INTERVENTION: 'browserIntervention'
+  BROWSER_INTERVENTION: 'browserIntervention',
+  RULES_DECISION: 'rulesDecision',
+  FLOORS_MODEL_CHANGED: 'floorsModelChanged',
+  CURRENCY_RATES_UPDATED: 'currencyRatesUpdated',
+  BID_LOST: 'bidLost',
+  AD_UNIT_READY: 'adUnitReady',
+  AUCTION_CANCELLED: 'auctionCancelled'
 } as const;
 
 export const AD_RENDER_FAILED_REASON = {
@@ -141,7 +147,9 @@ export const REJECTION_REASON = {
   CANNOT_CONVERT_CURRENCY: 'Unable to convert currency',
   DSA_REQUIRED: 'Bid does not provide required DSA transparency info',
   DSA_MISMATCH: 'Bid indicates inappropriate DSA rendering method',
-  PRICE_TOO_HIGH: 'Bid price exceeds maximum value'
+  PRICE_TOO_HIGH: 'Bid price exceeds maximum value',
+  BID_LIMIT_EXCEEDED: 'Bidder has exceeded the number of bids allowed for the ad unit',
+  STALE_CURRENCY_RATES: 'Currency conversion rates are stale'
 };
 
 export const PREBID_NATIVE_DATA_KEYS_TO_ORTB = {
@@ -1,6 +1,8 @@
 /* eslint-disable array-callback-return */
 import { isEmpty, logWarn } from './utils.js';
 import { config } from './config.js';
+import { GRANULARITY_OPTIONS } from './constants.js';
+import { VIDEO } from './mediaTypes.js';
 
 const _defaultPrecision = 2;
 const _lgPriceConfig = {
@@ -162,4 +164,65 @@ function getCpmTarget(cpm, bucket, granularityMultiplier) {
   return cpmTarget.toFixed(precision);
 }
 
+export function getMediaTypeGranularity(mediaType, mediaTypes, mediaTypePriceGranularity) {
+  if (mediaType && mediaTypePriceGranularity) {
+    if (FEATURES.VIDEO && mediaType === VIDEO) {
+      const context = mediaTypes?.[VIDEO]?.context ?? 'instream';
+      if (mediaTypePriceGranularity[`${VIDEO}-${context}`]) {
+        return mediaTypePriceGranularity[`${VIDEO}-${context}`];
+      }
+    }
+    return mediaTypePriceGranularity[mediaType];
+  }
+}
+
+/**
+ * Compute the price buckets for a CPM, using the custom price granularity configured for the bid's media type if any.
+ */
+export function getPriceBuckets(bid: { mediaType?: string }, mediaTypes, cpm, granularityMultiplier?: number) {
+  // Use the config value 'mediaTypeGranularity' if it has been defined for mediaType, else use 'customPriceBucket'
+  const mediaTypeGranularity = getMediaTypeGranularity(bid.mediaType, mediaTypes, config.getConfig('mediaTypePriceGranularity'));
+  const priceStringsObj = getPriceBucketString(
+    cpm,
+    (typeof mediaTypeGranularity === 'object') ? mediaTypeGranularity : config.getConfig('customPriceBucket'),
+    granularityMultiplier
+  );
+  return {
+    pbLg: priceStringsObj.low,
+    pbMg: priceStringsObj.med,
+    pbHg: priceStringsObj.high,
+    pbAg: priceStringsObj.auto,
+    pbDg: priceStringsObj.dense,
+    pbCg: priceStringsObj.custom
+  };
+}
+
+/**
+ * Returns the price granularity for a media type: the one configured for it in `mediaTypePriceGranularity`,
+ * or else `priceGranularity`.
+ */
+export function getGranularity(mediaType, mediaTypes) {
+  const mediaTypeGranularity = getMediaTypeGranularity(mediaType, mediaTypes, config.getConfig('mediaTypePriceGranularity'));
+  return (typeof mediaType === 'string' && mediaTypeGranularity) ? ((typeof mediaTypeGranularity === 'string') ? mediaTypeGranularity : 'custom') : config.getConfig('priceGranularity');
+}
+
+/**
+ * Returns the price bucket for a granularity, out of those computed by `getPriceBuckets`.
+ */
+export function getPriceForGranularity(buckets: Partial<ReturnType<typeof getPriceBuckets>>, granularity) {
+  if (granularity === GRANULARITY_OPTIONS.AUTO) {
+    return buckets.pbAg;
+  } else if (granularity === GRANULARITY_OPTIONS.DENSE) {
+    return buckets.pbDg;
+  } else if (granularity === GRANULARITY_OPTIONS.LOW) {
+    return buckets.pbLg;
+  } else if (granularity === GRANULARITY_OPTIONS.MEDIUM) {
+    return buckets.pbMg;
+  } else if (granularity === GRANULARITY_OPTIONS.HIGH) {
+    return buckets.pbHg;
+  } else if (granularity === GRANULARITY_OPTIONS.CUSTOM) {
+    return buckets.pbCg;
+  }
+}
+
 export { getPriceBucketString, isValidPriceConfig };
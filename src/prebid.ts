@@ -66,6 +66,7 @@ import { type WrapsInBids, wrapInBids } from "./utils/wrapsInBids.ts";
 
 import { getGlobalVarName } from "./buildOptions.ts";
 import { yieldAll } from "./utils/yield.ts";
+import { requestQueue } from './requestQueue.js';
 
 const pbjsInstance = getGlobal();
 const { triggerUserSyncs } = userSync;
@@ -479,6 +480,7 @@ declare module './prebidGlobal' {
     getAllPrebidWinningBids: typeof getAllPrebidWinningBids;
     getHighestCpmBids: typeof getHighestCpmBids;
     clearAllAuctions: typeof clearAllAuctions;
+    cancelAuction: typeof cancelAuction;
     markWinningBidAsUsed: typeof markWinningBidAsUsed;
     getConfig: typeof config.getConfig;
     readConfig: typeof config.readConfig;
@@ -628,7 +630,7 @@ function setTargetingForAst(adUnitCodes?: AdUnitCode | AdUnitCode[]) {
   }
 
   targeting.setTargetingForAst(adUnitCodes);
-  events.emit(SET_TARGETING, targeting.getAllTargeting());
+  events.emit(SET_TARGETING, targeting.getAllTargeting(), targeting.getTargetingInfo());
 }
 
 addApiMethod('setTargetingForAst', setTargetingForAst);
@@ -659,6 +661,7 @@ addApiMethod('renderAd', renderAd);
 function removeAdUnit(adUnitCode?: AdUnitCode) {
   if (!adUnitCode) {
     pbjsInstance.adUnits = [];
+    requestQueue.cancel(undefined, 'ad units were removed');
     return;
   }
 
@@ -677,6 +680,7 @@ function removeAdUnit(adUnitCode?: AdUnitCode) {
       }
     }
   });
+  requestQueue.cancel(adUnitCodes, 'ad units were removed');
 }
 addApiMethod('removeAdUnit', removeAdUnit);
 
@@ -686,6 +690,20 @@ export type RequestBidsOptions = {
    * in situations where the auction is canceled prematurely (e.g. CMP errors)
    */
   bidsBackHandler?: (bids?: RequestBidsResult['bids'], timedOut?: RequestBidsResult['timedOut'], auctionId?: RequestBidsResult['auctionId']) => void;
+  /**
+   * Callback to execute for each ad unit as soon as all of its bidders are done, or its `readyTimeout` hits, without waiting
+   * for the rest of the auction. Bids for ad units that are ready are available for targeting before the auction completes.
+   */
+  adUnitReadyHandler?: (adUnitCode: AdUnitCode, bids: Bid[], timedOut: boolean, auctionId: Identifier) => void;
+  /**
+   * When requests have to wait for endpoint capacity (see maxRequestsPerOrigin), auctions with a higher priority
+   * make theirs first - for example, auctions for above-the-fold ad units. Default: 0
+   */
+  priority?: number;
+  /**
+   * Aborting this signal cancels the auction (see cancelAuction).
+   */
+  signal?: AbortSignal;
   /**
    * TTL buffer override for this auction.
    */
@@ -731,6 +749,10 @@ type RequestBidsResult = {
    * The auction's ID
    */
   auctionId?: Identifier;
+  /**
+   * True if the auction was canceled. `bidsBackHandler` is not invoked for canceled auctions.
+   */
+  cancelled?: boolean;
 }
 
 export type PrivRequestBidsOptions = RequestBidsOptions & {
@@ -790,7 +812,7 @@ export const requestBids = (function() {
   }
 
   const delegate = hook('async', function (reqBidOptions: PrivRequestBidsOptions): void {
-    let { bidsBackHandler, timeout, adUnits, adUnitCodes, labels, auctionId, ttlBuffer, ortb2, metrics, defer } = reqBidOptions ?? {};
+    let { bidsBackHandler, adUnitReadyHandler, priority, signal, timeout, adUnits, adUnitCodes, labels, auctionId, ttlBuffer, ortb2, metrics, defer } = reqBidOptions ?? {};
     const cbTimeout = timeout || config.getConfig('bidderTimeout');
     ({ included: adUnits, adUnitCodes } = filterAdUnits(adUnits, adUnitCodes));
     let ortb2Fragments = {
@@ -801,7 +823,7 @@ export const requestBids = (function() {
 
     enrichFPD(PbPromise.resolve(ortb2Fragments.global)).then(global => {
       ortb2Fragments.global = global;
-      return startAuction({ bidsBackHandler, timeout: cbTimeout, adUnits, adUnitCodes, labels, auctionId, ttlBuffer, ortb2Fragments, metrics, defer });
+      return startAuction({ bidsBackHandler, adUnitReadyHandler, priority, signal, timeout: cbTimeout, adUnits, adUnitCodes, labels, auctionId, ttlBuffer, ortb2Fragments, metrics, defer });
     })
   }, 'requestBids');
 
@@ -843,12 +865,16 @@ export const requestBids = (function() {
 
 addApiMethod('requestBids', requestBids as unknown as RequestBids, false);
 
-export const startAuction = hook('async', function ({ bidsBackHandler, timeout: cbTimeout, adUnits: adUnitDefs, ttlBuffer, adUnitCodes, labels, auctionId, ortb2Fragments, metrics, defer }: StartAuctionOptions = {} as any) {
+export const startAuction = hook('async', function ({ bidsBackHandler, adUnitReadyHandler, priority, signal, timeout: cbTimeout, adUnits: adUnitDefs, ttlBuffer, adUnitCodes, labels, auctionId, ortb2Fragments, metrics, defer }: StartAuctionOptions = {} as any) {
   const s2sBidders = getS2SBidderSet(config.getConfig('s2sConfig') || []);
   fillAdUnitDefaults(adUnitDefs);
   const adUnits: AdUnit[] = useMetrics(metrics).measureTime('requestBids.validate', () => checkAdUnitSetup(adUnitDefs));
 
-  function auctionDone(bids?, timedOut?: boolean, auctionId?: string) {
+  function auctionDone(bids?, timedOut?: boolean, auctionId?: string, cancelled?: boolean) {
+    if (cancelled) {
+      defer.resolve({ auctionId, cancelled });
+      return;
+    }
     if (typeof bidsBackHandler === 'function') {
       try {
         bidsBackHandler(bids, timedOut, auctionId);
@@ -917,6 +943,9 @@ export const startAuction = hook('async', function ({ bidsBackHandler, timeout:
       adUnits,
       adUnitCodes,
       callback: auctionDone,
+      adUnitCallback: adUnitReadyHandler,
+      priority,
+      signal,
       cbTimeout,
       labels,
       auctionId,
@@ -1121,6 +1150,17 @@ function clearAllAuctions() {
 }
 addApiMethod('clearAllAuctions', clearAllAuctions);
 
+/**
+ * Cancel an auction: abort its outstanding requests and stop using its bids for targeting and rendering.
+ * Its `bidsBackHandler` is not invoked if it has not completed yet.
+ * @param auctionId the ID of the auction to cancel
+ * @return true if the auction was found and canceled
+ */
+function cancelAuction(auctionId: Identifier): boolean {
+  return auctionManager.cancelAuction(auctionId);
+}
+addApiMethod('cancelAuction', cancelAuction);
+
 type MarkWinningBidAsUsedOptions = ({
   /**
    * The id representing the ad we want to mark
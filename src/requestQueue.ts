@@ -0,0 +1,206 @@
+import { config } from './config.js';
+import { S2S } from './constants.js';
+import { logInfo, logWarn } from './utils.js';
+import type { BidderRequest } from './adapterManager.ts';
+import type { AdUnitCode, BidderCode } from './types/common.d.ts';
+import type { Metrics } from './utils/perfMetrics.ts';
+
+/**
+ * Default limit of concurrent requests to an origin, when it's served over HTTP/1.1 or its protocol is not known.
+ */
+export const MAX_REQUESTS_PER_ORIGIN = 4;
+/**
+ * Default limit of concurrent requests to an origin served over HTTP/2 or HTTP/3, which multiplex requests over one connection.
+ */
+export const MAX_REQUESTS_PER_MULTIPLEXED_ORIGIN = 16;
+
+const MULTIPLEXED_PROTOCOLS = ['h2', 'h2c', 'h3'];
+
+export const dep = {
+  getResourceTimings: () => performance.getEntriesByType('resource') as PerformanceResourceTiming[]
+};
+
+declare module './config' {
+  interface Config {
+    /**
+     * Since browsers have a limit of how many requests they will allow to a specific domain before they block,
+     * Prebid.js will queue auctions that would cause requests to a specific origin to exceed that limit.
+     * The limit is different for each browser. When not set, Prebid.js defaults to a max of 4 requests per origin,
+     * or 16 for origins it has seen serving requests over HTTP/2 or HTTP/3.
+     * The protocol of cross-origin requests is only visible when the bidder's responses include a `Timing-Allow-Origin`
+     * header; other origins are assumed to be HTTP/1.1.
+     */
+    maxRequestsPerOrigin?: number;
+    /**
+     * When true, `maxRequestsPerOrigin` also applies to bidders that declare `alwaysHasCapacity`.
+     */
+    forceMaxRequestsPerOrigin?: boolean;
+    /**
+     * When true, queued requests for ad units that are requested again by a newer auction are canceled.
+     * Queued auctions left with nothing to request end without making any requests.
+     */
+    cancelSupersededAuctions?: boolean;
+  }
+}
+
+export type QueuedCall = {
+  bidRequests: BidderRequest<BidderCode>[];
+  adUnitCodes: AdUnitCode[];
+  /**
+   * Calls with a higher priority are run first. Default: 0
+   */
+  priority?: number;
+  metrics: Metrics;
+  run: () => void;
+  /**
+   * Drops the bid requests for the given ad units. Returns true if there is nothing left to request.
+   */
+  cancel: (adUnitCodes: AdUnitCode[], reason: string) => boolean;
+}
+
+type SourceInfo = {
+  SRA: boolean;
+  origin: string;
+}
+
+export function newRequestQueue() {
+  const outstandingRequests: { [origin: string]: number } = {};
+  const sourceInfo: { [source: string]: SourceInfo } = {};
+  const protocols: { [origin: string]: string } = {};
+  let queuedCalls: QueuedCall[] = [];
+
+  function increment(obj, prop) {
+    obj[prop] = (obj[prop] ?? 0) + 1;
+  }
+
+  /**
+   * @summary Looks up the protocol used by an origin in the resource timing entries, once per origin.
+   * Browsers leave `nextHopProtocol` empty for cross-origin requests without a `Timing-Allow-Origin` header;
+   * those origins are remembered as unknown, and keep the HTTP/1.1 limit.
+   */
+  function learnProtocol(origin: string) {
+    if (protocols.hasOwnProperty(origin)) return;
+    try {
+      const entry = dep.getResourceTimings().find(entry => entry.name.startsWith(origin));
+      if (entry != null) {
+        protocols[origin] = entry.nextHopProtocol ?? '';
+      }
+    } catch (e) {
+      // resource timing is not available
+    }
+  }
+
+  function getMaxRequests(origin: string) {
+    return config.getConfig('maxRequestsPerOrigin') ||
+      (MULTIPLEXED_PROTOCOLS.includes(protocols[origin]) ? MAX_REQUESTS_PER_MULTIPLEXED_ORIGIN : MAX_REQUESTS_PER_ORIGIN);
+  }
+
+  function hasCapacity(call: QueuedCall) {
+    return !call.bidRequests.some(bidRequest => {
+      const source = (typeof bidRequest.src !== 'undefined' && bidRequest.src === S2S.SRC) ? 's2s'
+        : bidRequest.bidderCode;
+
+      // if the bidder has alwaysHasCapacity flag set and forceMaxRequestsPerOrigin is false, don't check capacity
+      if (bidRequest.alwaysHasCapacity && !config.getConfig('forceMaxRequestsPerOrigin')) {
+        return false;
+      }
+      // if we have no previous info on this source just let them through
+      if (!sourceInfo[source]) {
+        return false;
+      }
+      const origin = sourceInfo[source].origin;
+      const maxRequests = getMaxRequests(origin);
+      // some bidders might use more than the maximum number of requests in a single auction. In those cases
+      // set their request count to the maximum so the auction isn't permanently queued waiting for capacity for that bidder
+      const requests = sourceInfo[source].SRA === false ? Math.min(bidRequest.bids.length, maxRequests) : 1;
+      return (outstandingRequests[origin] ?? 0) + requests > maxRequests;
+    });
+  }
+
+  function run(call: QueuedCall) {
+    call.metrics.timeSince('requestQueue.enqueued', 'requestBids.queued');
+    call.run();
+  }
+
+  function processQueue() {
+    while (queuedCalls.length && hasCapacity(queuedCalls[0])) {
+      run(queuedCalls.shift());
+    }
+  }
+
+  /**
+   * @summary Cancels queued requests for the given ad units (or all of them), dropping calls that have nothing left to request.
+   */
+  function cancel(adUnitCodes?: AdUnitCode[], reason = 'canceled') {
+    queuedCalls = queuedCalls.filter(call => {
+      const codes = (adUnitCodes ?? call.adUnitCodes).filter(code => call.adUnitCodes.includes(code));
+      if (!codes.length) return true;
+      logInfo(`Canceling queued requests for ad units ${codes.join(', ')}: ${reason}`);
+      return !call.cancel(codes, reason);
+    });
+  }
+
+  return {
+    /**
+     * @summary Runs a call right away if every origin it requests has capacity for it, or else queues it.
+     * Queued calls are run in order of priority as capacity is freed up. With `cancelSupersededAuctions`,
+     * queued requests for ad units that are requested again by a later call are canceled.
+     */
+    schedule(call: QueuedCall) {
+      if (config.getConfig('cancelSupersededAuctions')) {
+        cancel(call.adUnitCodes, 'superseded by a newer auction');
+      }
+      call.metrics.checkpoint('requestQueue.enqueued');
+      if (hasCapacity(call)) {
+        run(call);
+      } else {
+        logWarn('queueing auction due to limited endpoint capacity');
+        const priority = call.priority ?? 0;
+        const index = queuedCalls.findIndex(queued => (queued.priority ?? 0) < priority);
+        queuedCalls.splice(index === -1 ? queuedCalls.length : index, 0, call);
+      }
+    },
+    cancel,
+    /**
+     * @summary Removes a call from the queue, without running it.
+     */
+    dequeue(call: QueuedCall) {
+      queuedCalls = queuedCalls.filter(queued => queued !== call);
+    },
+    /**
+     * @summary Callbacks that track the requests made by a call, to pass to `adapterManager.callBids`.
+     */
+    requestCallbacks() {
+      const requests = {};
+      return {
+        request(source: string, origin: string) {
+          increment(outstandingRequests, origin);
+          increment(requests, source);
+
+          if (!sourceInfo[source]) {
+            sourceInfo[source] = {
+              SRA: true,
+              origin
+            };
+          }
+          if (requests[source] > 1) {
+            sourceInfo[source].SRA = false;
+          }
+        },
+        done(origin: string) {
+          outstandingRequests[origin]--;
+          learnProtocol(origin);
+          processQueue();
+        }
+      };
+    },
+    getMaxRequests,
+    getQueuedCalls: () => queuedCalls.slice(),
+    reset() {
+      queuedCalls = [];
+      [outstandingRequests, sourceInfo, protocols].forEach((ob) => Object.keys(ob).forEach((k) => { delete ob[k] }));
+    }
+  };
+}
+
+export const requestQueue = newRequestQueue();
@@ -26,6 +26,7 @@ import type { Bid } from './bidfactory.ts';
 import type { AdUnitCode, ByAdUnit, Identifier } from './types/common.d.ts';
 import type { DefaultTargeting } from './auction.ts';
 import { lock } from "./targeting/lock.ts";
+import { ranking } from './targeting/ranking.js';
 
 var pbTargetingKeys = [];
 
@@ -39,6 +40,30 @@ export const TARGETING_KEYS_ARR = Object.keys(TARGETING_KEYS).map(
   key => TARGETING_KEYS[key]
 );
 
+/**
+ * Targeting keys set by modules, mapped to the standard key (as a TARGETING_KEYS name) they behave like.
+ */
+const moduleKeys = new Map<string, keyof typeof TARGETING_KEYS>();
+
+/**
+ * Register a targeting key that a module sets on bids (e.g. `hb_pb_eur`), so that it is handled like the standard key
+ * it derives from: set only for the winning bid, set with the bidder code as suffix when sending all bids,
+ * and filtered by `allowTargetingKeys` and `allowSendAllBidsTargetingKeys` as that key is.
+ * @returns a function that unregisters the key.
+ */
+export function registerTargetingKey(key: string, standardKey: keyof typeof TARGETING_KEYS) {
+  moduleKeys.set(key, standardKey);
+  return () => {
+    if (moduleKeys.get(key) === standardKey) moduleKeys.delete(key);
+  };
+}
+
+function moduleKeysFor(standardKeys: (keyof typeof TARGETING_KEYS)[]) {
+  return Array.from(moduleKeys.entries())
+    .filter(([, standardKey]) => standardKeys.includes(standardKey))
+    .map(([key]) => key);
+}
+
 // return unexpired bids
 const isBidNotExpired = (bid) => (bid.responseTimestamp + getBufferedTTL(bid) * 1000) > timestamp();
 
@@ -60,19 +85,28 @@ export function isBidUsable(bid) {
 // If two bids are found for same adUnitCode, we will use the highest one to take part in auction
 // This can happen in case of concurrent auctions
 // If adUnitBidLimit is set above 0 return top N number of bids
+// If a ranking strategy is configured (targetingControls.ranking), it ranks all bids for each ad unit, and each bidder's
+// top ranked bid is returned in ranked order instead
 export const getHighestCpmBidsFromBidPool = hook('sync', function(bidsReceived, winReducer, adUnitBidLimit = 0, hasModified = false, winSorter = sortByHighestCpm) {
   if (!hasModified) {
     const bids = [];
     const dealPrioritization = config.getConfig('sendBidsControl.dealPrioritization');
     // bucket by adUnitcode
     const buckets = groupBy(bidsReceived, 'adUnitCode');
+    const ranked = ranking.isEnabled() ? ranking.rank(buckets) : null;
     // filter top bid for each bucket by bidder
     Object.keys(buckets).forEach(bucketKey => {
+      // if adUnitBidLimit is set, pass top N number bids
+      const bidLimit = typeof adUnitBidLimit === 'object' ? adUnitBidLimit[bucketKey] : adUnitBidLimit;
+      if (ranked != null) {
+        const rankedBids = (ranked[bucketKey] ?? buckets[bucketKey]).filter((bid, i, rankedBids) =>
+          rankedBids.findIndex(other => other.bidderCode === bid.bidderCode) === i);
+        bids.push(...limitRankedBids(rankedBids, bidLimit, !!dealPrioritization));
+        return;
+      }
       let bucketBids = [];
       const bidsByBidder = groupBy(buckets[bucketKey], 'bidderCode')
       Object.keys(bidsByBidder).forEach(key => { bucketBids.push(bidsByBidder[key].reduce(winReducer)) });
-      // if adUnitBidLimit is set, pass top N number bids
-      const bidLimit = typeof adUnitBidLimit === 'object' ? adUnitBidLimit[bucketKey] : adUnitBidLimit;
       if (bidLimit) {
         bucketBids = dealPrioritization ? bucketBids.sort(sortByDealAndPriceBucketOrCpm(true)) : bucketBids.sort((a, b) => b.cpm - a.cpm);
         bids.push(...bucketBids.slice(0, bidLimit));
@@ -88,6 +122,18 @@ export const getHighestCpmBidsFromBidPool = hook('sync', function(bidsReceived,
   return bidsReceived;
 });
 
+/**
+ * Keeps the top `bidLimit` ranked bids; with `dealPrioritization`, bids with deals are kept first.
+ * The bids that are kept stay in ranked order, so that the top ranked one still wins.
+ */
+function limitRankedBids(rankedBids: Bid[], bidLimit: number, dealPrioritization: boolean): Bid[] {
+  if (!bidLimit) return rankedBids;
+  if (!dealPrioritization) return rankedBids.slice(0, bidLimit);
+  const hasDeal = (bid: Bid) => bid.adserverTargeting?.hb_deal !== undefined;
+  const kept = new Set(rankedBids.filter(hasDeal).concat(rankedBids.filter(bid => !hasDeal(bid))).slice(0, bidLimit));
+  return rankedBids.filter(bid => kept.has(bid));
+}
+
 /**
  * A descending sort function that will sort the list of objects based on the following two dimensions:
  *  - bids with a deal are sorted before bids w/o a deal
@@ -181,10 +227,17 @@ export type SlotMatchingFn = (slot: any) => AdUnitPredicate;
 
 declare module './events' {
   interface Events {
-    [EVENTS.SET_TARGETING]: [ByAdUnit<GPTTargetingValues>];
+    [EVENTS.SET_TARGETING]: [ByAdUnit<GPTTargetingValues>, SetTargetingInfo?];
   }
 }
 
+export type SetTargetingInfo = {
+  /**
+   * Name of the strategy used to rank bids (see `targetingControls.ranking`).
+   */
+  ranking: string;
+}
+
 export interface TargetingControlsConfig {
   /**
    * Specifies the maximum number of characters the system can add to ad server targeting.
@@ -338,9 +391,13 @@ export function newTargeting(auctionManager) {
       targeting.targetingDone(targetingSet);
 
       // emit event
-      events.emit(EVENTS.SET_TARGETING, targetingSet);
+      events.emit(EVENTS.SET_TARGETING, targetingSet, targeting.getTargetingInfo());
     }, 'setTargetingForGPT'),
 
+    getTargetingInfo(): SetTargetingInfo {
+      return { ranking: ranking.getStrategyName() };
+    },
+
     targetingDone: hook('sync', function (targetingSet: ByAdUnit<GPTTargetingValues>) {
       return targetingSet;
     }, 'targetingDone'),
@@ -348,7 +405,8 @@ export function newTargeting(auctionManager) {
     /**
      * Returns top bids for a given adUnit or set of adUnits.
      * @param  adUnitCode adUnitCode or array of adUnitCodes
-     * @param  bids - The received bids, defaulting to the result of getBidsReceived().
+     * @param  bids - The received bids, defaulting to the result of getBidsReceived(). When a ranking strategy is configured,
+     *  these should be in ranked order, as returned by getHighestCpmBidsFromBidPool.
      * @param  [winReducer = getHighestCpm] - reducer method
      * @param  [winSorter = sortByHighestCpm] - sorter method
      * @return An array of winning bids.
@@ -356,10 +414,16 @@ export function newTargeting(auctionManager) {
     getWinningBids(adUnitCode: AdUnitCode | AdUnitCode[], bids?: Bid[], winReducer = getHighestCpm, winSorter = sortByHighestCpm): Bid[] {
       const bidsReceived = bids || getBidsReceived(winReducer, winSorter);
       const adUnitCodes = getAdUnitCodes(adUnitCode);
-
-      return bidsReceived
+      const eligibleBids = bidsReceived
         .filter(bid => adUnitCodes.includes(bid.adUnitCode))
-        .filter(bid => (bidderSettings.get(bid.bidderCode, 'allowZeroCpmBids') === true) ? bid.cpm >= 0 : bid.cpm > 0)
+        .filter(bid => (bidderSettings.get(bid.bidderCode, 'allowZeroCpmBids') === true) ? bid.cpm >= 0 : bid.cpm > 0);
+
+      if (ranking.isEnabled()) {
+        // the pool is already ranked by getHighestCpmBidsFromBidPool; the first eligible bid for each ad unit wins
+        return eligibleBids.filter((bid, i) => eligibleBids.findIndex(other => other.adUnitCode === bid.adUnitCode) === i);
+      }
+
+      return eligibleBids
         .map(bid => bid.adUnitCode)
         .filter(uniques)
         .map(adUnitCode => bidsReceived
@@ -408,11 +472,11 @@ export function newTargeting(auctionManager) {
   }
 
   function addBidToTargeting(bids, enableSendAllBids = false, deals = false): TargetingArray {
-    const standardKeys = TARGETING_KEYS_ARR.slice();
+    const standardKeys: string[] = [...TARGETING_KEYS_ARR, ...moduleKeys.keys()];
     const allowSendAllBidsTargetingKeys = config.getConfig('targetingControls.allowSendAllBidsTargetingKeys');
 
     const allowedSendAllBidTargeting = allowSendAllBidsTargetingKeys
-      ? allowSendAllBidsTargetingKeys.map((key) => TARGETING_KEYS[key])
+      ? [...allowSendAllBidsTargetingKeys.map((key) => TARGETING_KEYS[key]), ...moduleKeysFor(allowSendAllBidsTargetingKeys)]
       : standardKeys;
 
     return bids.reduce((result, bid) => {
@@ -451,6 +515,12 @@ export function newTargeting(auctionManager) {
       const keyring = adUnit[adUnitCode];
       const keys = keyring.filter(kvPair => {
         const key = Object.keys(kvPair)[0];
+        const moduleKey = Array.from(moduleKeys.keys()).find(moduleKey => key.indexOf(moduleKey) === 0);
+        if (moduleKey != null) {
+          // keys registered by modules (and their bidder suffixed versions) are allowed along with their standard key
+          keyDispositions[key] = !allowedKeys.includes(moduleKeys.get(moduleKey));
+          return !keyDispositions[key];
+        }
         // check if key is in default keys, if not, it's custom, we won't remove it.
         const isCustom = defaultKeys.filter(defaultKey => key.indexOf(defaultKeyring[defaultKey]) === 0).length === 0;
         // check if key explicitly allowed, if not, we'll remove it.
@@ -721,7 +791,8 @@ export function newTargeting(auctionManager) {
   function getStandardKeys() {
     return auctionManager.getStandardBidderAdServerTargeting() // in case using a custom standard key set
       .map(targeting => targeting.key)
-      .concat(TARGETING_KEYS_ARR).filter(uniques); // standard keys defined in the library.
+      .concat(TARGETING_KEYS_ARR) // standard keys defined in the library.
+      .concat(Array.from(moduleKeys.keys())).filter(uniques);
   }
 
   function getCustomKeys() {
@@ -0,0 +1,211 @@
+import type { Bid } from "../bidfactory.ts";
+import type { BidderCode, ByAdUnit } from "../types/common.d.ts";
+import { config } from "../config.ts";
+import { EVENTS } from "../constants.ts";
+import * as events from "../events.ts";
+import { getCoreStorageManager } from "../storageManager.ts";
+import { logError, logWarn, sortByHighestCpm } from "../utils.js";
+
+export const DEFAULT_RANKING = 'cpm';
+const CUSTOM_RANKING = 'custom';
+
+export const STORAGE_KEY = 'prebid:targetingRanking';
+
+export const storage = getCoreStorageManager('targetingRanking');
+
+/**
+ * A ranking strategy orders the bids for each ad unit from most to least preferred; the first bid for an ad unit
+ * is the one that wins targeting. Strategies are given the bids for all ad units that targeting is being set for
+ * at the same time, so that they may take into account bids on other slots.
+ */
+export type RankingStrategy<P = any> = (bidsByAdUnit: ByAdUnit<Bid[]>, params: P) => ByAdUnit<Bid[]>;
+
+export type RankingConfig = {
+  /**
+   * Name of the ranking strategy, or a custom strategy function.
+   */
+  strategy: string | RankingStrategy;
+  /**
+   * Any other property is passed to the strategy as a parameter.
+   */
+  [param: string]: unknown;
+}
+
+declare module '../targeting.ts' {
+  interface TargetingControlsConfig {
+    /**
+     * Strategy used to rank bids when choosing which bids get targeting. Either the name of a strategy,
+     * or an object with its name (as `strategy`) and parameters. Defaults to 'cpm' (highest CPM wins).
+     * The 'renderSuccess' and 'viewability' strategies use per-bidder counts of render and viewability events, which are
+     * kept in local storage (when device access is allowed) while a strategy is configured.
+     * With `sendBidsControl.dealPrioritization`, bids with deals are the first to be kept when applying `bidLimit`,
+     * but the top ranked bid still wins.
+     */
+    ranking?: string | RankingConfig;
+  }
+}
+
+type BidderStats = {
+  rendered: number;
+  failed: number;
+  viewable: number;
+}
+
+function sortEach(bidsByAdUnit: ByAdUnit<Bid[]>, compare: (a: Bid, b: Bid) => number): ByAdUnit<Bid[]> {
+  return Object.fromEntries(
+    Object.entries(bidsByAdUnit).map(([adUnitCode, bids]) => [adUnitCode, bids.slice().sort(compare)])
+  );
+}
+
+function byScore(score: (bid: Bid) => number) {
+  return (a: Bid, b: Bid) => score(b) - score(a);
+}
+
+function loadStats(): { [bidder: BidderCode]: BidderStats } {
+  if (!storage.localStorageIsEnabled()) return {};
+  try {
+    const stored = JSON.parse(storage.getDataFromLocalStorage(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function bidRanking() {
+  const strategies: { [name: string]: RankingStrategy } = {};
+  // loaded on first use, rather than when Prebid loads, so that storage access can take consent into account
+  let stats: { [bidder: BidderCode]: BidderStats } = null;
+  let rankingConfig: string | RankingConfig;
+  let ranking: RankingConfig = null;
+
+  function getStats(bidder: BidderCode) {
+    stats = stats ?? loadStats();
+    stats[bidder] = { rendered: 0, failed: 0, viewable: 0, ...stats[bidder] };
+    return stats[bidder];
+  }
+
+  /**
+   * Counts a render or viewability event for the bid's bidder. Counts are kept across page views
+   * (in local storage) only while a ranking strategy is configured.
+   */
+  function record(bid: Bid, stat: keyof BidderStats) {
+    if (bid == null) return;
+    getStats(bid.bidderCode)[stat]++;
+    if (ranking != null && storage.localStorageIsEnabled()) {
+      storage.setDataInLocalStorage(STORAGE_KEY, JSON.stringify(stats));
+    }
+  }
+
+  events.on(EVENTS.AD_RENDER_SUCCEEDED, ({ bid }) => record(bid, 'rendered'));
+  events.on(EVENTS.AD_RENDER_FAILED, ({ bid }) => record(bid, 'failed'));
+  events.on(EVENTS.BID_VIEWABLE, (bid: Bid) => record(bid, 'viewable'));
+
+  function normalize(cfg: string | RankingConfig): RankingConfig {
+    if (cfg == null) return null;
+    const normalized = typeof cfg === 'object' ? cfg : { strategy: cfg };
+    if (typeof normalized.strategy !== 'function' && !strategies.hasOwnProperty(normalized.strategy)) {
+      logWarn(`Unknown ranking strategy '${normalized.strategy}', bids will be ranked by CPM`);
+      return null;
+    }
+    return normalized;
+  }
+
+  function rankWith(cfg: RankingConfig, bidsByAdUnit: ByAdUnit<Bid[]>): ByAdUnit<Bid[]> {
+    const { strategy, ...params } = cfg;
+    return (typeof strategy === 'function' ? strategy : strategies[strategy])(bidsByAdUnit, params);
+  }
+
+  /**
+   * Weighs CPMs by a per-bidder rate, once at least `minSamples` observations are available for the bidder.
+   */
+  function weighted(rate: (stats: BidderStats) => [number, number]): RankingStrategy<{ minSamples?: number, defaultRate?: number }> {
+    return (bidsByAdUnit, { minSamples = 10, defaultRate = 1 }) => sortEach(bidsByAdUnit, byScore(bid => {
+      const [count, samples] = rate(getStats(bid.bidderCode));
+      return bid.cpm * (samples >= minSamples ? count / samples : defaultRate);
+    }));
+  }
+
+  Object.assign(strategies, {
+    [DEFAULT_RANKING]: (bidsByAdUnit) => sortEach(bidsByAdUnit, sortByHighestCpm),
+    netRevenue: (bidsByAdUnit, { fees = {}, defaultFee = 0 }) => sortEach(bidsByAdUnit, byScore(
+      bid => bid.netRevenue ? bid.cpm : bid.cpm * (1 - (fees[bid.bidderCode] ?? defaultFee))
+    )),
+    renderSuccess: weighted(({ rendered, failed }) => [rendered, rendered + failed]),
+    viewability: weighted(({ rendered, viewable }) => [viewable, rendered]),
+    dealTiers: (bidsByAdUnit, { tiers = {}, defaultTier = 1 }) => {
+      const tier = (bid: Bid) => bid.dealId == null ? 0 : (tiers[bid.dealId] ?? defaultTier);
+      return sortEach(bidsByAdUnit, (a, b) => (tier(b) - tier(a)) || sortByHighestCpm(a, b));
+    },
+    advertiserDiversity: (bidsByAdUnit, { base = DEFAULT_RANKING }) => {
+      const ranked = rankWith(normalize(base) ?? { strategy: DEFAULT_RANKING }, bidsByAdUnit);
+      const seen = new Set<string>();
+      const advertisers = (bid: Bid) => bid.meta?.advertiserDomains ?? [];
+      // slots with the most valuable bids get the first choice of advertiser
+      Object.entries(ranked)
+        .filter(([, bids]) => bids.length > 0)
+        .sort(([, a], [, b]) => sortByHighestCpm(a[0], b[0]))
+        .forEach(([adUnitCode, bids]) => {
+          const index = bids.findIndex(bid => !advertisers(bid).some(domain => seen.has(domain)));
+          if (index > 0) {
+            ranked[adUnitCode] = [bids[index], ...bids.slice(0, index), ...bids.slice(index + 1)];
+          }
+          advertisers(ranked[adUnitCode][0]).forEach(domain => seen.add(domain));
+        });
+      return ranked;
+    }
+  } as { [name: string]: RankingStrategy });
+
+  config.getConfig('targetingControls', (cfg) => {
+    rankingConfig = cfg.targetingControls?.ranking;
+    ranking = normalize(rankingConfig);
+  });
+
+  function getStrategyName(): string {
+    if (ranking == null) return DEFAULT_RANKING;
+    return typeof ranking.strategy === 'function' ? CUSTOM_RANKING : ranking.strategy;
+  }
+
+  return {
+    /**
+     * Register a ranking strategy, to be selected with `targetingControls.ranking`.
+     */
+    register(name: string, strategy: RankingStrategy) {
+      strategies[name] = strategy;
+      if (rankingConfig != null && ranking == null) {
+        ranking = normalize(rankingConfig);
+      }
+    },
+    /**
+     * True if a ranking strategy has been configured.
+     */
+    isEnabled() {
+      return ranking != null;
+    },
+    getStrategyName,
+    /**
+     * Rank bids using the configured strategy; falls back to ranking by CPM if the strategy throws.
+     */
+    rank(bidsByAdUnit: ByAdUnit<Bid[]>): ByAdUnit<Bid[]> {
+      if (ranking != null) {
+        try {
+          return rankWith(ranking, bidsByAdUnit);
+        } catch (e) {
+          logError(`Error in ranking strategy '${getStrategyName()}', bids will be ranked by CPM`, e);
+        }
+      }
+      return strategies[DEFAULT_RANKING](bidsByAdUnit, {});
+    },
+    resetStats() {
+      stats = {};
+      if (storage.localStorageIsEnabled()) {
+        storage.removeDataFromLocalStorage(STORAGE_KEY);
+      }
+    }
+  };
+}
+
+export const ranking = bidRanking();
+
+export function registerRankingStrategy(name: string, strategy: RankingStrategy) {
+  ranking.register(name, strategy);
+}
@@ -2,6 +2,7 @@ import {
   getKeyValueTargetingPairs,
   auctionCallbacks,
   AUCTION_COMPLETED,
+  AUCTION_CANCELLED,
   adjustBids,
   getMediaTypeGranularity,
   getPriceByGranularity,
@@ -19,6 +20,7 @@ import { hook } from '../../src/hook.js';
 import { auctionManager } from '../../src/auctionManager.js';
 import 'modules/debugging/index.js' // some tests look for debugging side effects
 import { AuctionIndex } from '../../src/auctionIndex.js';
+import { requestQueue } from '../../src/requestQueue.js';
 import { expect } from 'chai';
 import { deepClone } from '../../src/utils.js';
 import { IMAGE as ortbNativeRequest } from 'src/native.js';
@@ -854,6 +856,128 @@ describe('auctionmanager.js', function () {
       await auction.requestsDone;
     })
 
+    it('releases the bids of ready ad units before progressive auctions complete', () => {
+      const auction = auctionManager.createAuction({ adUnits });
+      const bid = { adUnitCode: ADUNIT_CODE };
+      sinon.stub(auction, 'getBidsReceived').returns([bid, { adUnitCode: ADUNIT_CODE1 }]);
+      const getReadyAdUnitCodes = sinon.stub(auction, 'getReadyAdUnitCodes').returns([]);
+      expect(auctionManager.getBidsReceived()).to.eql([]);
+      getReadyAdUnitCodes.returns([ADUNIT_CODE]);
+      expect(auctionManager.getBidsReceived()).to.eql([bid]);
+    });
+
+    describe('cancelAuction', () => {
+      let callback;
+      beforeEach(() => {
+        callback = sinon.spy();
+        stubCallAdapters.callsFake((au, reqs, addBid) => {
+          bids.forEach(bid => addBid(bid.adUnitCode, bid));
+        });
+      });
+
+      it('returns false for unknown auctions', () => {
+        expect(auctionManager.cancelAuction('unknown')).to.be.false;
+      });
+
+      it('aborts outstanding requests and ends the auction', () => {
+        const auction = auctionManager.createAuction({ adUnits, adUnitCodes: [ADUNIT_CODE], callback });
+        const cancelled = sinon.spy();
+        events.on(EVENTS.AUCTION_CANCELLED, cancelled);
+        try {
+          auction.callBids();
+          const { signal } = stubCallAdapters.args[0][4];
+          expect(signal.aborted).to.be.false;
+          expect(auctionManager.cancelAuction(auction.getAuctionId())).to.be.true;
+          expect(signal.aborted).to.be.true;
+          expect(auction.getAuctionStatus()).to.equal(AUCTION_CANCELLED);
+          sinon.assert.calledWith(cancelled, sinon.match({ auctionId: auction.getAuctionId() }));
+          sinon.assert.calledWith(callback, undefined, false, auction.getAuctionId(), true);
+          expect(auctionManager.cancelAuction(auction.getAuctionId())).to.be.false;
+        } finally {
+          events.off(EVENTS.AUCTION_CANCELLED, cancelled);
+        }
+      });
+
+      it('does not request bids when the signal is already aborted', () => {
+        const ctl = new AbortController();
+        ctl.abort();
+        const auction = auctionManager.createAuction({ adUnits, adUnitCodes: [ADUNIT_CODE], callback, signal: ctl.signal });
+        auction.callBids();
+        sinon.assert.notCalled(stubCallAdapters);
+        expect(auction.getAuctionStatus()).to.equal(AUCTION_CANCELLED);
+        sinon.assert.calledWith(callback, undefined, false, auction.getAuctionId(), true);
+      });
+
+      it('cancels the auction when the signal is aborted', () => {
+        const ctl = new AbortController();
+        const auction = auctionManager.createAuction({ adUnits, adUnitCodes: [ADUNIT_CODE], callback, signal: ctl.signal });
+        auction.callBids();
+        ctl.abort();
+        expect(auction.getAuctionStatus()).to.equal(AUCTION_CANCELLED);
+      });
+
+      it('emits AUCTION_INIT before AUCTION_END when canceled before it starts', () => {
+        const listeners = [EVENTS.AUCTION_INIT, EVENTS.AUCTION_END].map(event => {
+          const listener = sinon.spy();
+          events.on(event, listener);
+          return [event, listener];
+        });
+        try {
+          const auction = auctionManager.createAuction({ adUnits, adUnitCodes: [ADUNIT_CODE], callback });
+          auction.cancel();
+          const [[, init], [, end]] = listeners;
+          sinon.assert.calledWith(init, sinon.match({ auctionId: auction.getAuctionId() }));
+          sinon.assert.callOrder(init, end);
+        } finally {
+          listeners.forEach(([event, listener]) => events.off(event, listener));
+        }
+      });
+
+      it('does not render bids from canceled auctions', () => {
+        const auction = auctionManager.createAuction({ adUnits, adUnitCodes: [ADUNIT_CODE], callback });
+        sinon.stub(auction, 'getBidsReceived').returns([{ adId: 'ad' }]);
+        expect(auctionManager.findBidByAdId('ad')).to.exist;
+        auction.cancel();
+        expect(auctionManager.findBidByAdId('ad')).to.not.exist;
+      });
+    });
+
+    describe('when queued', () => {
+      beforeEach(() => {
+        stubMakeBidRequests.returns([{
+          bidderCode: BIDDER_CODE,
+          bids: [{ bidder: BIDDER_CODE, adUnitCode: ADUNIT_CODE }]
+        }]);
+        config.setConfig({ maxRequestsPerOrigin: 1 });
+        requestQueue.requestCallbacks().request(BIDDER_CODE, 'https://bidder.example.com');
+      });
+
+      afterEach(() => {
+        requestQueue.reset();
+        config.resetConfig();
+      });
+
+      it('emits AUCTION_INIT before AUCTION_END when all of its requests are canceled', () => {
+        const listeners = [EVENTS.AUCTION_INIT, EVENTS.AUCTION_END].map(event => {
+          const listener = sinon.spy();
+          events.on(event, listener);
+          return [event, listener];
+        });
+        try {
+          const auction = auctionManager.createAuction({ adUnits, adUnitCodes: [ADUNIT_CODE] });
+          auction.callBids();
+          sinon.assert.notCalled(stubCallAdapters);
+          requestQueue.cancel([ADUNIT_CODE]);
+          sinon.assert.notCalled(stubCallAdapters);
+          const [[, init], [, end]] = listeners;
+          sinon.assert.calledWith(init, sinon.match({ auctionId: auction.getAuctionId() }));
+          sinon.assert.callOrder(init, end);
+        } finally {
+          listeners.forEach(([event, listener]) => events.off(event, listener));
+        }
+      });
+    });
+
     describe('setConfig(minBidCacheTTL)', () => {
       it('should update getMinBidCacheTTL', () => {
         expect(getMinBidCacheTTL()).to.eql(null);
@@ -2368,6 +2492,47 @@ describe('auctionmanager.js', function () {
         await ready;
         assert.equal(doneSpy.callCount, 1);
       });
+
+      it('should not wait for bidders whose deadline has passed', async function () {
+        const bids1 = [mockBid({ bidderCode: requiredBidder })];
+        const bids2 = [mockBid({ bidderCode: requiredBidder1 })];
+        bidRequests = [
+          mockBidRequest(bids1[0], { adUnitCode: ADUNIT_CODE1 }),
+          mockBidRequest(bids2[0], { adUnitCode: ADUNIT_CODE1 }),
+        ];
+        const cbs = auctionCallbacks(doneSpy, auction);
+        cbs.addBidResponse.call(bidRequests[0], ADUNIT_CODE1, bids1[0]);
+        cbs.adapterDone.call(bidRequests[0]);
+        await ready;
+        assert.equal(doneSpy.callCount, 0);
+
+        cbs.deadlinePassed(bidRequests[1]);
+        await ready;
+        assert.equal(doneSpy.callCount, 1);
+      });
+
+      it('should report ad units as ready as soon as their bidders are done', async function () {
+        const bids1 = [mockBid({ bidderCode: requiredBidder })];
+        const bids2 = [mockBid({ bidderCode: requiredBidder1 })];
+        bidRequests = [
+          mockBidRequest(bids1[0], { adUnitCode: ADUNIT_CODE }),
+          mockBidRequest(bids2[0], { adUnitCode: ADUNIT_CODE1 }),
+        ];
+        auction.getAdUnitCodes = () => [ADUNIT_CODE, ADUNIT_CODE1];
+        const adUnitReady = sinon.spy();
+        const cbs = auctionCallbacks(doneSpy, auction, { adUnitReady });
+        cbs.addBidResponse.call(bidRequests[0], ADUNIT_CODE, bids1[0]);
+        cbs.adapterDone.call(bidRequests[0]);
+        await ready;
+        sinon.assert.calledOnce(adUnitReady);
+        sinon.assert.calledWith(adUnitReady, ADUNIT_CODE, false);
+        assert.equal(doneSpy.callCount, 0);
+
+        cbs.deadlinePassed(bidRequests[1]);
+        await ready;
+        sinon.assert.calledWith(adUnitReady, ADUNIT_CODE1, true);
+        assert.equal(doneSpy.callCount, 1);
+      });
     });
   });
 });
@@ -6,8 +6,9 @@ import {
   createBuildRequests,
   interpretResponse,
   createGetUserSyncs,
+  replaceAuctionMacros,
 } from '../../../../libraries/adsmartxUtils/bidderUtils.js';
-import { BANNER, VIDEO } from '../../../../src/mediaTypes.js';
+import { BANNER, NATIVE, VIDEO } from '../../../../src/mediaTypes.js';
 
 describe('AdSmartX bidderUtils', () => {
   const defaultConfig = { defaultCurrency: 'USD', defaultTtl: 60 };
@@ -71,6 +72,19 @@ describe('AdSmartX bidderUtils', () => {
       };
       expect(isBidRequestValid(bid)).to.equal(false);
     });
+
+    it('returns false for native bid without ORTB native assets', () => {
+      const bid = { mediaTypes: { [NATIVE]: {} } };
+      expect(isBidRequestValid(bid)).to.equal(false);
+    });
+
+    it('returns true for native bid with valid ORTB native assets', () => {
+      const bid = {
+        mediaTypes: { [NATIVE]: {} },
+        nativeOrtbRequest: { assets: [{ id: 1, title: { len: 90 } }] },
+      };
+      expect(isBidRequestValid(bid)).to.equal(true);
+    });
   });
 
   describe('createBuildRequests and interpretResponse', () => {
@@ -154,6 +168,42 @@ describe('AdSmartX bidderUtils', () => {
       const bids = interpretResponse(serverResponse, {}, defaultConfig);
       expect(bids[0].mediaType).to.equal(BANNER);
     });
+
+    it('uses bid.exp as ttl when present', () => {
+      const serverResponse = {
+        body: {
+          seatbid: [{ seat: 'seat1', bid: [{ impid: 'imp1', price: 1, adm: '<div>Ad</div>', mtype: 1, exp: 120 }] }],
+        },
+      };
+      const bids = interpretResponse(serverResponse, {}, defaultConfig);
+      expect(bids[0].ttl).to.equal(120);
+      expect(bids[0].bidderCode).to.equal('seat1');
+    });
+
+    it('maps mtype 4 to NATIVE with parsed ortb native response', () => {
+      const native = { assets: [{ id: 1, title: { text: 'title' } }] };
+      const serverResponse = {
+        body: {
+          seatbid: [{ bid: [{ impid: 'imp1', price: 1, adm: JSON.stringify(native), crid: 'c1', mtype: 4 }] }],
+        },
+      };
+      const bids = interpretResponse(serverResponse, {}, defaultConfig);
+      expect(bids[0].mediaType).to.equal(NATIVE);
+      expect(bids[0].native).to.deep.equal({ ortb: native });
+    });
+  });
+
+  describe('replaceAuctionMacros', () => {
+    it('replaces every occurrence of the supported macros', () => {
+      const url = 'https://e.com/?p=${AUCTION_PRICE}&p2=${AUCTION_PRICE}&c=${AUCTION_CURRENCY}&l=${AUCTION_LOSS}&i=${AUCTION_IMP_ID}';
+      const bid = { cpm: 1.2, currency: 'USD', requestId: 'imp1' };
+      expect(replaceAuctionMacros(url, bid, 102)).to.equal('https://e.com/?p=1.2&p2=1.2&c=USD&l=102&i=imp1');
+    });
+
+    it('prefers the original cpm and currency and blanks unknown values', () => {
+      const bid = { cpm: 1, currency: 'EUR', originalCpm: 2, originalCurrency: 'USD' };
+      expect(replaceAuctionMacros('${AUCTION_PRICE}|${AUCTION_CURRENCY}|${AUCTION_SEAT_ID}', bid)).to.equal('2|USD|');
+    });
   });
 
   describe('createGetUserSyncs', () => {
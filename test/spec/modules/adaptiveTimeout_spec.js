@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import * as adaptiveTimeout from 'modules/adaptiveTimeout.ts';
+import { config } from 'src/config.js';
+import * as events from 'src/events.js';
+import { EVENTS } from 'src/constants.js';
+
+describe('adaptiveTimeout', function () {
+  let sandbox, getDataStub, setDataStub;
+
+  function record(bidder, responseTimes) {
+    responseTimes.forEach(time => adaptiveTimeout.recordResponseTime({ bidderCode: bidder, start: 1000 }, 1000 + time));
+  }
+
+  beforeEach(function () {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(adaptiveTimeout.storage, 'localStorageIsEnabled').returns(true);
+    getDataStub = sandbox.stub(adaptiveTimeout.storage, 'getDataFromLocalStorage').returns(null);
+    setDataStub = sandbox.stub(adaptiveTimeout.storage, 'setDataInLocalStorage');
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+    adaptiveTimeout.reset();
+    config.resetConfig();
+  });
+
+  describe('percentile', function () {
+    it('should return the nearest rank percentile', function () {
+      const times = [50, 10, 40, 20, 30];
+      expect(adaptiveTimeout.percentile(times, 50)).to.equal(30);
+      expect(adaptiveTimeout.percentile(times, 95)).to.equal(50);
+      expect(adaptiveTimeout.percentile(times, 0)).to.equal(10);
+    });
+
+    it('should return undefined without response times', function () {
+      expect(adaptiveTimeout.percentile([], 95)).to.be.undefined;
+    });
+  });
+
+  describe('deadlines', function () {
+    it('should record response times in storage', function () {
+      config.setConfig({ adaptiveTimeout: {} });
+      record('bidderA', [120, 80]);
+      sinon.assert.calledWith(setDataStub, adaptiveTimeout.STORAGE_KEY, JSON.stringify({ bidderA: [120, 80] }));
+    });
+
+    it('should keep at most maxSamples response times', function () {
+      config.setConfig({ adaptiveTimeout: { maxSamples: 2 } });
+      record('bidderA', [100, 200, 300]);
+      sinon.assert.calledWith(setDataStub, adaptiveTimeout.STORAGE_KEY, JSON.stringify({ bidderA: [200, 300] }));
+    });
+
+    it('should not set a deadline until enough response times have been recorded', function () {
+      config.setConfig({ adaptiveTimeout: { minSamples: 3 } });
+      record('bidderA', [200, 300]);
+      expect(adaptiveTimeout.getDeadline('bidderA', 1000)).to.be.undefined;
+      record('bidderA', [400]);
+      expect(adaptiveTimeout.getDeadline('bidderA', 1000)).to.equal(400);
+    });
+
+    it('should use the configured percentile', function () {
+      config.setConfig({ adaptiveTimeout: { minSamples: 4, percentile: 50 } });
+      record('bidderA', [200, 300, 400, 500]);
+      expect(adaptiveTimeout.getDeadline('bidderA', 1000)).to.equal(300);
+    });
+
+    it('should keep deadlines between minDeadline and the auction timeout', function () {
+      config.setConfig({ adaptiveTimeout: { minSamples: 1, minDeadline: 150 } });
+      record('bidderA', [50]);
+      record('bidderB', [2000]);
+      expect(adaptiveTimeout.getDeadline('bidderA', 1000)).to.equal(150);
+      expect(adaptiveTimeout.getDeadline('bidderB', 1000)).to.equal(1000);
+    });
+
+    it('should only set deadlines for the configured bidders', function () {
+      config.setConfig({ adaptiveTimeout: { minSamples: 1, bidders: ['bidderB'] } });
+      record('bidderA', [200]);
+      record('bidderB', [200]);
+      expect(adaptiveTimeout.getDeadline('bidderA', 1000)).to.be.undefined;
+      expect(adaptiveTimeout.getDeadline('bidderB', 1000)).to.equal(200);
+    });
+
+    it('should load recorded response times from storage', function () {
+      getDataStub.withArgs(adaptiveTimeout.STORAGE_KEY).returns(JSON.stringify({ bidderA: [100, 200, 300] }));
+      config.setConfig({ adaptiveTimeout: { minSamples: 3 } });
+      expect(adaptiveTimeout.getDeadline('bidderA', 1000)).to.equal(300);
+    });
+
+    it('should not persist response times when storage is not allowed', function () {
+      adaptiveTimeout.storage.localStorageIsEnabled.returns(false);
+      config.setConfig({ adaptiveTimeout: { minSamples: 1 } });
+      record('bidderA', [200]);
+      sinon.assert.notCalled(setDataStub);
+      expect(adaptiveTimeout.getDeadline('bidderA', 1000)).to.equal(200);
+    });
+  });
+
+  describe('bidder requests', function () {
+    it('should set the deadline on bidder requests', function () {
+      config.setConfig({ adaptiveTimeout: { minSamples: 1 } });
+      record('bidderA', [300]);
+      const bidderRequests = [{ bidderCode: 'bidderA', timeout: 1000 }, { bidderCode: 'bidderB', timeout: 1000 }];
+      const next = sinon.spy();
+      adaptiveTimeout.makeBidRequestsHook(next, bidderRequests);
+      sinon.assert.calledWith(next, bidderRequests);
+      expect(bidderRequests[0].deadline).to.equal(300);
+      expect(bidderRequests[1]).to.not.have.property('deadline');
+    });
+
+    it('should record response times when bidders are done', function () {
+      config.setConfig({ adaptiveTimeout: {} });
+      events.emit(EVENTS.BIDDER_DONE, { bidderCode: 'bidderA', start: Date.now() });
+      sinon.assert.calledWith(setDataStub, adaptiveTimeout.STORAGE_KEY, sinon.match(/^{"bidderA":\[\d+\]}$/));
+    });
+
+    it('should stop recording response times when disabled', function () {
+      config.setConfig({ adaptiveTimeout: {} });
+      config.setConfig({ adaptiveTimeout: { enabled: false } });
+      events.emit(EVENTS.BIDDER_DONE, { bidderCode: 'bidderA', start: Date.now() });
+      sinon.assert.notCalled(setDataStub);
+    });
+  });
+});
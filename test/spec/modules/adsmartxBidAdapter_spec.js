@@ -1,5 +1,11 @@
 import { expect } from 'chai';
 import { spec } from 'modules/adsmartxBidAdapter.js';
+import * as utils from 'src/utils.js';
+import { EVENTS, REJECTION_REASON } from 'src/constants.js';
+import * as events from 'src/events.js';
+import { auctionManager } from 'src/auctionManager.js';
+import { server } from 'test/mocks/xhr.js';
+import { config } from 'src/config.js';
 
 describe('AdSmartX adapter', () => {
   const validBidRequest = {
@@ -1086,4 +1092,527 @@ describe('AdSmartX adapter', () => {
       expect(spec.isBidRequestValid(videoBid)).to.equal(false);
     });
   });
+
+  describe('interpretResponse - multiple bids and seats', () => {
+    function bidFor(impid, price, extra = {}) {
+      return { id: `bid-${impid}`, impid, price, adm: '<div>Ad</div>', w: 300, h: 250, crid: 'c1', mtype: 1, ...extra };
+    }
+
+    it('should return every bid of every seatbid', () => {
+      const response = {
+        body: {
+          seatbid: [
+            { bid: [bidFor('imp1', 1), bidFor('imp2', 2)] },
+            { bid: [bidFor('imp3', 3)] },
+          ],
+        },
+      };
+      const request = spec.buildRequests([validBidRequest], bidderRequest);
+      const bids = spec.interpretResponse(response, request);
+      expect(bids.map(bid => bid.requestId)).to.deep.equal(['imp1', 'imp2', 'imp3']);
+      expect(bids.map(bid => bid.cpm)).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should skip only the invalid bids within a seatbid', () => {
+      const response = {
+        body: {
+          seatbid: [{ bid: [bidFor('imp1', null), bidFor('imp2', 2)] }],
+        },
+      };
+      const bids = spec.interpretResponse(response, spec.buildRequests([validBidRequest], bidderRequest));
+      expect(bids).to.have.lengthOf(1);
+      expect(bids[0].requestId).to.equal('imp2');
+    });
+
+    it('should surface seatbid.seat as bidderCode and meta.networkName', () => {
+      const response = {
+        body: {
+          seatbid: [
+            { seat: 'partnerA', bid: [bidFor('imp1', 1)] },
+            { bid: [bidFor('imp2', 2)] },
+          ],
+        },
+      };
+      const bids = spec.interpretResponse(response, spec.buildRequests([validBidRequest], bidderRequest));
+      expect(bids[0].bidderCode).to.equal('partnerA');
+      expect(bids[0].meta.networkName).to.equal('partnerA');
+      expect(bids[1]).to.not.have.property('bidderCode');
+      expect(bids[1].meta).to.not.have.property('networkName');
+    });
+
+    it('should use bid.exp as ttl and fall back to the default ttl', () => {
+      const response = {
+        body: {
+          seatbid: [{ bid: [bidFor('imp1', 1, { exp: 300 }), bidFor('imp2', 2), bidFor('imp3', 3, { exp: 0 })] }],
+        },
+      };
+      const bids = spec.interpretResponse(response, spec.buildRequests([validBidRequest], bidderRequest));
+      expect(bids.map(bid => bid.ttl)).to.deep.equal([300, 60, 60]);
+    });
+  });
+
+  describe('buildRequests - privacy and transparency signals', () => {
+    afterEach(() => {
+      config.resetConfig();
+    });
+
+    it('should pass GPP, COPPA and DSA through from first party data', () => {
+      const dsa = { dsarequired: 2, pubrender: 0, datatopub: 1 };
+      const regs = { gpp: 'DBACNYA~CPXxRfAPXxRfAAfKABENB-CgAAAAAAAAAAYgAAAAAAAA~1YNN', gpp_sid: [7, 8], coppa: 1, ext: { dsa } };
+      const request = spec.buildRequests([validBidRequest], { ...bidderRequest, ortb2: { regs } });
+      expect(request.data.regs.gpp).to.equal(regs.gpp);
+      expect(request.data.regs.gpp_sid).to.deep.equal([7, 8]);
+      expect(request.data.regs.coppa).to.equal(1);
+      expect(request.data.regs.ext.dsa).to.deep.equal(dsa);
+      expect(request.data.regs.ext.us_privacy).to.equal('1YNN');
+    });
+
+    it('should pass the supply chain through source.schain', () => {
+      const schain = { ver: '1.0', complete: 1, nodes: [{ asi: 'example.com', sid: '1', hp: 1 }] };
+      const request = spec.buildRequests([validBidRequest], { ...bidderRequest, ortb2: { source: { schain } } });
+      expect(request.data.source.schain).to.deep.equal(schain);
+    });
+
+    it('should return DSA transparency info in meta.dsa', () => {
+      const dsa = { behalf: 'advertiser', paid: 'advertiser', adrender: 1 };
+      const response = {
+        body: {
+          seatbid: [{ bid: [{ id: 'b1', impid: '1abc', price: 1, adm: '<div>Ad</div>', mtype: 1, ext: { dsa } }] }],
+        },
+      };
+      const bids = spec.interpretResponse(response, spec.buildRequests([validBidRequest], bidderRequest));
+      expect(bids[0].meta.dsa).to.deep.equal(dsa);
+    });
+  });
+
+  describe('win, billing and loss notifications', () => {
+    const AUCTION_ID = 'auction1';
+    let sandbox, triggerPixelStub, impid, auctionEnd;
+    let impCounter = 0;
+
+    beforeEach(() => {
+      sandbox = sinon.createSandbox();
+      triggerPixelStub = sandbox.stub(utils, 'triggerPixel');
+      impid = `imp${++impCounter}`;
+      auctionEnd = undefined;
+      sandbox.stub(auctionManager, 'index').value({
+        getBidRequest: ({ requestId }) => ({ bidId: requestId, auctionId: AUCTION_ID }),
+        getAuction: ({ auctionId }) => auctionId === AUCTION_ID ? { getAuctionEnd: () => auctionEnd } : undefined,
+      });
+    });
+
+    afterEach(() => {
+      // drop anything still pending
+      events.emit(EVENTS.AUCTION_END, { auctionId: AUCTION_ID, bidsReceived: [] });
+      sandbox.restore();
+    });
+
+    function interpret(bids) {
+      const response = { body: { cur: 'USD', seatbid: [{ seat: 'seat1', bid: bids.map(bid => ({ ...bid, impid })) }] } };
+      return spec.interpretResponse(response, spec.buildRequests([validBidRequest], bidderRequest))
+        .map(bid => ({ ...bid, auctionId: AUCTION_ID, adUnitCode: 'div-1' }));
+    }
+
+    function endAuction(bidsReceived) {
+      events.emit(EVENTS.AUCTION_END, { auctionId: AUCTION_ID, bidsReceived });
+    }
+
+    function ortbBid(id, price, extra = {}) {
+      return {
+        id,
+        price,
+        adm: '<div>Ad</div>',
+        w: 300,
+        h: 250,
+        crid: 'c1',
+        mtype: 1,
+        nurl: 'https://win.adsmartx.com/?p=${AUCTION_PRICE}&c=${AUCTION_CURRENCY}&s=${AUCTION_SEAT_ID}',
+        burl: 'https://bill.adsmartx.com/?p=${AUCTION_PRICE}&imp=${AUCTION_IMP_ID}',
+        lurl: `https://loss.adsmartx.com/?id=${id}&r=\${AUCTION_LOSS}&p=\${AUCTION_PRICE}`,
+        ...extra,
+      };
+    }
+
+    it('should carry nurl, burl, lurl and seatBidId on the bid response', () => {
+      const [bid] = interpret([ortbBid('b1', 1.5)]);
+      expect(bid.seatBidId).to.equal('b1');
+      expect(bid.nurl).to.include('win.adsmartx.com');
+      expect(bid.burl).to.include('bill.adsmartx.com');
+      expect(bid.lurl).to.include('loss.adsmartx.com');
+    });
+
+    it('should fire nurl with macros substituted on bid won', () => {
+      const [bid] = interpret([ortbBid('b2', 1.5)]);
+      spec.onBidWon({ ...bid, originalCpm: 1.5, originalCurrency: 'USD', cpm: 1.3, currency: 'EUR' });
+      sinon.assert.calledWith(triggerPixelStub, 'https://win.adsmartx.com/?p=1.5&c=USD&s=seat1');
+    });
+
+    it('should fire lurl with reason 102 for the outbid bids once the slot is won', () => {
+      const [top, outbid] = interpret([ortbBid('b3', 2), ortbBid('b4', 1)]);
+      endAuction([top, outbid]);
+      sinon.assert.notCalled(triggerPixelStub);
+      events.emit(EVENTS.BID_WON, top);
+      sinon.assert.calledWith(triggerPixelStub, 'https://loss.adsmartx.com/?id=b4&r=102&p=1');
+      sinon.assert.neverCalledWith(triggerPixelStub, sinon.match('id=b3'));
+    });
+
+    it('should fire lurl for bids outbid by other bidders', () => {
+      const [bid] = interpret([ortbBid('b11', 2)]);
+      const other = { bidderCode: 'other', auctionId: AUCTION_ID, adUnitCode: 'div-1', requestId: 'other', cpm: 3 };
+      endAuction([bid, other]);
+      events.emit(EVENTS.BID_WON, other);
+      sinon.assert.calledWith(triggerPixelStub, 'https://loss.adsmartx.com/?id=b11&r=102&p=2');
+    });
+
+    it('should not fire lurl for a lower bid that goes on to win', () => {
+      const [top, lower] = interpret([ortbBid('b15', 2), ortbBid('b16', 1)]);
+      endAuction([top, lower]);
+      events.emit(EVENTS.BID_WON, lower);
+      sinon.assert.calledWith(triggerPixelStub, 'https://loss.adsmartx.com/?id=b15&r=102&p=2');
+      sinon.assert.neverCalledWith(triggerPixelStub, sinon.match('id=b16'));
+    });
+
+    it('should not report bids when a bid wins another slot', () => {
+      const [bid] = interpret([ortbBid('b17', 1)]);
+      endAuction([bid]);
+      events.emit(EVENTS.BID_WON, { bidderCode: 'other', auctionId: AUCTION_ID, adUnitCode: 'div-2', requestId: 'other' });
+      sinon.assert.notCalled(triggerPixelStub);
+    });
+
+    it('should not report anything once the slot has been won', () => {
+      const [top, outbid] = interpret([ortbBid('b12', 2), ortbBid('b13', 1)]);
+      endAuction([top, outbid]);
+      events.emit(EVENTS.BID_WON, top);
+      triggerPixelStub.resetHistory();
+      events.emit(EVENTS.BID_WON, top);
+      endAuction([top, outbid]);
+      spec.onBidWon({ ...top, nurl: undefined });
+      sinon.assert.notCalled(triggerPixelStub);
+    });
+
+    it('should fire lurl with reason 2 for responses that come in after the auction has ended', () => {
+      auctionEnd = Date.now();
+      interpret([ortbBid('b14', 2)]);
+      sinon.assert.calledWith(triggerPixelStub, 'https://loss.adsmartx.com/?id=b14&r=2&p=2');
+    });
+
+    it('should fire burl with macros substituted on bid billable', () => {
+      const [bid] = interpret([ortbBid('b5', 2)]);
+      spec.onBidBillable(bid);
+      sinon.assert.calledWith(triggerPixelStub, `https://bill.adsmartx.com/?p=2&imp=${impid}`);
+    });
+
+    it('should not fire anything when the bid has no notification URLs', () => {
+      const [bid] = interpret([ortbBid('b6', 2, { nurl: undefined, burl: undefined, lurl: undefined })]);
+      spec.onBidWon(bid);
+      spec.onBidBillable(bid);
+      events.emit(EVENTS.BID_REJECTED, { ...bid, rejectionReason: REJECTION_REASON.FLOOR_NOT_MET });
+      endAuction([]);
+      sinon.assert.notCalled(triggerPixelStub);
+    });
+
+    it('should fire lurl with the ORTB loss reason matching the rejection reason', () => {
+      const [bid] = interpret([ortbBid('b7', 0.1)]);
+      events.emit(EVENTS.BID_REJECTED, { ...bid, rejectionReason: REJECTION_REASON.FLOOR_NOT_MET });
+      sinon.assert.calledWith(triggerPixelStub, 'https://loss.adsmartx.com/?id=b7&r=100&p=0.1');
+    });
+
+    it('should ignore rejected bids from other bidders', () => {
+      events.emit(EVENTS.BID_REJECTED, {
+        auctionId: AUCTION_ID,
+        requestId: impid,
+        lurl: 'https://loss.example.com',
+        rejectionReason: REJECTION_REASON.FLOOR_NOT_MET
+      });
+      sinon.assert.notCalled(triggerPixelStub);
+    });
+
+    it('should not report a rejected bid again when the auction ends', () => {
+      const [rejected, winner] = interpret([ortbBid('b8', 0.1), ortbBid('b9', 2)]);
+      events.emit(EVENTS.BID_REJECTED, { ...rejected, rejectionReason: REJECTION_REASON.BIDDER_DISALLOWED });
+      sinon.assert.calledWith(triggerPixelStub, 'https://loss.adsmartx.com/?id=b8&r=104&p=0.1');
+      triggerPixelStub.resetHistory();
+      endAuction([winner]);
+      sinon.assert.neverCalledWith(triggerPixelStub, sinon.match('loss.adsmartx.com'));
+    });
+
+    it('should fire lurl for bids dropped because of a missing price', () => {
+      interpret([ortbBid('b10', null)]);
+      sinon.assert.calledWith(triggerPixelStub, 'https://loss.adsmartx.com/?id=b10&r=9&p=');
+    });
+  });
+
+  describe('timeout and error events', () => {
+    it('should report timed out bid requests to the event endpoint', () => {
+      spec.onTimeout([
+        { bidId: 'b1', adUnitCode: 'div-1', auctionId: 'a1', timeout: 1000 },
+        { bidId: 'b2', adUnitCode: 'div-2', auctionId: 'a1', timeout: 1000 },
+      ]);
+      const request = server.requests[0];
+      expect(request.url).to.equal('https://ads.adsmartx.com/ads/rtb/prebid/event');
+      expect(request.method).to.equal('POST');
+      expect(JSON.parse(request.requestBody)).to.deep.equal({
+        type: 'timeout',
+        auctionId: 'a1',
+        timeout: 1000,
+        bids: [{ bidId: 'b1', adUnitCode: 'div-1' }, { bidId: 'b2', adUnitCode: 'div-2' }],
+      });
+    });
+
+    it('should not report an empty timeout', () => {
+      spec.onTimeout([]);
+      expect(server.requests).to.have.lengthOf(0);
+    });
+
+    it('should report bidder errors to the event endpoint', () => {
+      spec.onBidderError({
+        error: { status: 500 },
+        bidderRequest: { auctionId: 'a2', bids: [{ bidId: 'b1', adUnitCode: 'div-1' }] },
+      });
+      expect(JSON.parse(server.requests[0].requestBody)).to.deep.equal({
+        type: 'error',
+        auctionId: 'a2',
+        status: 500,
+        timedOut: false,
+        bids: [{ bidId: 'b1', adUnitCode: 'div-1' }],
+      });
+    });
+  });
+
+  describe('video bids', () => {
+    const OUTSTREAM_PLAYER = 'https://cdn.publisher.com/outstream-player.js';
+
+    function videoBidRequest(context, params = {}) {
+      return {
+        ...validBidRequest,
+        params: { ...validBidRequest.params, ...params },
+        bidId: `video-${context}`,
+        adUnitCode: `div-${context}`,
+        mediaTypes: {
+          video: { context, mimes: ['video/mp4'], playerSize: [[640, 480]] },
+        },
+      };
+    }
+
+    function videoResponse(impid, extra = {}) {
+      return {
+        body: {
+          seatbid: [{
+            bid: [{ id: `bid-${impid}`, impid, price: 3, adm: '<VAST version="3.0"></VAST>', crid: 'v1', mtype: 2, ...extra }],
+          }],
+        },
+      };
+    }
+
+    it('should keep the bid requests on the server request', () => {
+      const bidRequest = videoBidRequest('instream');
+      const request = spec.buildRequests([bidRequest], bidderRequest);
+      expect(request.bidRequests).to.deep.equal([bidRequest]);
+    });
+
+    it('should set meta.mediaType and drop ad for video bids', () => {
+      const bidRequest = videoBidRequest('instream');
+      const request = spec.buildRequests([bidRequest], bidderRequest);
+      const [bid] = spec.interpretResponse(videoResponse(bidRequest.bidId), request);
+      expect(bid.meta.mediaType).to.equal('video');
+      expect(bid.vastXml).to.equal('<VAST version="3.0"></VAST>');
+      expect(bid).to.not.have.property('ad');
+    });
+
+    it('should use adm as vastUrl when it is a URL', () => {
+      const bidRequest = videoBidRequest('instream');
+      const request = spec.buildRequests([bidRequest], bidderRequest);
+      const [bid] = spec.interpretResponse(videoResponse(bidRequest.bidId, { adm: 'https://vast.adsmartx.com/v?id=1' }), request);
+      expect(bid.vastUrl).to.equal('https://vast.adsmartx.com/v?id=1');
+      expect(bid).to.not.have.property('vastXml');
+    });
+
+    it('should use nurl as vastUrl when there is no adm, and not fire it again on win', () => {
+      const triggerPixelStub = sinon.stub(utils, 'triggerPixel');
+      try {
+        const bidRequest = videoBidRequest('instream');
+        const request = spec.buildRequests([bidRequest], bidderRequest);
+        const [bid] = spec.interpretResponse(videoResponse(bidRequest.bidId, {
+          adm: undefined,
+          nurl: 'https://vast.adsmartx.com/win?p=${AUCTION_PRICE}',
+        }), request);
+        expect(bid.vastUrl).to.equal('https://vast.adsmartx.com/win?p=3');
+        expect(bid).to.not.have.property('nurl');
+        spec.onBidWon(bid);
+        sinon.assert.notCalled(triggerPixelStub);
+      } finally {
+        triggerPixelStub.restore();
+      }
+    });
+
+    it('should skip video bids without adm or nurl', () => {
+      const bidRequest = videoBidRequest('instream');
+      const request = spec.buildRequests([bidRequest], bidderRequest);
+      expect(spec.interpretResponse(videoResponse(bidRequest.bidId, { adm: undefined }), request)).to.be.empty;
+    });
+
+    it('should use the cache key and URL returned by the server', () => {
+      const bidRequest = videoBidRequest('instream');
+      const request = spec.buildRequests([bidRequest], bidderRequest);
+      const [bid] = spec.interpretResponse(videoResponse(bidRequest.bidId, {
+        ext: { prebid: { cache: { vastXml: { cacheId: 'cache-1', url: 'https://cache.adsmartx.com/c?uuid=cache-1' } } } },
+      }), request);
+      expect(bid.videoCacheKey).to.equal('cache-1');
+      expect(bid.vastUrl).to.equal('https://cache.adsmartx.com/c?uuid=cache-1');
+    });
+
+    it('should not attach a renderer to instream bids', () => {
+      const bidRequest = videoBidRequest('instream');
+      const request = spec.buildRequests([bidRequest], bidderRequest);
+      const [bid] = spec.interpretResponse(videoResponse(bidRequest.bidId), request);
+      expect(bid).to.not.have.property('renderer');
+    });
+
+    if (FEATURES.VIDEO) {
+      it('should not attach a renderer to outstream bids when no player is configured', () => {
+        const bidRequest = videoBidRequest('outstream');
+        const request = spec.buildRequests([bidRequest], bidderRequest);
+        const [bid] = spec.interpretResponse(videoResponse(bidRequest.bidId), request);
+        expect(bid).to.not.have.property('renderer');
+      });
+
+      it('should attach an outstream renderer using the configured player', () => {
+        const bidRequest = videoBidRequest('outstream', { outstreamRendererUrl: OUTSTREAM_PLAYER });
+        const request = spec.buildRequests([bidRequest], bidderRequest);
+        const [bid] = spec.interpretResponse(videoResponse(bidRequest.bidId), request);
+        expect(bid.renderer).to.be.an('object');
+        expect(bid.renderer.url).to.equal(OUTSTREAM_PLAYER);
+        expect(bid.renderer.adUnitCode).to.equal('div-outstream');
+        expect(bid.width).to.equal(640);
+        expect(bid.height).to.equal(480);
+      });
+
+      it('should render outstream bids through the outstream player', () => {
+        const bidRequest = videoBidRequest('outstream', { outstreamRendererUrl: OUTSTREAM_PLAYER });
+        const request = spec.buildRequests([bidRequest], bidderRequest);
+        const [bid] = spec.interpretResponse(videoResponse(bidRequest.bidId), request);
+        const renderAd = sinon.stub();
+        const win = { ANOutstreamVideo: { renderAd } };
+        bid.adUnitCode = 'div-outstream';
+        bid.renderer.loaded = true;
+        bid.renderer._render(bid, { defaultView: win });
+        sinon.assert.calledWith(renderAd, sinon.match({
+          targetId: 'div-outstream',
+          adResponse: sinon.match({ content: '<VAST version="3.0"></VAST>' }),
+        }));
+      });
+    }
+  });
+
+  describe('native', () => {
+    const nativeOrtbRequest = {
+      ver: '1.2',
+      assets: [
+        { id: 1, required: 1, title: { len: 80 } },
+        { id: 2, required: 1, img: { type: 3, w: 300, h: 250 } },
+        { id: 3, required: 0, data: { type: 1 } },
+      ],
+    };
+
+    const nativeBidRequest = {
+      ...validBidRequest,
+      mediaTypes: {
+        native: {
+          ortb: nativeOrtbRequest,
+        },
+      },
+      nativeOrtbRequest,
+    };
+
+    const nativeAdm = {
+      ver: '1.2',
+      assets: [
+        { id: 1, title: { text: 'Native title' } },
+        { id: 2, img: { url: 'https://example.com/img.png', w: 300, h: 250 } },
+      ],
+      link: { url: 'https://example.com/click' },
+    };
+
+    function nativeResponse(adm) {
+      return {
+        body: {
+          id: '2def',
+          seatbid: [{
+            bid: [{
+              id: '1abc',
+              impid: '1abc',
+              price: 1.5,
+              adm,
+              crid: 'creative123',
+              adomain: ['example.com'],
+              mtype: 4,
+            }],
+          }],
+        },
+      };
+    }
+
+    it('should declare native as a supported media type', () => {
+      expect(spec.supportedMediaTypes).to.include('native');
+    });
+
+    it('should return true for native bid request with valid assets', () => {
+      expect(spec.isBidRequestValid(nativeBidRequest)).to.equal(true);
+    });
+
+    it('should return false for native bid request without assets', () => {
+      const bid = { ...nativeBidRequest, nativeOrtbRequest: { ver: '1.2', assets: [] } };
+      expect(spec.isBidRequestValid(bid)).to.equal(false);
+      expect(spec.isBidRequestValid({ ...nativeBidRequest, nativeOrtbRequest: undefined })).to.equal(false);
+    });
+
+    it('should return false for native asset without id', () => {
+      const bid = { ...nativeBidRequest, nativeOrtbRequest: { assets: [{ title: { len: 80 } }] } };
+      expect(spec.isBidRequestValid(bid)).to.equal(false);
+    });
+
+    it('should return false for native asset with more than one asset object', () => {
+      const bid = { ...nativeBidRequest, nativeOrtbRequest: { assets: [{ id: 1, title: { len: 80 }, data: { type: 1 } }] } };
+      expect(spec.isBidRequestValid(bid)).to.equal(false);
+    });
+
+    it('should return false for title asset without len and data asset without type', () => {
+      expect(spec.isBidRequestValid({ ...nativeBidRequest, nativeOrtbRequest: { assets: [{ id: 1, title: {} }] } })).to.equal(false);
+      expect(spec.isBidRequestValid({ ...nativeBidRequest, nativeOrtbRequest: { assets: [{ id: 1, data: {} }] } })).to.equal(false);
+    });
+
+    if (FEATURES.NATIVE) {
+      it('should build a native impression from the ORTB native request', () => {
+        const request = spec.buildRequests([nativeBidRequest], bidderRequest);
+        const { imp } = request.data;
+        expect(imp[0]).to.have.property('native');
+        expect(imp[0]).to.not.have.property('banner');
+        const nativeRequest = JSON.parse(imp[0].native.request);
+        expect(nativeRequest.assets).to.deep.equal(nativeOrtbRequest.assets);
+        expect(nativeRequest.eventtrackers).to.deep.equal([{ event: 1, methods: [1, 2] }]);
+        expect(imp[0].native.ver).to.equal('1.2');
+      });
+    }
+
+    it('should interpret mtype 4 with a JSON string adm as a native bid', () => {
+      const request = spec.buildRequests([nativeBidRequest], bidderRequest);
+      const bids = spec.interpretResponse(nativeResponse(JSON.stringify(nativeAdm)), request);
+      expect(bids).to.have.lengthOf(1);
+      expect(bids[0].mediaType).to.equal('native');
+      expect(bids[0].native).to.deep.equal({ ortb: nativeAdm });
+      expect(bids[0]).to.not.have.property('ad');
+    });
+
+    it('should unwrap adm objects that nest the response under native', () => {
+      const request = spec.buildRequests([nativeBidRequest], bidderRequest);
+      const bids = spec.interpretResponse(nativeResponse({ native: nativeAdm }), request);
+      expect(bids[0].native.ortb).to.deep.equal(nativeAdm);
+    });
+
+    it('should skip native bids whose adm cannot be parsed', () => {
+      const request = spec.buildRequests([nativeBidRequest], bidderRequest);
+      expect(spec.interpretResponse(nativeResponse('{not json'), request)).to.be.an('array').that.is.empty;
+      expect(spec.interpretResponse(nativeResponse(JSON.stringify({ link: {} })), request)).to.be.an('array').that.is.empty;
+    });
+  });
 });
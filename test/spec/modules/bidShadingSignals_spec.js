@@ -0,0 +1,142 @@
+import { expect } from 'chai';
+import * as bidShadingSignals from 'modules/bidShadingSignals.ts';
+import { config } from 'src/config.js';
+import * as events from 'src/events.js';
+import { EVENTS } from 'src/constants.js';
+import { auctionManager } from 'src/auctionManager.js';
+import 'modules/currency.js';
+
+describe('bidShadingSignals', function () {
+  let sandbox;
+
+  function makeAuction() {
+    return {
+      timestamp: 1000,
+      bidsReceived: [
+        { requestId: 'a1', bidderCode: 'bidderA', adUnitCode: 'au1', cpm: 2, currency: 'USD' },
+        { requestId: 'b1', bidderCode: 'bidderB', adUnitCode: 'au1', cpm: '1.5000', currency: 'USD', floorData: { floorValue: 1, floorCurrency: 'USD' } },
+        { requestId: 'b2', bidderCode: 'bidderB', adUnitCode: 'au2', cpm: 3, currency: 'USD', floorData: { floorValue: 4, floorCurrency: 'USD' } }
+      ],
+      bidsRejected: [
+        { requestId: 'c1', bidderCode: 'bidderC', adUnitCode: 'au1', cpm: 0.5, currency: 'USD', floorData: { floorValue: 0.75, floorCurrency: 'USD' } }
+      ],
+      bidderRequests: [
+        { bidderCode: 'bidderA', bids: [{ bidId: 'a1', adUnitCode: 'au1' }, { bidId: 'a2', adUnitCode: 'au3' }] },
+        { bidderCode: 'bidderB', bids: [{ bidId: 'b1', adUnitCode: 'au1' }, { bidId: 'b2', adUnitCode: 'au2' }] },
+        { bidderCode: 'bidderC', bids: [{ bidId: 'c1', adUnitCode: 'au1' }, { bidId: 'c2', adUnitCode: 'au2', getFloor: () => ({ floor: 2.5, currency: 'USD' }) }] }
+      ]
+    };
+  }
+
+  beforeEach(function () {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+    bidShadingSignals.reset();
+    config.resetConfig();
+  });
+
+  describe('getMinBidsToWin', function () {
+    it('should use the greater of the highest competing cpm and the floor', function () {
+      const signals = bidShadingSignals.getMinBidsToWin(makeAuction());
+      expect(signals.bidderA[0]).to.eql({
+        bidId: 'a1',
+        adUnitCode: 'au1',
+        minBidToWin: 1.5,
+        currency: 'USD',
+        highestCompetingCpm: 1.5,
+        floor: null,
+        timestamp: 1000
+      });
+      expect(signals.bidderB.map(signal => signal.minBidToWin)).to.eql([2, 4]);
+      expect(signals.bidderC.map(signal => signal.minBidToWin)).to.eql([2, 3]);
+    });
+
+    it('should get the floor of bid requests without a bid from the price floors module', function () {
+      expect(bidShadingSignals.getMinBidsToWin(makeAuction()).bidderC[1]).to.include({ highestCompetingCpm: 3, floor: 2.5 });
+    });
+
+    it('should not compute a minimum bid to win without competing bids or floors', function () {
+      expect(bidShadingSignals.getMinBidsToWin(makeAuction()).bidderA[1]).to.include({ minBidToWin: null, highestCompetingCpm: null, floor: null });
+    });
+
+    it('should use the ad server currency', function () {
+      config.setConfig({ currency: { adServerCurrency: 'EUR', rates: { USD: { EUR: 0.5 } } } });
+      const auction = makeAuction();
+      auction.bidsReceived.forEach(bid => { bid.currency = 'EUR' });
+      expect(bidShadingSignals.getMinBidsToWin(auction).bidderB[0]).to.include({ currency: 'EUR', highestCompetingCpm: 2, floor: 0.5, minBidToWin: 2 });
+      config.setConfig({ currency: {} });
+    });
+  });
+
+  describe('after each auction', function () {
+    it('should set the minimum bid to win on received bids', function () {
+      config.setConfig({ bidShadingSignals: {} });
+      const auction = makeAuction();
+      events.emit(EVENTS.AUCTION_END, auction);
+      expect(auction.bidsReceived[0]).to.include({ minBidToWin: 1.5, minBidToWinCurrency: 'USD' });
+      expect(auction.bidsReceived[2]).to.include({ minBidToWin: 4 });
+    });
+
+    it('should only set signals for the configured bidders', function () {
+      config.setConfig({ bidShadingSignals: { bidders: ['bidderB'] } });
+      const auction = makeAuction();
+      events.emit(EVENTS.AUCTION_END, auction);
+      expect(auction.bidsReceived[0]).to.not.have.property('minBidToWin');
+      expect(auction.bidsReceived[1]).to.have.property('minBidToWin');
+    });
+
+    it('should not compute signals when disabled', function () {
+      config.setConfig({ bidShadingSignals: { enabled: false } });
+      const auction = makeAuction();
+      events.emit(EVENTS.AUCTION_END, auction);
+      expect(auction.bidsReceived[0]).to.not.have.property('minBidToWin');
+    });
+  });
+
+  describe('startAuctionHook', function () {
+    it('should pass recorded signals to bidders in the next auction', function () {
+      config.setConfig({ bidShadingSignals: { bidders: ['bidderB'] } });
+      bidShadingSignals.onAuctionEnd(makeAuction());
+      const next = sinon.spy();
+      const req = { ortb2Fragments: { bidder: { bidderB: { ext: { prebid: { previousauctioninfo: [{ bidId: 'b2', rendered: 0 }] } } } } } };
+      bidShadingSignals.startAuctionHook(next, req);
+      sinon.assert.calledWith(next, req);
+      expect(req.ortb2Fragments.bidder.bidderB.ext.prebid.minbidtowin.map(signal => signal.bidId)).to.eql(['b1', 'b2']);
+      expect(req.ortb2Fragments.bidder.bidderB.ext.prebid.previousauctioninfo).to.eql([{ bidId: 'b2', rendered: 0, minBidToWin: 4, minBidToWinCurrency: 'USD' }]);
+      expect(req.ortb2Fragments.bidder.bidderA).to.not.exist;
+
+      const nextReq = { ortb2Fragments: {} };
+      bidShadingSignals.startAuctionHook(next, nextReq);
+      expect(nextReq.ortb2Fragments).to.eql({});
+    });
+
+    it('should keep at most maxQueueLength signals for each bidder', function () {
+      config.setConfig({ bidShadingSignals: { maxQueueLength: 3 } });
+      bidShadingSignals.onAuctionEnd(makeAuction());
+      bidShadingSignals.onAuctionEnd(makeAuction());
+      const req = { ortb2Fragments: {} };
+      bidShadingSignals.startAuctionHook(sinon.spy(), req);
+      expect(req.ortb2Fragments.bidder.bidderA.ext.prebid.minbidtowin.map(signal => signal.bidId)).to.eql(['a2', 'a1', 'a2']);
+    });
+  });
+
+  describe('bid won', function () {
+    it('should emit a loss for other bids on the same ad unit', function () {
+      config.setConfig({ bidShadingSignals: {} });
+      const auction = makeAuction();
+      sandbox.stub(auctionManager.index, 'getAuction').returns({ getBidsReceived: () => auction.bidsReceived });
+      const lost = sinon.spy();
+      events.on(EVENTS.BID_LOST, lost);
+      try {
+        events.emit(EVENTS.BID_WON, auction.bidsReceived[0]);
+      } finally {
+        events.off(EVENTS.BID_LOST, lost);
+      }
+      sinon.assert.calledOnce(lost);
+      sinon.assert.calledWith(lost, auction.bidsReceived[1]);
+    });
+  });
+});
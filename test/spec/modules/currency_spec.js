@@ -18,6 +18,9 @@ import { server } from '../../mocks/xhr.js';
 import * as events from 'src/events.js';
 import { enrichFPD } from '../../../src/fpd/enrichment.js';
 import { requestBidsHook } from '../../../modules/currency.js';
+import { setupBidTargeting } from '../../../src/auction.js';
+import { targeting } from '../../../src/targeting.js';
+import { config } from '../../../src/config.js';
 
 var assert = require('chai').assert;
 var expect = require('chai').expect;
@@ -526,6 +529,163 @@ describe('currency', function () {
     });
   });
 
+  describe('conversion fees and rounding', function () {
+    function convert(bidProps) {
+      let innerBid;
+      addBidResponseHook(function(adCodeId, bid) {
+        innerBid = bid;
+      }, 'elementId', makeBid(bidProps));
+      return innerBid;
+    }
+
+    it('should deduct the fee of the first matching rule', function () {
+      setConfig({
+        adServerCurrency: 'GBP',
+        rates: getCurrencyRates().conversions,
+        conversionFees: [
+          { bidders: ['bidderA'], from: 'USD', fee: 0.02 },
+          { to: 'USD', fee: 0.5 },
+          { fee: 0.01 }
+        ]
+      });
+      const bid = convert({ cpm: 1, currency: 'USD', bidderCode: 'bidderA' });
+      expect(bid.cpm).to.equal('0.7642');
+      expect(bid.currency).to.equal('GBP');
+      expect(bid.originalCpm).to.equal(1);
+      expect(bid.originalCurrency).to.equal('USD');
+      expect(bid.currencyConversion).to.eql({ rate: 0.7798, fee: 0.02, feeAmount: 0.0156 });
+      expect(convert({ cpm: 1, currency: 'USD', bidderCode: 'bidderB' }).currencyConversion.fee).to.equal(0.01);
+    });
+
+    it('should not change bids already in the ad server currency', function () {
+      setConfig({ adServerCurrency: 'GBP', rates: getCurrencyRates().conversions, conversionFees: [{ fee: 0.01 }] });
+      const bid = convert({ cpm: 1, currency: 'GBP' });
+      expect(bid.cpm).to.equal(1);
+      expect(bid.currencyConversion).to.not.exist;
+    });
+
+    it('should not deduct fees from queued bids that end up in the ad server currency', function () {
+      setConfig({ adServerCurrency: 'USD', conversionFees: [{ fee: 0.01 }] });
+      const queued = [];
+      addBidResponseHook((adCodeId, bid) => queued.push(bid), 'elementId', makeBid({ cpm: 1, currency: 'GBP' }));
+      expect(queued).to.eql([]);
+      setConfig({ adServerCurrency: 'GBP', rates: getCurrencyRates().conversions, conversionFees: [{ fee: 0.01 }] });
+      convert({ cpm: 1, currency: 'USD' });
+      expect(queued.length).to.equal(1);
+      expect(queued[0].cpm).to.equal(1);
+      expect(queued[0].currencyConversion).to.not.exist;
+    });
+
+    it('should ignore invalid fees', function () {
+      setConfig({ adServerCurrency: 'GBP', rates: getCurrencyRates().conversions, conversionFees: [{ fee: 1 }, { fee: '0.1' }] });
+      expect(convert({ cpm: 1, currency: 'USD' }).cpm).to.equal('0.7798');
+    });
+
+    it('should keep the original cpm set by the bidder', function () {
+      setConfig({ adServerCurrency: 'GBP', rates: getCurrencyRates().conversions });
+      const bid = convert({ cpm: 1, currency: 'USD', originalCpm: 1.5, originalCurrency: 'USD' });
+      expect(bid.originalCpm).to.equal(1.5);
+      expect(bid.currencyConversion).to.eql({ rate: 0.7798, fee: 0, feeAmount: 0 });
+    });
+
+    Object.entries({
+      floor: ['0.0001', '0.0002', '0.0029'],
+      ceil: ['0.0002', '0.0003', '0.0029'],
+      bankers: ['0.0002', '0.0002', '0.0029']
+    }).forEach(([roundingMode, expected]) => {
+      it(`should round converted cpms with the '${roundingMode}' mode`, function () {
+        setConfig({ adServerCurrency: 'GBP', rates: { USD: { GBP: 0.5 } }, roundingMode });
+        expect([0.0003, 0.0005, 0.0058].map(cpm => convert({ cpm, currency: 'USD' }).cpm)).to.eql(expected);
+      });
+    });
+
+    it('should fall back to the default rounding mode if the configured one is not supported', function () {
+      setConfig({ adServerCurrency: 'GBP', rates: { USD: { GBP: 0.5 } }, roundingMode: 'up' });
+      expect(convert({ cpm: 1.2346, currency: 'USD' }).cpm).to.equal('0.6173');
+    });
+  });
+
+  describe('targeting currencies', function () {
+    function getTargeting(bidProps) {
+      const bid = makeBid({ bidderCode: 'bidderA', mediaType: 'banner', width: 300, height: 250, ...bidProps });
+      setupBidTargeting(bid);
+      return bid.adserverTargeting;
+    }
+
+    beforeEach(function () {
+      setConfig({
+        adServerCurrency: 'USD',
+        rates: getCurrencyRates().conversions,
+        targetingCurrencies: {
+          GBP: {},
+          JPY: { granularityMultiplier: 100 }
+        }
+      });
+    });
+
+    it('should set price bucket targeting for each currency', function () {
+      expect(getTargeting({ cpm: 2, currency: 'USD', pbMg: '2.00' })).to.include({
+        hb_pb: '2.00',
+        hb_pb_gbp: '1.50',
+        hb_pb_jpy: '220.00'
+      });
+    });
+
+    it('should skip currencies that cannot be converted to', function () {
+      setConfig({ adServerCurrency: 'USD', rates: getCurrencyRates().conversions, targetingCurrencies: { XYZ: {} } });
+      expect(getTargeting({ cpm: 2, currency: 'USD', pbMg: '2.00' })).to.not.have.property('hb_pb_xyz');
+    });
+
+    it('should not set price targeting for bids without price targeting', function () {
+      expect(getTargeting({ cpm: 0, currency: 'USD' })).to.eql({});
+    });
+
+    it('should not set price targeting once currency support is disabled', function () {
+      setConfig({});
+      expect(getTargeting({ cpm: 2, currency: 'USD', pbMg: '2.00' })).to.not.have.property('hb_pb_gbp');
+    });
+
+    describe('in ad server targeting', function () {
+      let bids;
+
+      function getAllTargeting(targetingControls = {}) {
+        config.setConfig({ enableSendAllBids: true, targetingControls });
+        return targeting.getAllTargeting(['au'], undefined, bids).au;
+      }
+
+      beforeEach(function () {
+        bids = [['bidderA', 2], ['bidderB', 1]].map(([bidderCode, cpm]) => {
+          const bid = makeBid({ adUnitCode: 'au', adId: bidderCode, bidderCode, cpm, currency: 'USD', mediaType: 'banner', width: 300, height: 250, pbMg: cpm.toFixed(2) });
+          setupBidTargeting(bid);
+          return bid;
+        });
+      });
+
+      afterEach(function () {
+        config.resetConfig();
+      });
+
+      it('should set the winning bid price, and each bidder\'s when sending all bids', function () {
+        expect(getAllTargeting()).to.include({ hb_pb_gbp: '1.50', hb_pb_gbp_bidderA: '1.50', hb_pb_gbp_bidderB: '0.70' });
+      });
+
+      it('should be controlled by PRICE_BUCKET in allowTargetingKeys', function () {
+        expect(getAllTargeting({ allowTargetingKeys: ['BIDDER', 'AD_ID'] })).to.not.have.any.keys('hb_pb_gbp', 'hb_pb_gbp_bidderA');
+        expect(getAllTargeting({ allowTargetingKeys: ['PRICE_BUCKET'] })).to.include.all.keys('hb_pb_gbp', 'hb_pb_gbp_bidderA');
+      });
+
+      it('should be controlled by PRICE_BUCKET in allowSendAllBidsTargetingKeys', function () {
+        expect(getAllTargeting({ allowSendAllBidsTargetingKeys: ['AD_ID'] })).to.include.all.keys('hb_pb_gbp')
+          .and.to.not.have.any.keys('hb_pb_gbp_bidderA', 'hb_pb_gbp_bidderB');
+      });
+
+      it('should not be treated as price targeting once the currency is no longer configured', function () {
+        setConfig({ adServerCurrency: 'USD', rates: getCurrencyRates().conversions });
+        expect(getAllTargeting({ allowTargetingKeys: ['BIDDER'] })).to.not.have.property('hb_pb_gbp_bidderA');
+      });
+    });
+  });
+
   describe('enrichFpd', function() {
     function fpd(ortb2 = {}) {
       return enrichFPD(Promise.resolve(ortb2));
@@ -588,4 +748,107 @@ describe('currency', function () {
       expect(continueAuction.calledOnce).to.be.true;
     });
   });
+
+  describe('rate sources, refresh and staleness', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let ratesUpdated, addBidResponse, reject;
+
+    function respond(index, status, body = '') {
+      fakeCurrencyFileServer.requests[index].respond(status, { 'Content-Type': 'application/json' }, body);
+    }
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(Date.parse('2017-04-25T12:00:00Z'));
+      ratesUpdated = sinon.spy();
+      addBidResponse = sinon.spy();
+      reject = sinon.spy();
+      events.on(EVENTS.CURRENCY_RATES_UPDATED, ratesUpdated);
+    });
+
+    afterEach(() => {
+      setConfig({});
+      events.off(EVENTS.CURRENCY_RATES_UPDATED, ratesUpdated);
+      clock.restore();
+    });
+
+    it('should fall back to the next rate source when one fails', () => {
+      setConfig({ adServerCurrency: 'USD', conversionRateFiles: ['https://a.test/rates.json', 'https://b.test/rates.json'] });
+      expect(fakeCurrencyFileServer.requests[0].url).to.equal('https://a.test/rates.json');
+      respond(0, 500);
+      expect(fakeCurrencyFileServer.requests[1].url).to.equal('https://b.test/rates.json');
+      respond(1, 200, JSON.stringify(getCurrencyRates()));
+      sinon.assert.calledWith(ratesUpdated, { source: 'https://b.test/rates.json', dataAsOf: '2017-04-25' });
+    });
+
+    it('should treat an invalid response as a failure', () => {
+      setConfig({ adServerCurrency: 'USD', conversionRateFiles: ['https://a.test/rates.json', 'https://b.test/rates.json'] });
+      respond(0, 200, 'not json');
+      expect(fakeCurrencyFileServer.requests.length).to.equal(2);
+    });
+
+    it('should reject bids if every rate source fails', () => {
+      setConfig({ adServerCurrency: 'USD', conversionRateFiles: ['https://a.test/rates.json', 'https://b.test/rates.json'] });
+      addBidResponseHook(addBidResponse, 'au', makeBid({ cpm: 100, currency: 'JPY' }), reject);
+      respond(0, 500);
+      respond(1, 500);
+      sinon.assert.notCalled(addBidResponse);
+      sinon.assert.calledWith(reject, REJECTION_REASON.CANNOT_CONVERT_CURRENCY);
+    });
+
+    it('should emit an event when rates are set through config', () => {
+      setConfig({ adServerCurrency: 'USD', rates: getCurrencyRates().conversions });
+      sinon.assert.calledWith(ratesUpdated, { source: 'rates', dataAsOf: undefined });
+    });
+
+    it('should refresh rates on an interval, keeping the current ones if refreshing fails', () => {
+      setConfig({ adServerCurrency: 'USD', conversionRateFile: 'https://a.test/rates.json', refreshInterval: 1000 });
+      respond(0, 200, JSON.stringify(getCurrencyRates()));
+      clock.tick(1000);
+      expect(fakeCurrencyFileServer.requests.length).to.equal(2);
+      respond(1, 500);
+      addBidResponseHook(addBidResponse, 'au', makeBid({ cpm: 100, currency: 'JPY' }), reject);
+      sinon.assert.calledWith(addBidResponse, 'au', sinon.match({ cpm: '0.9100', currency: 'USD' }));
+      clock.tick(1000);
+      respond(2, 200, JSON.stringify({ ...getCurrencyRates(), dataAsOf: '2017-04-26' }));
+      sinon.assert.calledWith(ratesUpdated, sinon.match({ dataAsOf: '2017-04-26' }));
+    });
+
+    it('should stop refreshing when currency support is disabled', () => {
+      setConfig({ adServerCurrency: 'USD', conversionRateFile: 'https://a.test/rates.json', refreshInterval: 1000 });
+      respond(0, 200, JSON.stringify(getCurrencyRates()));
+      setConfig({});
+      clock.tick(2000);
+      expect(fakeCurrencyFileServer.requests.length).to.equal(1);
+    });
+
+    it('should reject bids that need conversion when rates are stale', () => {
+      setConfig({ adServerCurrency: 'USD', conversionRateFile: 'https://a.test/rates.json', maxStaleness: DAY });
+      respond(0, 200, JSON.stringify(getCurrencyRates()));
+      addBidResponseHook(addBidResponse, 'au', makeBid({ cpm: 100, currency: 'JPY' }), reject);
+      sinon.assert.calledOnce(addBidResponse);
+      clock.tick(DAY);
+      addBidResponseHook(addBidResponse, 'au', makeBid({ cpm: 100, currency: 'JPY' }), reject);
+      sinon.assert.calledWith(reject, REJECTION_REASON.STALE_CURRENCY_RATES);
+      addBidResponseHook(addBidResponse, 'au', makeBid({ cpm: 1, currency: 'USD' }), reject);
+      sinon.assert.calledTwice(addBidResponse);
+    });
+
+    it('should not convert currency with stale rates', () => {
+      setConfig({ adServerCurrency: 'USD', conversionRateFile: 'https://a.test/rates.json', maxStaleness: DAY });
+      respond(0, 200, JSON.stringify(getCurrencyRates()));
+      expect(getGlobal().convertCurrency(100, 'JPY', 'USD')).to.be.closeTo(0.91, 0.01);
+      clock.tick(DAY);
+      expect(() => getGlobal().convertCurrency(100, 'JPY', 'USD')).to.throw();
+      expect(getGlobal().convertCurrency(1, 'USD', 'USD')).to.equal(1);
+    });
+
+    it('should measure staleness from when rates were loaded if they have no publish date', () => {
+      setConfig({ adServerCurrency: 'USD', conversionRateFile: 'https://a.test/rates.json', maxStaleness: DAY });
+      respond(0, 200, JSON.stringify({ conversions: getCurrencyRates().conversions }));
+      clock.tick(DAY - 1);
+      addBidResponseHook(addBidResponse, 'au', makeBid({ cpm: 100, currency: 'JPY' }), reject);
+      sinon.assert.calledOnce(addBidResponse);
+      sinon.assert.notCalled(reject);
+    });
+  });
 });
@@ -0,0 +1,287 @@
+import { expect } from 'chai';
+import * as learnedFloors from 'modules/learnedFloors.ts';
+import { config } from 'src/config.js';
+import * as events from 'src/events.js';
+import { EVENTS, REJECTION_REASON } from 'src/constants.js';
+import * as refererDetection from 'src/refererDetection.js';
+import { isFloorsDataValid } from 'modules/priceFloors.ts';
+
+describe('learnedFloors', function () {
+  const DAY = 24 * 60 * 60 * 1000;
+  let sandbox, getDataStub, setDataStub;
+
+  function makeBid(cpm, adUnitCode = 'div-1', props = {}) {
+    return { adUnitCode, cpm, currency: 'USD', mediaType: 'banner', width: 300, height: 250, ...props };
+  }
+
+  beforeEach(function () {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(learnedFloors.storage, 'localStorageIsEnabled').returns(true);
+    getDataStub = sandbox.stub(learnedFloors.storage, 'getDataFromLocalStorage').returns(null);
+    setDataStub = sandbox.stub(learnedFloors.storage, 'setDataInLocalStorage');
+    sandbox.stub(refererDetection, 'getRefererInfo').returns({ topmostLocation: 'https://www.example.com/page' });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+    learnedFloors.reset();
+    config.setConfig({ floors: { enabled: false } });
+    config.resetConfig();
+  });
+
+  describe('getKey', function () {
+    it('should build the key from the configured fields', function () {
+      expect(learnedFloors.getKey(makeBid(1), ['adUnitCode', 'size', 'mediaType', 'domain'])).to.equal('div-1|300x250|banner|www.example.com');
+      expect(learnedFloors.getKey(makeBid(1, 'div-2', { mediaType: 'video' }), ['mediaType', 'adUnitCode'])).to.equal('video|div-2');
+    });
+
+    it('should not build a key when a field cannot be resolved', function () {
+      expect(learnedFloors.getKey(makeBid(1, 'div-1', { width: undefined }), ['size'])).to.be.undefined;
+      expect(learnedFloors.getKey(makeBid(1, 'a|b'), ['adUnitCode'])).to.be.undefined;
+    });
+  });
+
+  describe('weightedPercentile', function () {
+    const now = 100 * DAY;
+
+    it('should return the percentile of equally weighted samples', function () {
+      const samples = [1, 2, 3, 4].map(cpm => [cpm, 1, now]);
+      expect(learnedFloors.weightedPercentile(samples, 25, DAY, now)).to.equal(1);
+      expect(learnedFloors.weightedPercentile(samples, 50, DAY, now)).to.equal(2);
+      expect(learnedFloors.weightedPercentile(samples, 100, DAY, now)).to.equal(4);
+    });
+
+    it('should give less weight to older samples', function () {
+      const samples = [[1, 1, now - 10 * DAY], [2, 1, now - 10 * DAY], [3, 1, now], [4, 1, now]];
+      expect(learnedFloors.weightedPercentile(samples, 25, DAY, now)).to.equal(3);
+    });
+
+    it('should return undefined without samples', function () {
+      expect(learnedFloors.weightedPercentile([], 50, DAY, now)).to.be.undefined;
+    });
+  });
+
+  describe('learning', function () {
+    const now = 100 * DAY;
+
+    function setup(options = {}) {
+      config.setConfig({
+        learnedFloors: { fields: ['adUnitCode', 'size'], minSamples: 4, ...options }
+      });
+    }
+
+    // the highest bid of each auction wins
+    function runAuctions(cpmsPerAuction, ts = now) {
+      cpmsPerAuction.forEach(cpms => {
+        const bidsReceived = cpms.map(cpm => makeBid(cpm));
+        learnedFloors.recordAuction({ bidsReceived }, ts);
+        learnedFloors.recordWin(bidsReceived.reduce((winner, bid) => bid.cpm > winner.cpm ? bid : winner));
+      });
+    }
+
+    function currentFloor() {
+      return learnedFloors.getLearnedFloorsData(now)?.modelGroups[0].values['div-1|300x250'];
+    }
+
+    it('should record received bids as losses until they win', function () {
+      setup({ minSamples: 1, winPercentile: 100 });
+      const bidsReceived = [makeBid(1), makeBid(2)];
+      learnedFloors.recordAuction({ bidsReceived }, now);
+      expect(currentFloor()).to.not.exist;
+      // the bid that won is the one that rendered, not necessarily the highest
+      learnedFloors.recordWin(bidsReceived[0]);
+      learnedFloors.recordWin(makeBid(3));
+      expect(currentFloor()).to.equal(1);
+    });
+
+    it('should ignore bids in other currencies', function () {
+      setup({ minSamples: 1, winPercentile: 100 });
+      const bid = makeBid(1, 'div-1', { currency: 'EUR' });
+      learnedFloors.recordAuction({ bidsReceived: [bid] }, now);
+      learnedFloors.recordWin(bid);
+      expect(learnedFloors.getLearnedFloorsData(now)).to.be.undefined;
+    });
+
+    it('should record bids rejected for not meeting the floor as losses', function () {
+      setup({ minSamples: 1, lossPercentile: 0 });
+      learnedFloors.recordAuction({
+        bidsReceived: [makeBid(2)],
+        bidsRejected: [makeBid(1, 'div-1', { rejectionReason: REJECTION_REASON.FLOOR_NOT_MET })]
+      }, now);
+      expect(currentFloor()).to.equal(1);
+    });
+
+    it('should ignore bids rejected for other reasons', function () {
+      setup({ minSamples: 1, lossPercentile: 0, winPercentile: 0 });
+      learnedFloors.recordAuction({
+        bidsRejected: [makeBid(1, 'div-1', { rejectionReason: REJECTION_REASON.INVALID })]
+      }, now);
+      expect(learnedFloors.getLearnedFloorsData(now)).to.be.undefined;
+    });
+
+    it('should record the highest bid below the floor as a win when the slot is left unfilled', function () {
+      setup({ winPercentile: 0 });
+      const rejected = (cpm) => makeBid(cpm, 'div-1', { rejectionReason: REJECTION_REASON.FLOOR_NOT_MET });
+      for (let i = 0; i < 4; i++) {
+        learnedFloors.recordAuction({ bidsRejected: [rejected(0.5), rejected(1)] }, now);
+      }
+      expect(currentFloor()).to.equal(1);
+    });
+
+    it('should not ratchet the floor up when bids below it are rejected', function () {
+      setup({ winPercentile: 50, maxSamples: 8 });
+      const floors = [];
+      for (let i = 0; i < 40; i++) {
+        const floor = currentFloor() ?? 0;
+        const bid = makeBid(i % 4 + 1);
+        if (bid.cpm < floor) {
+          learnedFloors.recordAuction({ bidsRejected: [{ ...bid, rejectionReason: REJECTION_REASON.FLOOR_NOT_MET }] }, now);
+        } else {
+          learnedFloors.recordAuction({ bidsReceived: [bid] }, now);
+          learnedFloors.recordWin(bid);
+        }
+        floors.push(currentFloor());
+      }
+      expect(floors.slice(3).every(floor => floor === 2)).to.be.true;
+    });
+
+    it('should not derive floors until enough cpms have been recorded', function () {
+      setup();
+      runAuctions([[1], [2], [3]]);
+      expect(learnedFloors.getLearnedFloorsData(now)).to.be.undefined;
+    });
+
+    it('should derive floors from the winning cpm percentile', function () {
+      setup({ winPercentile: 50 });
+      runAuctions([[1], [2], [3], [4]]);
+      expect(learnedFloors.getLearnedFloorsData(now)).to.eql({
+        floorsSchemaVersion: 2,
+        floorProvider: 'learnedFloors',
+        modelTimestamp: now,
+        modelGroups: [{
+          modelWeight: 100,
+          modelVersion: 'learnedFloors',
+          currency: 'USD',
+          schema: { fields: ['adUnitCode', 'size'], delimiter: '|' },
+          values: { 'div-1|300x250': 2 }
+        }]
+      });
+    });
+
+    it('should derive floors data that the price floors module accepts', function () {
+      setup({ controlWeight: 10 });
+      runAuctions([[1], [2], [3], [4]]);
+      expect(isFloorsDataValid(learnedFloors.getLearnedFloorsData(now))).to.be.true;
+    });
+
+    it('should use the losing cpm percentile when it is higher', function () {
+      setup({ winPercentile: 0, lossPercentile: 100 });
+      runAuctions([[1, 0.5], [2, 1.5]]);
+      expect(learnedFloors.getLearnedFloorsData(now).modelGroups[0].values).to.eql({ 'div-1|300x250': 1.5 });
+    });
+
+    it('should discard cpms older than maxAge', function () {
+      setup({ maxAge: DAY });
+      runAuctions([[1], [2], [3], [4]], now - 2 * DAY);
+      expect(learnedFloors.getLearnedFloorsData(now)).to.be.undefined;
+    });
+
+    it('should add a control model group', function () {
+      setup({ controlWeight: 10 });
+      runAuctions([[1], [2], [3], [4]]);
+      expect(learnedFloors.getLearnedFloorsData(now).modelGroups[1]).to.include({ modelWeight: 10, default: 0 });
+    });
+
+    it('should load recorded cpms from storage', function () {
+      getDataStub.withArgs(learnedFloors.STORAGE_KEY).returns(JSON.stringify({ 'div-1|300x250': [[1, 1, now], [2, 1, now], [3, 1, now], [4, 1, now]] }));
+      setup();
+      expect(learnedFloors.getLearnedFloorsData(now).modelGroups[0].values).to.eql({ 'div-1|300x250': 1 });
+    });
+  });
+
+  describe('feeding the price floors module', function () {
+    let clock;
+
+    function learn() {
+      for (let i = 1; i <= 4; i++) {
+        const bid = makeBid(i);
+        events.emit(EVENTS.AUCTION_END, { bidsReceived: [bid] });
+        events.emit(EVENTS.BID_WON, bid);
+      }
+      clock.tick(30000);
+    }
+
+    beforeEach(function () {
+      clock = sandbox.useFakeTimers(100 * DAY);
+    });
+
+    it('should store winning and losing cpms', function () {
+      config.setConfig({ learnedFloors: { minSamples: 4 } });
+      const bids = [makeBid(1), makeBid(2)];
+      events.emit(EVENTS.AUCTION_END, { bidsReceived: bids });
+      events.emit(EVENTS.BID_WON, bids[1]);
+      clock.tick(30000);
+      sinon.assert.calledWith(setDataStub, learnedFloors.STORAGE_KEY, JSON.stringify({
+        'div-1|300x250|banner|www.example.com': [[1, 0, 100 * DAY], [2, 1, 100 * DAY]]
+      }));
+    });
+
+    it('should not persist cpms when storage is not allowed', function () {
+      learnedFloors.storage.localStorageIsEnabled.returns(false);
+      config.setConfig({ learnedFloors: { minSamples: 4 } });
+      learn();
+      sinon.assert.notCalled(setDataStub);
+      expect(config.getConfig('floors.data.floorProvider')).to.equal('learnedFloors');
+    });
+
+    it('should update storage and floors at most once every updateInterval', function () {
+      config.setConfig({ learnedFloors: { minSamples: 1, updateInterval: 1000 } });
+      events.emit(EVENTS.AUCTION_END, { bidsReceived: [makeBid(1)] });
+      sinon.assert.calledOnce(setDataStub);
+      events.emit(EVENTS.AUCTION_END, { bidsReceived: [makeBid(2)] });
+      events.emit(EVENTS.AUCTION_END, { bidsReceived: [makeBid(3)] });
+      clock.tick(999);
+      sinon.assert.calledOnce(setDataStub);
+      clock.tick(1);
+      sinon.assert.calledTwice(setDataStub);
+    });
+
+    it('should save pending cpms when the page is hidden', function () {
+      config.setConfig({ learnedFloors: { minSamples: 1 } });
+      events.emit(EVENTS.AUCTION_END, { bidsReceived: [makeBid(1)] });
+      events.emit(EVENTS.AUCTION_END, { bidsReceived: [makeBid(2)] });
+      sinon.assert.calledOnce(setDataStub);
+      window.dispatchEvent(new Event('pagehide'));
+      sinon.assert.calledTwice(setDataStub);
+    });
+
+    it('should set floors data once floors can be derived', function () {
+      config.setConfig({ learnedFloors: { minSamples: 4 } });
+      expect(config.getConfig('floors')).to.not.exist;
+      learn();
+      expect(config.getConfig('floors.data.floorProvider')).to.equal('learnedFloors');
+      expect(config.getConfig('floors.data.modelGroups')[0].values).to.have.property('div-1|300x250|banner|www.example.com');
+    });
+
+    it('should keep the rest of the floors configuration', function () {
+      config.setConfig({ floors: { enforcement: { floorDeals: true } }, learnedFloors: { minSamples: 4 } });
+      learn();
+      expect(config.getConfig('floors.enforcement')).to.eql({ floorDeals: true });
+      expect(config.getConfig('floors.data.floorProvider')).to.equal('learnedFloors');
+    });
+
+    it('should not replace floors data provided by the publisher', function () {
+      const data = { schema: { fields: ['mediaType'] }, values: { banner: 1 } };
+      config.setConfig({ floors: { data }, learnedFloors: { minSamples: 4 } });
+      learn();
+      expect(config.getConfig('floors.data.floorProvider')).to.not.exist;
+    });
+
+    it('should stop learning when disabled', function () {
+      config.setConfig({ learnedFloors: { minSamples: 4 } });
+      config.setConfig({ learnedFloors: { enabled: false } });
+      learn();
+      sinon.assert.notCalled(setDataStub);
+    });
+  });
+});
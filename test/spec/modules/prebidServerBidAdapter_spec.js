@@ -3183,6 +3183,12 @@ describe('S2S Adapter', function () {
           sinon.assert.calledWith(done, timedOut);
         })
       })
+
+      it('without triggering BIDDER_ERROR when the auction was canceled', () => {
+        error('', { canceled: true });
+        sinon.assert.calledWith(done, false);
+        sinon.assert.neverCalledWith(events.emit, EVENTS.BIDDER_ERROR);
+      });
     })
 
     // TODO: test dependent on pbjs_api_spec.  Needs to be isolated
@@ -14,7 +14,8 @@ import {
   addBidResponseHook,
   fieldMatchingFunctions,
   resolveTierUserIds,
-  allowedFields, parseFloorData, normalizeDefault, getFloorDataFromAdUnits, updateAdUnitsForAuction, createFloorsDataForAuction
+  allowedFields, parseFloorData, normalizeDefault, getFloorDataFromAdUnits, updateAdUnitsForAuction, createFloorsDataForAuction,
+  getFloorTier, softFloorBidPoolHook, storage, STORAGE_KEY, simulateFloor
 } from 'modules/priceFloors.js';
 import * as events from 'src/events.js';
 import * as mockGpt from '../integration/faker/googletag.js';
@@ -569,6 +570,66 @@ describe('the price floors module', function () {
       inputFloorData = normalizeDefault({ default: 5.0 });
       expect(getFirstMatchingFloor(inputFloorData, basicBidRequest, { mediaType: 'banner', size: '*' }).matchingFloor).to.equal(5.0);
     });
+    describe('pattern rules', function () {
+      function getMatchingRule(values, fields, response, request = basicBidRequest, delimiter = '|') {
+        const floorData = getFloorsDataForAuction({ currency: 'USD', schema: { fields, delimiter }, values });
+        return getFirstMatchingFloor(floorData, request, response).matchingRule;
+      }
+
+      it('should match size ranges', function () {
+        const values = { '>=728x90': 3, '>=300x250': 2, '<300x250': 1 };
+        expect(getMatchingRule(values, ['size'], { size: [970, 250] })).to.equal('>=728x90');
+        expect(getMatchingRule(values, ['size'], { size: [300, 600] })).to.equal('>=300x250');
+        expect(getMatchingRule(values, ['size'], { size: [320, 50] })).to.equal(undefined);
+        expect(getMatchingRule(values, ['size'], { size: [120, 60] })).to.equal('<300x250');
+      });
+
+      it('should match value sets', function () {
+        const values = { '{banner,native}|*': 1, 'video|*': 2 };
+        expect(getMatchingRule(values, ['mediaType', 'size'], { mediaType: 'native', size: [1, 1] })).to.equal('{banner,native}|*');
+        expect(getMatchingRule(values, ['mediaType', 'size'], { mediaType: 'video', size: [1, 1] })).to.equal('video|*');
+      });
+
+      it('should match wildcard patterns and regular expressions case insensitively', function () {
+        const values = { 're:^TEST_DIV_\\d$': 2, 'test_div_*': 1 };
+        expect(getMatchingRule(values, ['adUnitCode'], {})).to.equal('re:^TEST_DIV_\\d$');
+        expect(getMatchingRule(values, ['adUnitCode'], {}, { ...basicBidRequest, adUnitCode: 'TEST_div_top' })).to.equal('test_div_*');
+      });
+
+      it('should allow regular expressions with alternation when using another delimiter', function () {
+        const values = { 're:^/1234/(news|sports)/;banner': 1 };
+        const request = { ...basicBidRequest, adUnitCode: '/1234/sports/top' };
+        expect(getMatchingRule(values, ['adUnitCode', 'mediaType'], { mediaType: 'banner' }, request, ';')).to.equal('re:^/1234/(news|sports)/;banner');
+      });
+
+      it('should prefer exact values, then sets, ranges and patterns, over catch-alls', function () {
+        const response = { mediaType: 'banner', size: [300, 250] };
+        const values = {
+          'test_*|*': 5,
+          'test_div_1|*': 4,
+          '*|{300x250,728x90}': 3,
+          '*|>=300x250': 2,
+          'test_*|>=300x250': 1
+        };
+        expect(getMatchingRule(values, ['adUnitCode', 'size'], response)).to.equal('test_*|>=300x250');
+        delete values['test_*|>=300x250'];
+        expect(getMatchingRule(values, ['adUnitCode', 'size'], response)).to.equal('test_div_1|*');
+        delete values['test_div_1|*'];
+        expect(getMatchingRule(values, ['adUnitCode', 'size'], response)).to.equal('test_*|*');
+        delete values['test_*|*'];
+        expect(getMatchingRule(values, ['adUnitCode', 'size'], response)).to.equal('*|{300x250,728x90}');
+      });
+
+      it('should break ties by the order rules are declared in', function () {
+        expect(getMatchingRule({ 'test_*': 1, '*_div_1': 2 }, ['adUnitCode'], {})).to.equal('test_*');
+        expect(getMatchingRule({ '*_div_1': 2, 'test_*': 1 }, ['adUnitCode'], {})).to.equal('*_div_1');
+      });
+
+      it('should ignore rules with invalid regular expressions', function () {
+        expect(getMatchingRule({ 're:(': 1, '*': 2 }, ['adUnitCode'], {})).to.equal('*');
+        expect(logWarnSpy.calledOnce).to.be.true;
+      });
+    });
     describe('with gpt enabled', function () {
       let gptFloorData;
       let indexStub, adUnits;
@@ -1598,6 +1659,123 @@ describe('the price floors module', function () {
       handleSetFloorsConfig({ ...basicFloorConfig, endpoint: { url: 'http://www.fakefloorprovider.json/', method: 'POST' } });
       expect(logErrorSpy.calledOnce).to.equal(true);
     });
+    describe('stored and refreshed floors data', function () {
+      const url = 'http://www.fakefloorprovider.json/';
+      const fetchFloorData = { ...basicFloorData, modelVersion: 'fetch model name' };
+      let getDataStub, setDataStub, modelChangedSpy;
+
+      beforeEach(function () {
+        sandbox.stub(storage, 'localStorageIsEnabled').returns(true);
+        getDataStub = sandbox.stub(storage, 'getDataFromLocalStorage').returns(null);
+        setDataStub = sandbox.stub(storage, 'setDataInLocalStorage');
+        modelChangedSpy = sinon.spy();
+        events.on(EVENTS.FLOORS_MODEL_CHANGED, modelChangedSpy);
+      });
+
+      afterEach(function () {
+        events.off(EVENTS.FLOORS_MODEL_CHANGED, modelChangedSpy);
+      });
+
+      it('should store fetched floors data when cacheTtl is set', function () {
+        server.respondWith(JSON.stringify(fetchFloorData));
+        handleSetFloorsConfig({ ...basicFloorConfig, endpoint: { url, cacheTtl: 1000 } });
+        server.respond();
+        sinon.assert.calledWith(setDataStub, STORAGE_KEY, JSON.stringify({ url, data: fetchFloorData, expires: Date.now() + 1000 }));
+      });
+
+      it('should not store fetched floors data without cacheTtl', function () {
+        server.respondWith(JSON.stringify(fetchFloorData));
+        handleSetFloorsConfig({ ...basicFloorConfig, endpoint: { url } });
+        server.respond();
+        sinon.assert.notCalled(setDataStub);
+      });
+
+      it('should use stored floors data instead of fetching', function () {
+        getDataStub.withArgs(STORAGE_KEY).returns(JSON.stringify({ url, data: fetchFloorData, expires: Date.now() + 1000 }));
+        handleSetFloorsConfig({ ...basicFloorConfig, auctionDelay: 250, endpoint: { url, cacheTtl: 1000 } });
+        expect(server.requests.length).to.equal(0);
+        runStandardAuction();
+        validateBidRequests(true, {
+          modelVersion: 'fetch model name',
+          location: 'fetch',
+          fetchStatus: 'cached'
+        });
+      });
+
+      it('should fetch when stored floors data has expired or is for another url', function () {
+        getDataStub.withArgs(STORAGE_KEY).returns(JSON.stringify({ url, data: fetchFloorData, expires: Date.now() - 1 }));
+        handleSetFloorsConfig({ ...basicFloorConfig, endpoint: { url, cacheTtl: 1000 } });
+        server.respond();
+        getDataStub.withArgs(STORAGE_KEY).returns(JSON.stringify({ url: 'http://other.url/', data: fetchFloorData, expires: Date.now() + 1000 }));
+        handleSetFloorsConfig({ ...basicFloorConfig, endpoint: { url, cacheTtl: 1000 } });
+        server.respond();
+        expect(server.requests.length).to.equal(2);
+      });
+
+      it('should refresh floors data on an interval without delaying auctions', function () {
+        server.respondWith(JSON.stringify(fetchFloorData));
+        handleSetFloorsConfig({ ...basicFloorConfig, auctionDelay: 250, endpoint: { url, refreshInterval: 1000 } });
+        server.respond();
+        clock.tick(1000);
+        expect(server.requests.length).to.equal(2);
+        runStandardAuction();
+        expect(exposedAdUnits).to.not.be.undefined;
+        server.respond();
+        clock.tick(1000);
+        expect(server.requests.length).to.equal(3);
+        server.respond();
+      });
+
+      it('should stop refreshing when the module is turned off', function () {
+        server.respondWith(JSON.stringify(fetchFloorData));
+        handleSetFloorsConfig({ ...basicFloorConfig, endpoint: { url, refreshInterval: 1000 } });
+        server.respond();
+        handleSetFloorsConfig({ enabled: false });
+        clock.tick(2000);
+        expect(server.requests.length).to.equal(1);
+      });
+
+      it('should refresh floors data after a number of auctions', function () {
+        server.respondWith(JSON.stringify(fetchFloorData));
+        handleSetFloorsConfig({ ...basicFloorConfig, endpoint: { url, refreshAuctions: 2 } });
+        server.respond();
+        runStandardAuction();
+        expect(server.requests.length).to.equal(1);
+        runStandardAuction();
+        expect(server.requests.length).to.equal(2);
+        server.respond();
+      });
+
+      it('should emit an event when the floors model version changes', function () {
+        handleSetFloorsConfig(basicFloorConfig);
+        sinon.assert.calledWith(modelChangedSpy, sinon.match({
+          modelVersions: ['basic model'],
+          previousModelVersions: [],
+          location: 'setConfig'
+        }));
+        server.respondWith(JSON.stringify(fetchFloorData));
+        handleSetFloorsConfig({ ...basicFloorConfig, endpoint: { url } });
+        sinon.assert.calledOnce(modelChangedSpy);
+        server.respond();
+        sinon.assert.calledTwice(modelChangedSpy);
+        sinon.assert.calledWith(modelChangedSpy.secondCall, sinon.match({
+          modelVersions: ['fetch model name'],
+          previousModelVersions: ['basic model'],
+          location: 'fetch'
+        }));
+      });
+
+      it('should use the model group versions of schema 2 floors data', function () {
+        handleSetFloorsConfig({
+          ...basicFloorConfig,
+          data: {
+            floorsSchemaVersion: 2,
+            modelGroups: [{ ...basicFloorData, modelVersion: 'model-a' }, { ...basicFloorData, modelVersion: 'model-b' }]
+          }
+        });
+        sinon.assert.calledWith(modelChangedSpy, sinon.match({ modelVersions: ['model-a', 'model-b'] }));
+      });
+    });
     describe('isFloorsDataValid', function () {
       it('should return false if unknown floorsSchemaVersion', function () {
         const inputFloorData = utils.deepClone(basicFloorData);
@@ -1728,6 +1906,17 @@ describe('the price floors module', function () {
       it('returns empty if no matching data for auction is found', function () {
         expect(bidRequest.getFloor({})).to.deep.equal({});
       });
+      it('applies the floor of the bidder tier, ignoring deal tiers', function () {
+        _floorDataForAuction[bidRequest.auctionId] = utils.deepClone(basicFloorConfig);
+        _floorDataForAuction[bidRequest.auctionId].enforcement.tiers = [
+          { name: 'deals', deals: true, floor: 10 },
+          { name: 'rubicon', bidders: ['rubicon'], floor: 3 }
+        ];
+        expect(bidRequest.getFloor({ mediaType: 'banner' })).to.deep.equal({
+          currency: 'USD',
+          floor: 3
+        });
+      });
       it('picks the right rule depending on input', function () {
         _floorDataForAuction[bidRequest.auctionId] = utils.deepClone(basicFloorConfig);
 
@@ -2431,6 +2620,269 @@ describe('the price floors module', function () {
       });
       expect(returnedBidResponse.cpm).to.equal(7.5);
     });
+
+    describe('soft floors', function () {
+      beforeEach(function () {
+        _floorDataForAuction[AUCTION_ID] = utils.deepClone(basicFloorConfig);
+        _floorDataForAuction[AUCTION_ID].data.values = { 'banner': 0.4 };
+        _floorDataForAuction[AUCTION_ID].enforcement.softFloorMultiplier = 1.5;
+      });
+
+      it('should keep bids between the floor and the soft floor and flag them', function () {
+        runBidResponse();
+        expect(reject.called).to.be.false;
+        sinon.assert.match(returnedBidResponse.floorData, { floorValue: 0.4, belowSoftFloor: true });
+        expect(returnedBidResponse.floorData.softFloor).to.be.closeTo(0.6, 0.0001);
+      });
+
+      it('should not flag bids that clear the soft floor', function () {
+        runBidResponse({ ...basicBidResponse, cpm: 0.7 });
+        expect(returnedBidResponse.floorData.belowSoftFloor).to.be.false;
+      });
+
+      it('should still reject bids below the floor', function () {
+        runBidResponse({ ...basicBidResponse, cpm: 0.3 });
+        expect(reject.calledOnce).to.be.true;
+        expect(returnedBidResponse).to.not.exist;
+      });
+
+      it('should not set a soft floor when floors are not enforced for the bid', function () {
+        _floorDataForAuction[AUCTION_ID].enforcement.enforceBidders = ['rubicon'];
+        runBidResponse();
+        expect(returnedBidResponse.floorData).to.not.have.property('softFloor');
+      });
+    });
+
+    describe('floor tiers', function () {
+      beforeEach(function () {
+        _floorDataForAuction[AUCTION_ID] = utils.deepClone(basicFloorConfig);
+        _floorDataForAuction[AUCTION_ID].data.values = { 'banner': 0.4 };
+        _floorDataForAuction[AUCTION_ID].enforcement.tiers = [
+          { name: 'premiumDeals', deals: true, floor: 1 },
+          { name: 'appnexus', bidders: ['appnexus'], floorMultiplier: 1.5 }
+        ];
+      });
+
+      it('should apply the floor of the matching bidder tier and record the tier', function () {
+        runBidResponse();
+        expect(reject.calledOnce).to.be.true;
+        runBidResponse({ ...basicBidResponse, cpm: 0.7 });
+        sinon.assert.match(returnedBidResponse.floorData, { floorTier: 'appnexus', floorRuleValue: 0.4 });
+        expect(returnedBidResponse.floorData.floorValue).to.be.closeTo(0.6, 0.0001);
+      });
+
+      it('should not record a tier for bids matching none', function () {
+        runBidResponse({ ...basicBidResponse, bidderCode: 'rubicon' });
+        expect(returnedBidResponse.floorData).to.not.have.property('floorTier');
+        expect(returnedBidResponse.floorData.floorValue).to.equal(0.4);
+      });
+
+      it('should enforce deal tier floors even if floorDeals is false', function () {
+        runBidResponse({ ...basicBidResponse, dealId: 'deal-1', cpm: 0.9 });
+        expect(reject.calledOnce).to.be.true;
+        runBidResponse({ ...basicBidResponse, dealId: 'deal-1', cpm: 1.1 });
+        sinon.assert.match(returnedBidResponse.floorData, { floorTier: 'premiumDeals', floorValue: 1 });
+      });
+
+      it('should not lower the floor of a tier below floorMin', function () {
+        _floorDataForAuction[AUCTION_ID].data.floorMin = 0.5;
+        _floorDataForAuction[AUCTION_ID].enforcement.tiers[1].floorMultiplier = 0.5;
+        runBidResponse({ ...basicBidResponse, cpm: 0.45 });
+        expect(reject.calledOnce).to.be.true;
+        runBidResponse({ ...basicBidResponse, cpm: 0.55 });
+        sinon.assert.match(returnedBidResponse.floorData, { floorTier: 'appnexus', floorValue: 0.5 });
+      });
+
+      it('should use the soft floor multiplier of the tier', function () {
+        _floorDataForAuction[AUCTION_ID].enforcement.softFloorMultiplier = 1.1;
+        _floorDataForAuction[AUCTION_ID].enforcement.tiers[1].softFloorMultiplier = 2;
+        runBidResponse({ ...basicBidResponse, cpm: 0.7 });
+        sinon.assert.match(returnedBidResponse.floorData, { belowSoftFloor: true });
+        expect(returnedBidResponse.floorData.softFloor).to.be.closeTo(1.2, 0.0001);
+      });
+    });
+  });
+
+  describe('getFloorTier', function () {
+    const enforcement = {
+      tiers: [
+        { name: 'dealList', dealIds: ['d1'] },
+        { name: 'noDeals', bidders: ['rubicon'], deals: false },
+        { name: 'bidder', bidders: ['rubicon'] }
+      ]
+    };
+
+    it('should match deal tiers only for bid responses', function () {
+      expect(getFloorTier(enforcement, 'rubicon', { dealId: 'd1' }).name).to.equal('dealList');
+      expect(getFloorTier(enforcement, 'rubicon', {}).name).to.equal('noDeals');
+      expect(getFloorTier(enforcement, 'rubicon', { dealId: 'd2' }).name).to.equal('bidder');
+      expect(getFloorTier(enforcement, 'rubicon').name).to.equal('bidder');
+    });
+
+    it('should return undefined when no tier matches', function () {
+      expect(getFloorTier(enforcement, 'appnexus', {})).to.be.undefined;
+      expect(getFloorTier({}, 'appnexus')).to.be.undefined;
+    });
+  });
+
+  describe('softFloorBidPoolHook', function () {
+    function runHook(bids) {
+      const next = sinon.stub();
+      softFloorBidPoolHook(next, bids, 'reducer', 0);
+      sinon.assert.calledWith(next, sinon.match.array, 'reducer', 0);
+      return next.firstCall.args[0];
+    }
+
+    it('should drop bids below the soft floor when another bid for the ad unit clears it', function () {
+      const bids = [
+        { adUnitCode: 'au1', cpm: 2, floorData: { belowSoftFloor: true } },
+        { adUnitCode: 'au1', cpm: 1.5, floorData: { belowSoftFloor: false } },
+        { adUnitCode: 'au2', cpm: 1, floorData: { belowSoftFloor: true } }
+      ];
+      expect(runHook(bids)).to.eql([bids[1], bids[2]]);
+    });
+
+    it('should keep bids without a soft floor, but not treat them as clearing it', function () {
+      const bids = [
+        { adUnitCode: 'au1', cpm: 2, floorData: { belowSoftFloor: true } },
+        { adUnitCode: 'au1', cpm: 1 },
+        { adUnitCode: 'au1', cpm: 1, floorData: { floorValue: 1 } }
+      ];
+      expect(runHook(bids)).to.eql(bids);
+    });
+
+    it('should keep bids without a soft floor when another bid clears it', function () {
+      const bids = [
+        { adUnitCode: 'au1', cpm: 2, floorData: { belowSoftFloor: true } },
+        { adUnitCode: 'au1', cpm: 1 },
+        { adUnitCode: 'au1', cpm: 3, floorData: { belowSoftFloor: false } }
+      ];
+      expect(runHook(bids)).to.eql([bids[1], bids[2]]);
+    });
+  });
+
+  describe('simulateFloor', function () {
+    const floorsData = {
+      currency: 'USD',
+      schema: { fields: ['mediaType', 'size'] },
+      values: {
+        'banner|300x250': 1.5,
+        'banner|*': 1,
+        '*|*': 0.5
+      }
+    };
+    const adUnit = { code: 'div-1', mediaTypes: { banner: { sizes: [[300, 250]] } } };
+
+    function simulate(params = {}) {
+      return simulateFloor({ adUnit, bidder: 'rubicon', floorsData, ...params });
+    }
+
+    it('should be available on the global object', function () {
+      expect(getGlobal().simulateFloor).to.be.a('function');
+    });
+
+    it('should return the matched rule and floor, inferring the media type and size from the ad unit', function () {
+      expect(simulate()).to.include({
+        valid: true,
+        skipped: false,
+        skipRate: 0,
+        noFloorSignaled: false,
+        matchedRule: 'banner|300x250',
+        floorRuleValue: 1.5,
+        floor: 1.5,
+        currency: 'USD'
+      });
+      expect(simulate().matchedFields).to.eql({ mediaType: 'banner', size: '300x250' });
+    });
+
+    it('should match the requested media type and size', function () {
+      expect(simulate({ mediaType: 'video', size: [640, 480] })).to.include({ matchedRule: '*|*', floor: 0.5 });
+    });
+
+    it('should report invalid floors data', function () {
+      expect(simulate({ floorsData: { schema: { fields: ['unknown'] }, values: { a: 1 } } })).to.eql({ valid: false });
+    });
+
+    it('should not modify the floors data', function () {
+      const data = utils.deepClone(floorsData);
+      simulate({ floorsData: data });
+      expect(data).to.eql(floorsData);
+    });
+
+    it('should use the configured floors data by default', function () {
+      handleSetFloorsConfig({ ...basicFloorConfig, floorMin: 3 });
+      expect(simulateFloor({ adUnit, bidder: 'rubicon' })).to.include({ matchedRule: 'banner', floorRuleValue: 1, floor: 3, modelVersion: 'basic model' });
+    });
+
+    it('should evaluate the requested model group', function () {
+      const modelGroups = [
+        { ...floorsData, modelVersion: 'a', modelWeight: 50 },
+        { ...floorsData, modelVersion: 'b', modelWeight: 50, values: { '*|*': 4 }, noFloorSignalBidders: ['rubicon'] }
+      ];
+      expect(simulate({ floorsData: { floorsSchemaVersion: 2, modelGroups }, modelVersion: 'b' })).to.include({
+        modelVersion: 'b',
+        floor: 4,
+        noFloorSignaled: true
+      });
+      expect(simulate({ floorsData: { floorsSchemaVersion: 2, modelGroups }, modelVersion: 'c' })).to.eql({ valid: false });
+    });
+
+    it('should give the same result every time it is called with the same input', function () {
+      const modelGroups = [
+        { ...floorsData, modelVersion: 'a', modelWeight: 50 },
+        { ...floorsData, modelVersion: 'b', modelWeight: 50, values: { '*|*': 4 } }
+      ];
+      const results = [1, 2, 3, 4, 5].map(() => simulate({ floorsData: { floorsSchemaVersion: 2, modelGroups } }));
+      results.forEach(result => expect(result).to.eql({ valid: false }));
+      const single = [1, 2, 3].map(() => simulate({ floorsData: { floorsSchemaVersion: 2, modelGroups: modelGroups.slice(1) } }));
+      single.forEach(result => expect(result).to.eql(single[0]));
+      expect(single[0]).to.include({ valid: true, modelVersion: 'b', floor: 4 });
+    });
+
+    it('should fall back to the ad unit floors', function () {
+      expect(simulate({ floorsData: undefined, adUnit: { ...adUnit, floors: { schema: { fields: ['mediaType'] }, values: { banner: 2 } } } }))
+        .to.include({ matchedRule: 'div-1|banner', floor: 2 });
+      expect(simulate({ floorsData: undefined })).to.include({ skipped: true, skippedReason: FLOOR_SKIPPED_REASON.NOT_FOUND });
+    });
+
+    it('should report the skip decision', function () {
+      expect(simulate({ floorsData: { ...floorsData, skipRate: 100 }, bid: { cpm: 1 } })).to.deep.include({
+        skipped: true,
+        skippedReason: FLOOR_SKIPPED_REASON.RANDOM,
+        skipRate: 100,
+        enforcement: { cpmAfterAdjustments: 1, enforced: true, floorMet: false, rejected: false }
+      });
+    });
+
+    it('should report the skip rate instead of skipping at random', function () {
+      const randomStub = sandbox.stub(Math, 'random').returns(0);
+      expect(simulate({ floorsData: { ...floorsData, skipRate: 50 } })).to.include({ skipped: false, skipRate: 50, floor: 1.5 });
+      sinon.assert.notCalled(randomStub);
+    });
+
+    it('should evaluate enforcement for a bid', function () {
+      expect(simulate({ bid: { cpm: 1 } }).enforcement).to.eql({ cpmAfterAdjustments: 1, enforced: true, floorMet: false, rejected: true });
+      expect(simulate({ bid: { cpm: 2 } }).enforcement).to.eql({ cpmAfterAdjustments: 2, enforced: true, floorMet: true, rejected: false });
+      expect(simulate({ bid: { cpm: 1, dealId: 'd1' } }).enforcement).to.include({ enforced: false, rejected: false });
+    });
+
+    it('should apply bid adjustments, floor tiers and soft floors', function () {
+      getGlobal().bidderSettings = { rubicon: { bidCpmAdjustment: cpm => cpm * 2 } };
+      const enforcement = { softFloorMultiplier: 2, tiers: [{ name: 'deals', deals: true, floor: 1 }] };
+      expect(simulate({ bid: { cpm: 1 }, enforcement }).enforcement).to.eql({
+        cpmAfterAdjustments: 2,
+        enforced: true,
+        floorMet: true,
+        rejected: false,
+        softFloor: 3,
+        belowSoftFloor: true
+      });
+      expect(simulate({ bid: { cpm: 0.75, dealId: 'd1' }, enforcement })).to.deep.include({
+        floorTier: 'deals',
+        floor: 1,
+        enforcement: { cpmAfterAdjustments: 1.5, enforced: true, floorMet: true, rejected: false, softFloor: 2, belowSoftFloor: true }
+      });
+    });
   });
 
   describe('Post Auction Tests', function () {
@@ -2496,6 +2948,66 @@ describe('the price floors module', function () {
         })
       });
     })
+
+    describe('device, geo, time and bidder fields', () => {
+      const fpdRequest = {
+        ...req,
+        ortb2: {
+          device: { devicetype: 5, geo: { country: 'USA' } },
+          site: { page: 'https://www.example.com/news/article.html?id=1' }
+        }
+      };
+
+      it('should resolve deviceType from FPD', () => {
+        expect(fieldMatchingFunctions.deviceType(fpdRequest, resp)).to.equal('tablet');
+        expect(fieldMatchingFunctions.deviceType({ ...req, ortb2: { device: { devicetype: 2 } } }, resp)).to.equal('desktop');
+      });
+
+      it('should fall back to the user agent for deviceType', () => {
+        expect(['desktop', 'phone', 'tablet']).to.include(fieldMatchingFunctions.deviceType(req, resp));
+      });
+
+      it('should resolve browser and os from the user agent', () => {
+        expect(['chrome', 'firefox', 'safari', 'edge', 'ie', 'other']).to.include(fieldMatchingFunctions.browser(req, resp));
+        expect(['windows', 'mac', 'linux', 'unix', 'ios', 'android', 'other']).to.include(fieldMatchingFunctions.os(req, resp));
+      });
+
+      it('should resolve country from FPD', () => {
+        expect(fieldMatchingFunctions.country(fpdRequest, resp)).to.equal('USA');
+        expect(fieldMatchingFunctions.country(req, resp)).to.be.undefined;
+      });
+
+      it('should resolve hourOfDay and dayOfWeek in local time', () => {
+        clock.setSystemTime(new Date(2024, 0, 1, 13, 30));
+        expect(fieldMatchingFunctions.hourOfDay(req, resp)).to.equal('13');
+        expect(fieldMatchingFunctions.dayOfWeek(req, resp)).to.equal('1');
+      });
+
+      it('should resolve bidder from the bid request or response', () => {
+        expect(fieldMatchingFunctions.bidder(req, resp)).to.equal('rubicon');
+        expect(fieldMatchingFunctions.bidder(undefined, { ...resp, bidderCode: 'appnexus' })).to.equal('appnexus');
+      });
+
+      it('should resolve hasDeal only for bid responses', () => {
+        expect(fieldMatchingFunctions.hasDeal(req, { ...resp, cpm: 1, dealId: 'deal' })).to.equal('true');
+        expect(fieldMatchingFunctions.hasDeal(req, { ...resp, cpm: 1 })).to.equal('false');
+        expect(fieldMatchingFunctions.hasDeal(req, resp)).to.be.undefined;
+      });
+
+      it('should resolve pagePath from FPD', () => {
+        expect(fieldMatchingFunctions.pagePath(fpdRequest, resp)).to.equal('/news/article.html');
+      });
+
+      it('should match rules on the new fields', () => {
+        const floorData = getFloorsDataForAuction({
+          currency: 'USD',
+          schema: { fields: ['country', 'deviceType', 'bidder'] },
+          values: { 'USA|tablet|rubicon': 2, 'USA|*|*': 1, '*|*|*': 0.5 }
+        });
+        expect(getFirstMatchingFloor(floorData, fpdRequest, resp).matchingFloor).to.equal(2);
+        expect(getFirstMatchingFloor(floorData, { ...fpdRequest, bidder: 'appnexus' }, resp).matchingFloor).to.equal(1);
+      });
+    });
   });
 });
 
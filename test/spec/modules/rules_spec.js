@@ -8,6 +8,11 @@ import { activityParams } from 'src/activities/activityParams.js';
 import { ACTIVITY_FETCH_BIDS, ACTIVITY_ADD_BID_RESPONSE } from 'src/activities/activities.js';
 import { MODULE_TYPE_BIDDER } from 'src/activities/modules.ts';
 import { config } from 'src/config.js';
+import { auctionManager } from 'src/auctionManager.js';
+import * as events from 'src/events.js';
+import { EVENTS, REJECTION_REASON } from 'src/constants.js';
+import { server } from '../../mocks/xhr.js';
+import { getGlobal } from 'src/prebidGlobal.js';
 
 describe('Rules Module', function() {
   let sandbox;
@@ -422,6 +427,547 @@ describe('Rules Module', function() {
     });
   });
 
+  describe('bid and request results', function() {
+    const auctionId = 'test-auction-id';
+
+    function rulesJson(stage, results, conditions = ['adUnit-0000']) {
+      return {
+        enabled: true,
+        ruleSets: [{
+          name: 'testRuleSet',
+          stage,
+          version: '1.0',
+          modelGroups: [{
+            weight: 100,
+            analyticsKey: 'testAnalyticsKey',
+            schema: [{ function: 'adUnitCode', args: [] }],
+            rules: [{ conditions, results }]
+          }]
+        }]
+      };
+    }
+
+    beforeEach(function() {
+      sandbox.stub(Math, 'random').returns(0.5);
+      sandbox.stub(auctionManager.index, 'getAdUnit').returns({ code: 'adUnit-0000' });
+      sandbox.stub(auctionManager.index, 'getOrtb2').returns({});
+    });
+
+    describe('addBidResponseHook', function() {
+      let next, reject;
+
+      beforeEach(function() {
+        next = sinon.stub();
+        reject = sinon.stub();
+      });
+
+      function makeBid(bidder = 'bidder1', cpm = 2) {
+        return { auctionId, bidder, bidderCode: bidder, adUnitCode: 'adUnit-0000', cpm, currency: 'USD' };
+      }
+
+      it('should multiply the cpm of matching bidders', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction', [{
+          function: 'adjustCpm',
+          args: [{ multiplier: 0.5, bidders: ['bidder1'] }]
+        }]), auctionId);
+        const bid1 = makeBid('bidder1');
+        const bid2 = makeBid('bidder2');
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', bid1, reject);
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', bid2, reject);
+        expect(bid1.cpm).to.equal(1);
+        expect(bid2.cpm).to.equal(2);
+        sinon.assert.calledTwice(next);
+      });
+
+      it('should apply multipliers to every bidder when no bidders are given', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction', [{
+          function: 'adjustCpm',
+          args: [{ multiplier: 1.5 }]
+        }]), auctionId);
+        const bid = makeBid('bidder2');
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', bid, reject);
+        expect(bid.cpm).to.equal(3);
+      });
+
+      it('should not apply results when conditions do not match', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction', [{
+          function: 'adjustCpm',
+          args: [{ multiplier: 0.5 }]
+        }], ['adUnit-1111']), auctionId);
+        const bid = makeBid();
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', bid, reject);
+        expect(bid.cpm).to.equal(2);
+      });
+
+      it('should reject bids over the per-bidder limit', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction', [{
+          function: 'limitBids',
+          args: [{ maxBids: 1 }]
+        }]), auctionId);
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', makeBid('bidder1'), reject);
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', makeBid('bidder2'), reject);
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', makeBid('bidder1'), reject);
+        sinon.assert.calledTwice(next);
+        sinon.assert.calledOnce(reject);
+        sinon.assert.calledWith(reject, REJECTION_REASON.BID_LIMIT_EXCEEDED);
+      });
+
+      it('should override targeting once the bid is accepted', function() {
+        config.setConfig({ shapingRules: { rules: { enabled: true, ruleSets: [] } } });
+        rulesModule.evaluateConfig(rulesJson('processed-auction', [{
+          function: 'setTargeting',
+          args: [{ targeting: { hb_pb: '1.00', hb_deal: null, custom: 'value' } }]
+        }]), auctionId);
+        const bid = makeBid();
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', bid, reject);
+        bid.adserverTargeting = { hb_pb: '2.00', hb_deal: 'deal', hb_bidder: 'bidder1' };
+        events.emit(EVENTS.BID_RESPONSE, bid);
+        expect(bid.adserverTargeting).to.eql({ hb_pb: '1.00', hb_bidder: 'bidder1', custom: 'value' });
+      });
+    });
+
+    describe('makeBidRequestsHook', function() {
+      function makeBidderRequest(bidder) {
+        return {
+          auctionId,
+          bidderCode: bidder,
+          ortb2: {},
+          bids: [{
+            bidder,
+            auctionId,
+            adUnitCode: 'adUnit-0000',
+            mediaTypes: { banner: { sizes: [[300, 250]] }, video: { context: 'instream' } },
+            ortb2Imp: { video: { mimes: ['video/mp4'] } }
+          }]
+        };
+      }
+
+      it('should set ortb2Imp fields', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction-request', [{
+          function: 'setImpFields',
+          args: [{ bidders: ['bidder1'], fields: { bidfloor: 1.5, bidfloorcur: 'USD', 'ext.data.tier': 'gold' } }]
+        }]), auctionId);
+        const bidderRequests = [makeBidderRequest('bidder1'), makeBidderRequest('bidder2')];
+        const next = sinon.stub();
+        rulesModule.makeBidRequestsHook(next, bidderRequests);
+        sinon.assert.calledWith(next, bidderRequests);
+        expect(bidderRequests[0].bids[0].ortb2Imp).to.eql({
+          video: { mimes: ['video/mp4'] },
+          bidfloor: 1.5,
+          bidfloorcur: 'USD',
+          ext: { data: { tier: 'gold' } }
+        });
+        expect(bidderRequests[1].bids[0].ortb2Imp.bidfloor).to.not.exist;
+      });
+
+      it('should strip media types', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction-request', [{
+          function: 'stripMediaTypes',
+          args: [{ mediaTypes: ['video'] }]
+        }]), auctionId);
+        const bidderRequests = [makeBidderRequest('bidder1')];
+        rulesModule.makeBidRequestsHook(sinon.stub(), bidderRequests);
+        expect(bidderRequests[0].bids[0].mediaTypes).to.eql({ banner: { sizes: [[300, 250]] } });
+        expect(bidderRequests[0].bids[0].ortb2Imp.video).to.not.exist;
+      });
+
+      it('should not strip media types from other bidders that share them', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction-request', [{
+          function: 'stripMediaTypes',
+          args: [{ bidders: ['bidder1'], mediaTypes: ['video'] }]
+        }]), auctionId);
+        const bidderRequests = [makeBidderRequest('bidder1'), makeBidderRequest('bidder2')];
+        const adUnitMediaTypes = bidderRequests[0].bids[0].mediaTypes;
+        bidderRequests[1].bids[0].mediaTypes = adUnitMediaTypes;
+        bidderRequests[1].bids[0].ortb2Imp = bidderRequests[0].bids[0].ortb2Imp;
+        rulesModule.makeBidRequestsHook(sinon.stub(), bidderRequests);
+        expect(bidderRequests[0].bids[0].mediaTypes.video).to.not.exist;
+        expect(bidderRequests[0].bids[0].ortb2Imp.video).to.not.exist;
+        expect(bidderRequests[1].bids[0].mediaTypes.video).to.exist;
+        expect(bidderRequests[1].bids[0].ortb2Imp.video).to.exist;
+        expect(adUnitMediaTypes.video).to.exist;
+      });
+
+      it('should ignore results for other stages', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction', [{
+          function: 'setImpFields',
+          args: [{ fields: { bidfloor: 1.5 } }]
+        }]), auctionId);
+        const bidderRequests = [makeBidderRequest('bidder1')];
+        rulesModule.makeBidRequestsHook(sinon.stub(), bidderRequests);
+        expect(bidderRequests[0].bids[0].ortb2Imp.bidfloor).to.not.exist;
+      });
+    });
+  });
+
+  describe('fetching rules', function() {
+    const ENDPOINT = 'https://rules.example.com/rules.json';
+    let clock, getDataStub, setDataStub, setLabelsStub;
+
+    function rules(version) {
+      return { version, enabled: true, ruleSets: [] };
+    }
+
+    function setEndpoint(options = {}) {
+      config.setConfig({
+        shapingRules: {
+          endpoint: { url: ENDPOINT, method: 'GET', ...options }
+        }
+      });
+    }
+
+    beforeEach(function() {
+      clock = sandbox.useFakeTimers(1000000);
+      sandbox.stub(rulesModule.coreStorage, 'localStorageIsEnabled').returns(true);
+      getDataStub = sandbox.stub(rulesModule.coreStorage, 'getDataFromLocalStorage').returns(null);
+      setDataStub = sandbox.stub(rulesModule.coreStorage, 'setDataInLocalStorage');
+      setLabelsStub = sandbox.stub(analyticsAdapter, 'setLabels');
+    });
+
+    it('should fetch rules and emit their version as an analytics label', function() {
+      setEndpoint();
+      expect(server.requests.length).to.equal(1);
+      expect(server.requests[0].url).to.equal(ENDPOINT);
+      server.requests[0].respond(200, {}, JSON.stringify(rules('1.0')));
+      sinon.assert.calledWith(setLabelsStub, { [rulesModule.VERSION_LABEL]: '1.0' });
+      sinon.assert.notCalled(setDataStub);
+    });
+
+    it('should cache fetched rules when cacheTtl is set', function() {
+      setEndpoint({ cacheTtl: 60000 });
+      server.requests[0].respond(200, {}, JSON.stringify(rules('1.0')));
+      sinon.assert.calledWith(setDataStub, rulesModule.STORAGE_KEY, JSON.stringify({ rules: rules('1.0'), expires: 1060000 }));
+    });
+
+    it('should use cached rules before the endpoint responds when they have not expired', function() {
+      getDataStub.withArgs(rulesModule.STORAGE_KEY).returns(JSON.stringify({ rules: rules('2.0'), expires: 1000001 }));
+      setEndpoint({ cacheTtl: 60000 });
+      sinon.assert.calledWith(setLabelsStub, { [rulesModule.VERSION_LABEL]: '2.0' });
+      expect(server.requests.length).to.equal(1);
+    });
+
+    it('should replace cached rules when the endpoint serves a new version', function() {
+      getDataStub.withArgs(rulesModule.STORAGE_KEY).returns(JSON.stringify({ rules: rules('2.0'), expires: 1000001 }));
+      setEndpoint({ cacheTtl: 60000 });
+      server.requests[0].respond(200, {}, JSON.stringify(rules('3.0')));
+      sinon.assert.calledWith(setLabelsStub, { [rulesModule.VERSION_LABEL]: '3.0' });
+      sinon.assert.calledWith(setDataStub, rulesModule.STORAGE_KEY, JSON.stringify({ rules: rules('3.0'), expires: 1060000 }));
+    });
+
+    it('should fetch rules when cached rules have expired', function() {
+      getDataStub.withArgs(rulesModule.STORAGE_KEY).returns(JSON.stringify({ rules: rules('2.0'), expires: 1000000 }));
+      setEndpoint({ cacheTtl: 60000 });
+      expect(server.requests.length).to.equal(1);
+    });
+
+    it('should not use the cache when local storage is not available', function() {
+      rulesModule.coreStorage.localStorageIsEnabled.returns(false);
+      getDataStub.withArgs(rulesModule.STORAGE_KEY).returns(JSON.stringify({ rules: rules('2.0'), expires: 2000000 }));
+      setEndpoint({ cacheTtl: 60000 });
+      expect(server.requests.length).to.equal(1);
+      server.requests[0].respond(200, {}, JSON.stringify(rules('1.0')));
+      sinon.assert.notCalled(setDataStub);
+    });
+
+    it('should refresh rules on an interval', function() {
+      setEndpoint({ refreshInterval: 5000 });
+      server.requests[0].respond(200, {}, JSON.stringify(rules('1.0')));
+      clock.tick(5000);
+      expect(server.requests.length).to.equal(2);
+      server.requests[1].respond(200, {}, JSON.stringify(rules('1.1')));
+      sinon.assert.calledWith(setLabelsStub, { [rulesModule.VERSION_LABEL]: '1.1' });
+    });
+
+    it('should not keep the refresh interval of a previous configuration', function() {
+      setEndpoint({ refreshInterval: 3000 });
+      server.requests[0].respond(200, {}, JSON.stringify(rules('1.0')));
+      setEndpoint({ refreshInterval: 5000 });
+      server.requests[1].respond(200, {}, JSON.stringify(rules('1.0')));
+      clock.tick(3000);
+      expect(server.requests.length).to.equal(2);
+      clock.tick(2000);
+      expect(server.requests.length).to.equal(3);
+    });
+
+    it('should not refresh while a retry is pending', function() {
+      setEndpoint({ refreshInterval: 5000, retryDelay: 10000 });
+      server.requests[0].respond(500, {}, '');
+      clock.tick(5000);
+      expect(server.requests.length).to.equal(1);
+      clock.tick(5000);
+      expect(server.requests.length).to.equal(2);
+    });
+
+    it('should retry failed fetches with backoff', function() {
+      setEndpoint({ maxRetries: 2, retryDelay: 100 });
+      server.requests[0].respond(500, {}, '');
+      clock.tick(99);
+      expect(server.requests.length).to.equal(1);
+      clock.tick(1);
+      expect(server.requests.length).to.equal(2);
+      server.requests[1].respond(200, {}, 'not json');
+      clock.tick(199);
+      expect(server.requests.length).to.equal(2);
+      clock.tick(1);
+      expect(server.requests.length).to.equal(3);
+      server.requests[2].respond(500, {}, '');
+      clock.tick(10000);
+      expect(server.requests.length).to.equal(3);
+    });
+
+    it('should stop refreshing and retrying on reset', function() {
+      setEndpoint({ refreshInterval: 5000 });
+      server.requests[0].respond(500, {}, '');
+      rulesModule.reset();
+      clock.tick(10000);
+      expect(server.requests.length).to.equal(1);
+    });
+  });
+
+  describe('conditions', function() {
+    const schema = [{ function: 'isMobile' }, { function: 'deviceCountry' }, { function: 'bundle' }, { function: 'viewportWidth' }];
+    const values = [true, 'USA', 'com.example.app', 400];
+    const schemaFunctions = values.map(value => () => value);
+
+    function evaluate(expression) {
+      return rulesModule.evaluateExpression(expression, schema, schemaFunctions);
+    }
+
+    it('should evaluate operators against a schema entry referenced by index or function name', function() {
+      expect(evaluate({ schema: 0, eq: true })).to.be.true;
+      expect(evaluate({ schema: 'deviceCountry', eq: 'USA' })).to.be.true;
+      expect(evaluate({ schema: 'deviceCountry', ne: 'USA' })).to.be.false;
+      expect(evaluate({ schema: 1, in: ['USA', 'CAN'] })).to.be.true;
+      expect(evaluate({ schema: 1, notIn: ['USA', 'CAN'] })).to.be.false;
+      expect(evaluate({ schema: 2, matches: '^com\\.example\\.' })).to.be.true;
+      expect(evaluate({ schema: 2, matches: '^COM', flags: 'i' })).to.be.true;
+      expect(evaluate({ schema: 2, isNull: true })).to.be.false;
+      expect(evaluate({ schema: 2, isNull: false })).to.be.true;
+    });
+
+    it('should evaluate numeric ranges', function() {
+      expect(evaluate({ schema: 'viewportWidth', gte: 320, lt: 768 })).to.be.true;
+      expect(evaluate({ schema: 'viewportWidth', gt: 400 })).to.be.false;
+      expect(evaluate({ schema: 'viewportWidth', lte: 400 })).to.be.true;
+      expect(evaluate({ schema: 'deviceCountry', gt: 0 })).to.be.false;
+    });
+
+    it('should evaluate and, or and not groups', function() {
+      const condition = (bundle) => ({
+        and: [
+          { schema: 'isMobile', eq: true },
+          { or: [{ schema: 'deviceCountry', eq: 'USA' }, { schema: 'deviceCountry', eq: 'CAN' }] },
+          { not: { schema: 'bundle', eq: bundle } }
+        ]
+      });
+      expect(evaluate(condition('com.other.app'))).to.be.true;
+      expect(evaluate(condition('com.example.app'))).to.be.false;
+    });
+
+    it('should not match conditions referencing unknown schema entries', function() {
+      expect(evaluate({ schema: 'unknown', isNull: true })).to.be.false;
+      expect(evaluate({ not: { schema: 10, eq: 1 } })).to.be.true;
+      expect(evaluate('true')).to.be.false;
+    });
+
+    it('should not match malformed and, or and not groups', function() {
+      expect(evaluate({ and: { schema: 'isMobile', eq: true } })).to.be.false;
+      expect(evaluate({ or: 'x' })).to.be.false;
+      expect(evaluate({ and: null })).to.be.false;
+      expect(evaluate({ not: 'x' })).to.be.false;
+      expect(evaluate({ and: [{ schema: 'isMobile', eq: true }, { or: {} }] })).to.be.false;
+    });
+
+    it('should apply compound conditions to rules', function() {
+      rulesModule.registerActivities();
+      sandbox.stub(Math, 'random').returns(0.5);
+      rulesModule.evaluateConfig({
+        enabled: true,
+        ruleSets: [{
+          name: 'testRuleSet',
+          stage: 'processed-auction-request',
+          version: '1.0',
+          modelGroups: [{
+            weight: 100,
+            analyticsKey: 'testAnalyticsKey',
+            schema: [{ function: 'deviceCountry' }, { function: 'bundle' }],
+            rules: [{
+              conditions: { and: [{ schema: 0, in: ['USA', 'CAN'] }, { not: { schema: 1, eq: 'com.example.app' } }] },
+              results: [{ function: 'excludeBidders', args: [{ bidders: ['bidder1'] }] }]
+            }]
+          }]
+        }]
+      }, 'test-auction-id');
+
+      const params = (country, bundle) => activityParams(MODULE_TYPE_BIDDER, 'bidder1', {
+        auctionId: 'test-auction-id',
+        ortb2: { device: { geo: { country } }, app: { bundle } }
+      });
+
+      expect(isActivityAllowed(ACTIVITY_FETCH_BIDS, params('USA', 'com.other.app'))).to.be.false;
+      expect(isActivityAllowed(ACTIVITY_FETCH_BIDS, params('USA', 'com.example.app'))).to.be.true;
+      expect(isActivityAllowed(ACTIVITY_FETCH_BIDS, params('GBR', 'com.other.app'))).to.be.true;
+    });
+
+    it('should accept operators in condition arrays', function() {
+      rulesModule.registerActivities();
+      sandbox.stub(Math, 'random').returns(0.5);
+      rulesModule.evaluateConfig({
+        enabled: true,
+        ruleSets: [{
+          name: 'testRuleSet',
+          stage: 'processed-auction-request',
+          version: '1.0',
+          modelGroups: [{
+            weight: 100,
+            analyticsKey: 'testAnalyticsKey',
+            schema: [{ function: 'deviceCountry' }],
+            rules: [{
+              conditions: [{ in: ['USA', 'CAN'] }],
+              results: [{ function: 'excludeBidders', args: [{ bidders: ['bidder1'] }] }]
+            }]
+          }]
+        }]
+      }, 'test-auction-id');
+
+      const params = (country) => activityParams(MODULE_TYPE_BIDDER, 'bidder1', {
+        auctionId: 'test-auction-id',
+        ortb2: { device: { geo: { country } } }
+      });
+
+      expect(isActivityAllowed(ACTIVITY_FETCH_BIDS, params('CAN'))).to.be.false;
+      expect(isActivityAllowed(ACTIVITY_FETCH_BIDS, params('GBR'))).to.be.true;
+    });
+  });
+
+  describe('decision trace and dry run', function() {
+    const auctionId = 'test-auction-id';
+    let emitSpy;
+
+    function rulesJson(stage, results) {
+      return {
+        enabled: true,
+        ruleSets: [{
+          name: 'testRuleSet',
+          stage,
+          version: '1.0',
+          modelGroups: [{
+            weight: 100,
+            version: 'mg-1',
+            analyticsKey: 'testAnalyticsKey',
+            schema: [{ function: 'adUnitCode', args: [] }],
+            rules: [{
+              conditions: ['adUnit-1111'],
+              results: [{ function: 'logAtag', args: { analyticsValue: 'other' } }]
+            }, {
+              conditions: ['adUnit-0000'],
+              results
+            }]
+          }]
+        }]
+      };
+    }
+
+    const bidderParams = (bidder) => activityParams(MODULE_TYPE_BIDDER, bidder, {
+      adUnit: { code: 'adUnit-0000' },
+      auctionId
+    });
+
+    beforeEach(function() {
+      sandbox.stub(Math, 'random').returns(0.5);
+      sandbox.stub(auctionManager.index, 'getAdUnit').returns({ code: 'adUnit-0000' });
+      sandbox.stub(auctionManager.index, 'getOrtb2').returns({});
+      emitSpy = sandbox.spy(events, 'emit');
+    });
+
+    it('should expose the trace through the public API', function() {
+      config.setConfig({ shapingRules: {} });
+      expect(getGlobal().getShapingRulesTrace).to.be.a('function');
+    });
+
+    it('should trace the selected model groups and the decisions taken', function() {
+      rulesModule.registerActivities();
+      rulesModule.evaluateConfig(rulesJson('processed-auction-request', [{
+        function: 'excludeBidders',
+        args: [{ bidders: ['bidder1'] }]
+      }]), auctionId);
+
+      expect(isActivityAllowed(ACTIVITY_FETCH_BIDS, bidderParams('bidder1'))).to.be.false;
+
+      const decision = {
+        auctionId,
+        stage: 'processed-auction-request',
+        bidder: 'bidder1',
+        adUnitCode: 'adUnit-0000',
+        analyticsKey: 'testAnalyticsKey',
+        rule: 1,
+        schema: [{ function: 'adUnitCode', args: [], value: 'adUnit-0000' }],
+        results: [{ function: 'excludeBidders', args: [{ bidders: ['bidder1'] }] }],
+        enforced: true
+      };
+      expect(rulesModule.getShapingRulesTrace(auctionId)).to.eql({
+        dryRun: false,
+        modelGroups: [{ ruleSet: 'testRuleSet', stage: 'processed-auction-request', analyticsKey: 'testAnalyticsKey', version: 'mg-1' }],
+        decisions: [decision]
+      });
+      expect(rulesModule.getShapingRulesTrace()).to.have.property(auctionId);
+      sinon.assert.calledWith(emitSpy, EVENTS.RULES_DECISION, decision);
+    });
+
+    it('should not trace model groups without relevant results', function() {
+      rulesModule.registerActivities();
+      rulesModule.evaluateConfig(rulesJson('processed-auction-request', [{
+        function: 'setImpFields',
+        args: [{ fields: { bidfloor: 1 } }]
+      }]), auctionId);
+      isActivityAllowed(ACTIVITY_FETCH_BIDS, bidderParams('bidder1'));
+      expect(rulesModule.getShapingRulesTrace(auctionId).decisions).to.eql([]);
+      sinon.assert.neverCalledWith(emitSpy, EVENTS.RULES_DECISION);
+    });
+
+    describe('in dry run mode', function() {
+      beforeEach(function() {
+        config.setConfig({ shapingRules: { dryRun: true } });
+      });
+
+      it('should trace but not enforce bidder exclusions', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction-request', [{
+          function: 'excludeBidders',
+          args: [{ bidders: ['bidder1'] }]
+        }]), auctionId);
+
+        expect(isActivityAllowed(ACTIVITY_FETCH_BIDS, bidderParams('bidder1'))).to.be.true;
+        const trace = rulesModule.getShapingRulesTrace(auctionId);
+        expect(trace.dryRun).to.be.true;
+        expect(trace.decisions[0]).to.include({ bidder: 'bidder1', rule: 1, enforced: false });
+      });
+
+      it('should trace but not apply bid results', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction', [{
+          function: 'adjustCpm',
+          args: [{ multiplier: 0.5 }]
+        }]), auctionId);
+        const bid = { auctionId, bidder: 'bidder1', adUnitCode: 'adUnit-0000', cpm: 2 };
+        const next = sinon.stub();
+        rulesModule.addBidResponseHook(next, 'adUnit-0000', bid, sinon.stub());
+        sinon.assert.calledOnce(next);
+        expect(bid.cpm).to.equal(2);
+        expect(rulesModule.getShapingRulesTrace(auctionId).decisions[0]).to.include({ stage: 'processed-auction', enforced: false });
+      });
+
+      it('should trace but not apply request results', function() {
+        rulesModule.evaluateConfig(rulesJson('processed-auction-request', [{
+          function: 'setImpFields',
+          args: [{ fields: { bidfloor: 1 } }]
+        }]), auctionId);
+        const bidderRequests = [{ auctionId, ortb2: {}, bids: [{ bidder: 'bidder1', auctionId, adUnitCode: 'adUnit-0000', ortb2Imp: {} }] }];
+        rulesModule.makeBidRequestsHook(sinon.stub(), bidderRequests);
+        expect(bidderRequests[0].bids[0].ortb2Imp).to.eql({});
+        expect(rulesModule.getShapingRulesTrace(auctionId).decisions[0]).to.include({ bidder: 'bidder1', enforced: false });
+      });
+    });
+  });
+
   describe('getGlobalRandom', function() {
     it('should return the same value for the same auctionId and call Math.random only once', function() {
       const auctionId = 'test-auction-id';
@@ -804,6 +1350,123 @@ describe('Rules Module', function() {
       expect(func4()).to.be.false;
     });
 
+    it('should evaluate percentRange condition', function() {
+      sandbox.stub(rulesModule.dep, 'getGlobalRandom').returns(0.3);
+      expect(rulesModule.evaluateSchema('percentRange', [20, 40], { auctionId: 'a1' })()).to.be.true;
+      expect(rulesModule.evaluateSchema('percentRange', [0, 30], { auctionId: 'a1' })()).to.be.false;
+      sinon.assert.calledWith(rulesModule.dep.getGlobalRandom, 'a1');
+    });
+
+    it('should evaluate adUnitCodeMatches condition', function() {
+      const context = { adUnit: { code: 'div-top-1' } };
+      expect(rulesModule.evaluateSchema('adUnitCodeMatches', ['^div-top'], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('adUnitCodeMatches', ['^DIV-BOTTOM', 'i'], context)()).to.be.false;
+      expect(rulesModule.evaluateSchema('adUnitCodeMatches', ['('], context)()).to.be.false;
+    });
+
+    it('should evaluate gptSlot conditions', function() {
+      const context = { adUnit: { ortb2Imp: { ext: { data: { adserver: { adslot: '/123/homepage/top' } } } } } };
+      expect(rulesModule.evaluateSchema('gptSlot', [], context)()).to.equal('/123/homepage/top');
+      expect(rulesModule.evaluateSchema('gptSlotIn', [['/123/homepage/top']], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('gptSlotMatches', ['/homepage/'], context)()).to.be.true;
+      const gpidContext = { adUnit: { ortb2Imp: { ext: { gpid: '/123/article#div-1' } } } };
+      expect(rulesModule.evaluateSchema('gptSlotMatches', ['^/123/article'], gpidContext)()).to.be.true;
+      expect(rulesModule.evaluateSchema('gptSlotIn', [['/123/homepage/top']], {})()).to.be.false;
+    });
+
+    it('should evaluate adSizeIn condition', function() {
+      const adUnitContext = { adUnit: { mediaTypes: { banner: { sizes: [[300, 250], [728, 90]] } } } };
+      expect(rulesModule.evaluateSchema('adSizeIn', [['728x90']], adUnitContext)()).to.be.true;
+      expect(rulesModule.evaluateSchema('adSizeIn', [['300x600']], adUnitContext)()).to.be.false;
+      const bidContext = { ...adUnitContext, bid: { width: 300, height: 250 } };
+      expect(rulesModule.evaluateSchema('adSizeIn', [['300x250']], bidContext)()).to.be.true;
+      expect(rulesModule.evaluateSchema('adSizeIn', [['728x90']], bidContext)()).to.be.false;
+    });
+
+    it('should evaluate eidIn condition', function() {
+      const context = { ortb2: { user: { eids: [{ source: 'id5-sync.com', uids: [] }], ext: { eids: [{ source: 'pubcid.org', uids: [] }] } } } };
+      expect(rulesModule.evaluateSchema('eidIn', [['id5-sync.com']], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('eidIn', [['pubcid.org']], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('eidIn', [['liveramp.com']], context)()).to.be.false;
+      expect(rulesModule.evaluateSchema('eidIn', [['id5-sync.com']], {})()).to.be.false;
+    });
+
+    it('should evaluate deviceRegion conditions', function() {
+      const context = { ortb2: { device: { geo: { country: 'USA', region: 'CA' } } } };
+      expect(rulesModule.evaluateSchema('deviceRegion', [], context)()).to.equal('CA');
+      expect(rulesModule.evaluateSchema('deviceRegionIn', [['CA', 'NY']], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('deviceRegionIn', [['TX']], context)()).to.be.false;
+    });
+
+    describe('time conditions', function() {
+      let clock;
+
+      beforeEach(function() {
+        // Wednesday, 2024-01-03 10:30 UTC
+        clock = sinon.useFakeTimers(Date.UTC(2024, 0, 3, 10, 30));
+      });
+
+      afterEach(function() {
+        clock.restore();
+      });
+
+      it('should evaluate hourOfDayIn condition', function() {
+        expect(rulesModule.evaluateSchema('hourOfDayIn', [[10, 11], true], {})()).to.be.true;
+        expect(rulesModule.evaluateSchema('hourOfDayIn', [[12], true], {})()).to.be.false;
+        expect(rulesModule.evaluateSchema('hourOfDayIn', [[new Date().getHours()]], {})()).to.be.true;
+      });
+
+      it('should evaluate dayOfWeekIn condition', function() {
+        expect(rulesModule.evaluateSchema('dayOfWeekIn', [[3], true], {})()).to.be.true;
+        expect(rulesModule.evaluateSchema('dayOfWeekIn', [[0, 6], true], {})()).to.be.false;
+        expect(rulesModule.evaluateSchema('dayOfWeekIn', [[new Date().getDay()]], {})()).to.be.true;
+      });
+    });
+
+    it('should evaluate pageUrlMatches condition', function() {
+      const context = { ortb2: { site: { page: 'https://example.com/sports/article-1' } } };
+      expect(rulesModule.evaluateSchema('pageUrlMatches', ['/sports/'], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('pageUrlMatches', ['/news/'], context)()).to.be.false;
+      expect(rulesModule.evaluateSchema('pageUrlMatches', ['/sports/'], {})()).to.be.false;
+    });
+
+    it('should evaluate connectionTypeIn condition', function() {
+      const context = { ortb2: { device: { connectiontype: 2 } } };
+      expect(rulesModule.evaluateSchema('connectionTypeIn', [[2, 6]], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('connectionTypeIn', [[4, 5]], context)()).to.be.false;
+    });
+
+    it('should evaluate viewport conditions', function() {
+      const context = { ortb2: { device: { ext: { vpw: 1024, vph: 768 } } } };
+      expect(rulesModule.evaluateSchema('viewportWidth', [], context)()).to.equal(1024);
+      expect(rulesModule.evaluateSchema('viewportHeight', [], context)()).to.equal(768);
+      expect(rulesModule.evaluateSchema('viewportWidthIn', [1000, 1280], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('viewportWidthIn', [1280], context)()).to.be.false;
+      expect(rulesModule.evaluateSchema('viewportHeightIn', [null, 800], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('viewportHeightIn', [0, 700], context)()).to.be.false;
+      expect(rulesModule.evaluateSchema('viewportWidthIn', [0], {})()).to.be.false;
+    });
+
+    it('should evaluate user agent client hint conditions', function() {
+      const context = {
+        ortb2: {
+          device: {
+            sua: {
+              browsers: [{ brand: 'Chromium', version: ['120'] }, { brand: 'Google Chrome', version: ['120'] }],
+              platform: { brand: 'Android', version: ['14'] },
+              mobile: 1
+            }
+          }
+        }
+      };
+      expect(rulesModule.evaluateSchema('browserIn', [['Google Chrome']], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('browserIn', [['Firefox']], context)()).to.be.false;
+      expect(rulesModule.evaluateSchema('platformIn', [['Android']], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('platformIn', [['iOS']], context)()).to.be.false;
+      expect(rulesModule.evaluateSchema('isMobile', [], context)()).to.be.true;
+      expect(rulesModule.evaluateSchema('isMobile', [], {})()).to.be.false;
+    });
+
     it('should return null function for unknown schema function', function() {
       const func = rulesModule.evaluateSchema('unknownFunction', [], {});
       expect(func()).to.be.null;
@@ -45,6 +45,26 @@ describe('fetcherFactory', () => {
     });
   });
 
+  describe('signal', () => {
+    it('aborts requests when the signal is aborted', (done) => {
+      const ctl = new AbortController();
+      const fetch = fetcherFactory(1000, { signal: ctl.signal });
+      const resp = fetch(EXAMPLE_URL);
+      expect(server.requests[0].fetch.request.signal.aborted).to.be.false;
+      ctl.abort();
+      expect(server.requests[0].fetch.request.signal.aborted).to.be.true;
+      resp.catch(() => done());
+    });
+
+    it('still times out', (done) => {
+      const fetch = fetcherFactory(1000, { signal: new AbortController().signal });
+      const resp = fetch(EXAMPLE_URL);
+      clock.tick(1000);
+      expect(server.requests[0].fetch.request.signal.aborted).to.be.true;
+      resp.catch(() => done());
+    });
+  });
+
   Object.entries({
     'disableAjaxTimeout is set'() {
       const fetcher = fetcherFactory(1000);
@@ -263,6 +283,18 @@ describe('attachCallbacks', () => {
     return expectNullXHR(Promise.reject(err), err);
   });
 
+  it('sets canceled = true, not timedOut, when the signal is aborted', (done) => {
+    const ctl = new AbortController();
+    ctl.abort();
+    attachCallbacks(fetch('/', { signal: ctl.signal }), {
+      error(_, xhr) {
+        expect(xhr.canceled).to.be.true;
+        expect(xhr.timedOut).to.be.false;
+        done();
+      }
+    }, ctl.signal);
+  });
+
   it('sets timedOut = true on fetch timeout', (done) => {
     const ctl = new AbortController();
     ctl.abort();
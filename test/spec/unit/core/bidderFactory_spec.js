@@ -1000,6 +1000,17 @@ describe('bidderFactory', () => {
         })
       })
 
+      it('should not report requests aborted by a canceled auction as bidder errors', () => {
+        Object.assign(xhrErrorMock, { status: 0, canceled: true });
+        const bidder = newBidder(spec);
+        spec.isBidRequestValid.returns(true);
+        spec.buildRequests.returns({ method: 'POST', url: 'test', data: {} });
+        bidder.callBids(MOCK_BIDS_REQUEST, addBidResponseStub, doneStub, ajaxStub, onTimelyResponseStub, wrappedCallback);
+        sinon.assert.notCalled(callBidderErrorStub);
+        sinon.assert.neverCalledWith(eventEmitterStub, EVENTS.BIDDER_ERROR);
+        sinon.assert.calledOnce(doneStub);
+      });
+
       it('should not spec.interpretResponse()', function () {
         const bidder = newBidder(spec);
 
@@ -0,0 +1,173 @@
+import { expect } from 'chai';
+import {
+  dep,
+  MAX_REQUESTS_PER_MULTIPLEXED_ORIGIN,
+  MAX_REQUESTS_PER_ORIGIN,
+  newRequestQueue
+} from '../../../../src/requestQueue.js';
+import { config } from 'src/config.js';
+import { newMetrics } from '../../../../src/utils/perfMetrics.js';
+
+describe('requestQueue', () => {
+  const ORIGIN = 'https://bidder.example.com';
+  let queue, sandbox;
+
+  function mockCall(adUnitCodes = ['au1'], props = {}) {
+    const call = {
+      bidRequests: [{ bidderCode: 'bidder', bids: adUnitCodes.map(adUnitCode => ({ adUnitCode })) }],
+      adUnitCodes,
+      metrics: newMetrics(),
+      run: sinon.spy(),
+      cancel: sinon.stub().callsFake((codes) => {
+        call.bidRequests[0].bids = call.bidRequests[0].bids.filter(bid => !codes.includes(bid.adUnitCode));
+        return call.bidRequests[0].bids.length === 0;
+      }),
+      ...props
+    };
+    return call;
+  }
+
+  function fillOrigin(count = MAX_REQUESTS_PER_ORIGIN) {
+    const callbacks = queue.requestCallbacks();
+    for (let i = 0; i < count; i++) {
+      callbacks.request('bidder', ORIGIN);
+    }
+    return callbacks;
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    queue = newRequestQueue();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    config.resetConfig();
+  });
+
+  it('runs calls right away when there is capacity', () => {
+    const call = mockCall();
+    queue.schedule(call);
+    sinon.assert.calledOnce(call.run);
+    expect(queue.getQueuedCalls()).to.eql([]);
+  });
+
+  it('queues calls until their origin has capacity', () => {
+    const callbacks = fillOrigin();
+    const call = mockCall();
+    queue.schedule(call);
+    sinon.assert.notCalled(call.run);
+    callbacks.done(ORIGIN);
+    sinon.assert.calledOnce(call.run);
+  });
+
+  it('runs queued calls with a higher priority first', () => {
+    const callbacks = fillOrigin();
+    const low = mockCall(['au1']);
+    const high = mockCall(['au2'], { priority: 10 });
+    queue.schedule(low);
+    queue.schedule(high);
+    expect(queue.getQueuedCalls()).to.eql([high, low]);
+    callbacks.done(ORIGIN);
+    sinon.assert.callOrder(high.run, low.run);
+  });
+
+  it('records the time calls spend queued', () => {
+    const clock = sandbox.useFakeTimers();
+    const callbacks = fillOrigin();
+    const call = mockCall();
+    queue.schedule(call);
+    clock.tick(50);
+    callbacks.done(ORIGIN);
+    expect(call.metrics.getMetrics()['requestBids.queued']).to.equal(50);
+  });
+
+  describe('cancellation', () => {
+    beforeEach(() => {
+      fillOrigin();
+    });
+
+    it('does not cancel queued calls superseded by a newer call by default', () => {
+      const older = mockCall(['au1']);
+      queue.schedule(older);
+      queue.schedule(mockCall(['au1']));
+      sinon.assert.notCalled(older.cancel);
+      expect(queue.getQueuedCalls().length).to.equal(2);
+    });
+
+    it('cancels queued calls superseded by a newer call for the same ad units when cancelSupersededAuctions is set', () => {
+      config.setConfig({ cancelSupersededAuctions: true });
+      const older = mockCall(['au1', 'au2']);
+      queue.schedule(older);
+      queue.schedule(mockCall(['au1']));
+      sinon.assert.calledWith(older.cancel, ['au1']);
+      expect(queue.getQueuedCalls().length).to.equal(2);
+      queue.schedule(mockCall(['au2']));
+      expect(queue.getQueuedCalls()).to.not.include(older);
+    });
+
+    it('cancels queued requests for the given ad units', () => {
+      const call = mockCall(['au1', 'au2']);
+      queue.schedule(call);
+      queue.cancel(['au3']);
+      sinon.assert.notCalled(call.cancel);
+      queue.cancel(['au2']);
+      expect(queue.getQueuedCalls()).to.eql([call]);
+      queue.cancel(['au1']);
+      expect(queue.getQueuedCalls()).to.eql([]);
+    });
+
+    it('cancels all queued requests', () => {
+      queue.schedule(mockCall(['au1']));
+      queue.schedule(mockCall(['au2']));
+      queue.cancel();
+      expect(queue.getQueuedCalls()).to.eql([]);
+    });
+  });
+
+  describe('concurrency', () => {
+    function mockProtocol(nextHopProtocol) {
+      sandbox.stub(dep, 'getResourceTimings').returns([{ name: `${ORIGIN}/bid`, nextHopProtocol }]);
+      queue.requestCallbacks().done(ORIGIN);
+    }
+
+    it('defaults to MAX_REQUESTS_PER_ORIGIN', () => {
+      expect(queue.getMaxRequests(ORIGIN)).to.equal(MAX_REQUESTS_PER_ORIGIN);
+    });
+
+    it('allows more requests to origins served over HTTP/2', () => {
+      mockProtocol('h2');
+      expect(queue.getMaxRequests(ORIGIN)).to.equal(MAX_REQUESTS_PER_MULTIPLEXED_ORIGIN);
+    });
+
+    it('keeps the default for origins served over HTTP/1.1', () => {
+      mockProtocol('http/1.1');
+      expect(queue.getMaxRequests(ORIGIN)).to.equal(MAX_REQUESTS_PER_ORIGIN);
+    });
+
+    it('keeps the default when the protocol is not exposed', () => {
+      mockProtocol('');
+      expect(queue.getMaxRequests(ORIGIN)).to.equal(MAX_REQUESTS_PER_ORIGIN);
+    });
+
+    it('looks up the protocol of each origin once', () => {
+      mockProtocol('');
+      queue.requestCallbacks().done(ORIGIN);
+      sinon.assert.calledOnce(dep.getResourceTimings);
+    });
+
+    it('keeps looking for the protocol until the origin has resource timings', () => {
+      const getResourceTimings = sandbox.stub(dep, 'getResourceTimings').returns([]);
+      queue.requestCallbacks().done(ORIGIN);
+      getResourceTimings.returns([{ name: `${ORIGIN}/bid`, nextHopProtocol: 'h3' }]);
+      queue.requestCallbacks().done(ORIGIN);
+      expect(queue.getMaxRequests(ORIGIN)).to.equal(MAX_REQUESTS_PER_MULTIPLEXED_ORIGIN);
+    });
+
+    it('uses maxRequestsPerOrigin when configured', () => {
+      mockProtocol('h2');
+      config.setConfig({ maxRequestsPerOrigin: 2 });
+      expect(queue.getMaxRequests(ORIGIN)).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { bidRanking, storage, STORAGE_KEY } from '../../../../src/targeting/ranking.js';
+import { config } from 'src/config.js';
+import * as events from 'src/events.js';
+import { EVENTS } from 'src/constants.js';
+
+describe('Targeting ranking', () => {
+  let ranking;
+
+  function mkBid(adId, props = {}) {
+    return {
+      adId,
+      adUnitCode: 'au1',
+      bidderCode: 'bidderA',
+      cpm: 1,
+      netRevenue: true,
+      ...props
+    };
+  }
+
+  function rankedIds(bidsByAdUnit) {
+    return Object.fromEntries(Object.entries(ranking.rank(bidsByAdUnit)).map(([au, bids]) => [au, bids.map(bid => bid.adId)]));
+  }
+
+  function setRanking(cfg) {
+    config.setConfig({ targetingControls: { ranking: cfg } });
+  }
+
+  beforeEach(() => {
+    ranking = bidRanking();
+  });
+
+  afterEach(() => {
+    config.resetConfig();
+    storage.removeDataFromLocalStorage(STORAGE_KEY);
+  });
+
+  it('ranks by CPM by default', () => {
+    expect(ranking.isEnabled()).to.be.false;
+    expect(ranking.getStrategyName()).to.equal('cpm');
+    expect(rankedIds({ au1: [mkBid('low', { cpm: 1 }), mkBid('high', { cpm: 2 })] })).to.eql({ au1: ['high', 'low'] });
+  });
+
+  it('falls back to CPM for unknown strategies', () => {
+    setRanking('unknown');
+    expect(ranking.isEnabled()).to.be.false;
+    expect(ranking.getStrategyName()).to.equal('cpm');
+  });
+
+  it('falls back to CPM when the strategy throws', () => {
+    setRanking({ strategy: () => { throw new Error(); } });
+    expect(rankedIds({ au1: [mkBid('low', { cpm: 1 }), mkBid('high', { cpm: 2 })] })).to.eql({ au1: ['high', 'low'] });
+  });
+
+  it('accepts custom strategies', () => {
+    const strategy = sinon.stub().callsFake((bidsByAdUnit) => ({ au1: bidsByAdUnit.au1.slice().reverse() }));
+    setRanking({ strategy, param: 'value' });
+    expect(ranking.getStrategyName()).to.equal('custom');
+    expect(rankedIds({ au1: [mkBid('first'), mkBid('second')] })).to.eql({ au1: ['second', 'first'] });
+    sinon.assert.calledWith(strategy, sinon.match.any, { param: 'value' });
+  });
+
+  it('can use strategies registered after they are configured', () => {
+    setRanking('lowest');
+    ranking.register('lowest', (bidsByAdUnit) => ({ au1: bidsByAdUnit.au1.slice().sort((a, b) => a.cpm - b.cpm) }));
+    expect(ranking.getStrategyName()).to.equal('lowest');
+    expect(rankedIds({ au1: [mkBid('high', { cpm: 2 }), mkBid('low', { cpm: 1 })] })).to.eql({ au1: ['low', 'high'] });
+  });
+
+  describe('netRevenue', () => {
+    it('deducts fees from gross bids', () => {
+      setRanking({ strategy: 'netRevenue', fees: { bidderA: 0.5 }, defaultFee: 0.1 });
+      expect(rankedIds({
+        au1: [
+          mkBid('grossA', { cpm: 3, netRevenue: false }),
+          mkBid('grossB', { cpm: 2, netRevenue: false, bidderCode: 'bidderB' }),
+          mkBid('netA', { cpm: 1.9 }),
+        ]
+      })).to.eql({ au1: ['netA', 'grossB', 'grossA'] });
+    });
+  });
+
+  describe('dealTiers', () => {
+    it('ranks deals by tier, then by CPM', () => {
+      setRanking({ strategy: 'dealTiers', tiers: { premium: 5 } });
+      expect(rankedIds({
+        au1: [
+          mkBid('open', { cpm: 10 }),
+          mkBid('deal', { cpm: 1, dealId: 'other' }),
+          mkBid('premium', { cpm: 0.5, dealId: 'premium' }),
+          mkBid('deal2', { cpm: 2, dealId: 'another' }),
+        ]
+      })).to.eql({ au1: ['premium', 'deal2', 'deal', 'open'] });
+    });
+  });
+
+  Object.entries({
+    renderSuccess: [EVENTS.AD_RENDER_SUCCEEDED, EVENTS.AD_RENDER_FAILED],
+    viewability: [EVENTS.AD_RENDER_SUCCEEDED, EVENTS.BID_VIEWABLE],
+  }).forEach(([strategy, [denominatorEvent, numeratorEvent]]) => {
+    describe(strategy, () => {
+      function observe(bidderCode, event, times) {
+        const bid = mkBid('observed', { bidderCode });
+        for (let i = 0; i < times; i++) {
+          events.emit(event, event === EVENTS.BID_VIEWABLE ? bid : { bid });
+        }
+      }
+
+      beforeEach(() => {
+        setRanking({ strategy, minSamples: 4 });
+        observe('bidderA', denominatorEvent, 4);
+        observe('bidderA', numeratorEvent, strategy === 'renderSuccess' ? 4 : 1);
+      });
+
+      it('weighs CPMs by the observed rate of each bidder', () => {
+        expect(rankedIds({
+          au1: [mkBid('weighted', { cpm: 2 }), mkBid('unknown', { cpm: 1.5, bidderCode: 'bidderB' })]
+        })).to.eql({ au1: ['unknown', 'weighted'] });
+      });
+
+      it('keeps observations across page views', () => {
+        ranking = bidRanking();
+        setRanking({ strategy, minSamples: 4 });
+        expect(rankedIds({
+          au1: [mkBid('weighted', { cpm: 2 }), mkBid('unknown', { cpm: 1.5, bidderCode: 'bidderB' })]
+        })).to.eql({ au1: ['unknown', 'weighted'] });
+      });
+
+      it('does not weigh CPMs until there are minSamples observations', () => {
+        setRanking({ strategy, minSamples: 100 });
+        expect(rankedIds({
+          au1: [mkBid('weighted', { cpm: 2 }), mkBid('unknown', { cpm: 1.5, bidderCode: 'bidderB' })]
+        })).to.eql({ au1: ['weighted', 'unknown'] });
+      });
+    });
+  });
+
+  it('does not store observations when no strategy is configured', () => {
+    events.emit(EVENTS.AD_RENDER_SUCCEEDED, { bid: mkBid('rendered') });
+    expect(storage.getDataFromLocalStorage(STORAGE_KEY)).to.not.exist;
+  });
+
+  describe('advertiserDiversity', () => {
+    function advertiserBid(adId, adUnitCode, cpm, domain) {
+      return mkBid(adId, { adUnitCode, cpm, bidderCode: adId, meta: { advertiserDomains: [domain] } });
+    }
+
+    it('avoids the same advertiser winning multiple slots', () => {
+      setRanking('advertiserDiversity');
+      expect(rankedIds({
+        au1: [advertiserBid('a1', 'au1', 2, 'brand.com'), advertiserBid('b1', 'au1', 1, 'other.com')],
+        au2: [advertiserBid('a2', 'au2', 3, 'brand.com'), advertiserBid('b2', 'au2', 0.5, 'third.com')],
+      })).to.eql({
+        au1: ['b1', 'a1'],
+        au2: ['a2', 'b2']
+      });
+    });
+
+    it('keeps the top bid when every bid is from an advertiser that already won', () => {
+      setRanking('advertiserDiversity');
+      expect(rankedIds({
+        au1: [advertiserBid('a1', 'au1', 2, 'brand.com')],
+        au2: [advertiserBid('a2', 'au2', 3, 'brand.com')],
+      })).to.eql({ au1: ['a1'], au2: ['a2'] });
+    });
+
+    it('uses the base strategy', () => {
+      setRanking({ strategy: 'advertiserDiversity', base: { strategy: 'dealTiers' } });
+      expect(rankedIds({
+        au1: [advertiserBid('open', 'au1', 2, 'brand.com'), mkBid('deal', { cpm: 1, dealId: 'd' })]
+      })).to.eql({ au1: ['deal', 'open'] });
+    });
+  });
+});
@@ -3,6 +3,7 @@ import {
   filters,
   getGPTSlotsForAdUnits,
   getHighestCpmBidsFromBidPool,
+  registerTargetingKey,
   sortByDealAndPriceBucketOrCpm,
   targeting as targetingInstance
 } from 'src/targeting.js';
@@ -828,6 +829,55 @@ describe('targeting tests', function () {
       });
     });
 
+    describe('targeting keys registered by modules', function () {
+      const AD_UNIT = '/123456/header-bid-tag-0';
+      let unregister;
+
+      function getTargeting(targetingControls) {
+        if (targetingControls) {
+          config.setConfig({ targetingControls });
+        }
+        return targetingInstance.getAllTargeting([AD_UNIT])[AD_UNIT];
+      }
+
+      beforeEach(function () {
+        const bid4 = utils.deepClone(bid1);
+        bid4.adserverTargeting = { hb_pb: '0.10', hb_pb_eur: '0.09', hb_adid: 'bid4', hb_bidder: 'appnexus' };
+        bid4.bidder = bid4.bidderCode = 'appnexus';
+        bid4.adId = 'bid4';
+        bid4.cpm = 0.1;
+        bidsReceived[0].adserverTargeting.hb_pb_eur = '0.45';
+        bidsReceived.push(bid4);
+        unregister = registerTargetingKey('hb_pb_eur', 'PRICE_BUCKET');
+      });
+
+      afterEach(function () {
+        unregister();
+      });
+
+      it('should only be set for the winning bid', function () {
+        expect(getTargeting().hb_pb_eur).to.equal('0.45');
+      });
+
+      it('should be set with the bidder code as suffix when sending all bids', function () {
+        enableSendAllBids = true;
+        expect(getTargeting()).to.include({ hb_pb_eur: '0.45', hb_pb_eur_rubicon: '0.45', hb_pb_eur_appnexus: '0.09' });
+      });
+
+      it('should follow allowTargetingKeys for their standard key', function () {
+        enableSendAllBids = true;
+        expect(getTargeting({ allowTargetingKeys: ['BIDDER', 'AD_ID'] })).to.not.have.any.keys('hb_pb_eur', 'hb_pb_eur_rubicon', 'hb_pb_eur_appnexus');
+        expect(getTargeting({ allowTargetingKeys: ['BIDDER', 'PRICE_BUCKET'] })).to.include.all.keys('hb_pb_eur', 'hb_pb_eur_rubicon', 'hb_pb_eur_appnexus');
+      });
+
+      it('should follow allowSendAllBidsTargetingKeys for their standard key', function () {
+        enableSendAllBids = true;
+        expect(getTargeting({ allowSendAllBidsTargetingKeys: ['AD_ID'] })).to.include.all.keys('hb_pb_eur', 'hb_adid_appnexus')
+          .and.to.not.have.any.keys('hb_pb_eur_rubicon', 'hb_pb_eur_appnexus');
+        expect(getTargeting({ allowSendAllBidsTargetingKeys: ['PRICE_BUCKET'] })).to.include.all.keys('hb_pb_eur_rubicon', 'hb_pb_eur_appnexus');
+      });
+    });
+
     describe('targetingControls.alwaysIncludeDeals', function () {
       let bid4;
 
@@ -1231,6 +1281,82 @@ describe('targeting tests', function () {
     })
   });
 
+  describe('targetingControls.ranking', function () {
+    let bidsReceived;
+
+    beforeEach(function () {
+      const grossBid = Object.assign(deepClone(bid1), { bidderCode: 'appnexus', netRevenue: false });
+      bidsReceived = [grossBid, deepClone(bid2)];
+      sandbox.stub(auctionManager, 'getBidsReceived').returns(bidsReceived);
+      sandbox.stub(auctionManager, 'getAdUnitCodes').returns(['/123456/header-bid-tag-0']);
+      sandbox.stub(filters, 'isBidNotExpired').returns(true);
+    });
+
+    afterEach(function () {
+      config.resetConfig();
+    });
+
+    it('should pick the highest CPM bid by default', function () {
+      const targeting = targetingInstance.getAllTargeting(['/123456/header-bid-tag-0']);
+      expect(targeting['/123456/header-bid-tag-0']['hb_adid']).to.equal(bid1.adId);
+      expect(targetingInstance.getTargetingInfo()).to.eql({ ranking: 'cpm' });
+    });
+
+    it('should pick the winning bid using the configured strategy', function () {
+      config.setConfig({
+        targetingControls: {
+          ranking: { strategy: 'netRevenue', fees: { appnexus: 0.6 } }
+        }
+      });
+      const targeting = targetingInstance.getAllTargeting(['/123456/header-bid-tag-0']);
+      expect(targeting['/123456/header-bid-tag-0']['hb_adid']).to.equal(bid2.adId);
+      expect(targetingInstance.getWinningBids('/123456/header-bid-tag-0')).to.eql([bidsReceived[1]]);
+      expect(targetingInstance.getTargetingInfo()).to.eql({ ranking: 'netRevenue' });
+    });
+
+    describe('in getHighestCpmBidsFromBidPool', function () {
+      function rankedBid(adId, bidderCode, cpm, dealId) {
+        return mkBid({
+          adId,
+          bidderCode,
+          cpm,
+          dealId,
+          adUnitCode: '/123456/header-bid-tag-0',
+          netRevenue: true,
+          adserverTargeting: dealId == null ? {} : { [TARGETING_KEYS.DEAL]: dealId }
+        });
+      }
+
+      it('should rank every bid, not only the highest bid of each bidder', function () {
+        config.setConfig({ targetingControls: { ranking: 'dealTiers' } });
+        const bids = [rankedBid('open', 'rubicon', 2), rankedBid('deal', 'rubicon', 1, 'deal')];
+        expect(getHighestCpmBidsFromBidPool(bids, getHighestCpm).map(bid => bid.adId)).to.eql(['deal']);
+      });
+
+      Object.entries({
+        'with': [true, ['high', 'deal']],
+        'without': [false, ['high', 'mid']]
+      }).forEach(([t, [dealPrioritization, expected]]) => {
+        it(`should keep the top ranked bids in ranked order ${t} dealPrioritization`, function () {
+          config.setConfig({
+            targetingControls: { ranking: 'netRevenue' },
+            sendBidsControl: { dealPrioritization }
+          });
+          const bids = [rankedBid('deal', 'bidderC', 1, 'deal'), rankedBid('mid', 'bidderB', 2), rankedBid('high', 'bidderA', 3)];
+          expect(getHighestCpmBidsFromBidPool(bids, getHighestCpm, 2).map(bid => bid.adId)).to.eql(expected);
+        });
+      });
+
+      it('should not rank bids again when picking winning bids', function () {
+        const strategy = sinon.stub().callsFake((bidsByAdUnit) => bidsByAdUnit);
+        config.setConfig({ targetingControls: { ranking: { strategy } } });
+        const bids = [rankedBid('low', 'bidderA', 1), rankedBid('high', 'bidderB', 2)];
+        expect(targetingInstance.getWinningBids('/123456/header-bid-tag-0', bids)).to.eql([bids[0]]);
+        sinon.assert.notCalled(strategy);
+      });
+    });
+  });
+
   describe('getAllTargeting without bids return empty object', function () {
     let amBidsReceivedStub;
     let amGetAdUnitsStub;